@@ -0,0 +1,17 @@
+// Lets Node load the app's analysis modules in src/lib as they are written
+// for the bundler: ES modules in .js files, imported without extensions.
+
+const LIB_URL = new URL('../src/lib/', import.meta.url).href;
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    if (err.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.startsWith('.') || specifier.endsWith('.js')) throw err;
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
+
+export const load = async (url, context, nextLoad) => (url.startsWith(LIB_URL) && url.endsWith('.js')
+  ? nextLoad(url, { ...context, format: 'module' })
+  : nextLoad(url, context));
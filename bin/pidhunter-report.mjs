@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// Analyze captures without the browser and write a JSON and/or Markdown
+// report for each. Given directories, every capture in them is analyzed,
+// so a folder of logs from a whole fleet can be processed in one run.
+//
+//   npm run report -- [options] <capture or folder>...
+
+import { register } from 'node:module';
+import { readFile, readdir, stat, mkdir, writeFile } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+register('./lib-loader.mjs', import.meta.url);
+
+const { createReport, formatReportMarkdown } = await import('../src/lib/report.js');
+const { parseReferenceCsv } = await import('../src/lib/reference.js');
+
+const CAPTURE_EXTENSIONS = ['.txt', '.log', '.csv', '.hex'];
+
+// Values of the options that take one of a list, as USAGE gives them
+const CHOICES = {
+  format: ['hex', 'elm327', 'candump', 'savvycan'],
+  timestamps: ['none', 'prefix', 'column'],
+  'bad-lines': ['keep', 'skip'],
+  align: ['index', 'time'],
+  report: ['json', 'markdown', 'both'],
+};
+
+const USAGE = `Usage: npm run report -- [options] <capture or folder>...
+
+Options:
+  --format <hex|elm327|candump|savvycan>  Capture format (default hex)
+  --timestamps <none|prefix|column>       Where hex lines carry timestamps (default none)
+  --column <n>                            Timestamp column, for --timestamps column
+  --bad-lines <keep|skip>                 Keep the readable bytes of bad lines, or skip them (default keep)
+  --reference <file>                      Reference CSV to fit bytes against
+  --align <index|time>                    Line the reference up by sample or timestamp (default index)
+  --offset <seconds>                      Added to reference timestamps
+  --lag <samples>                         Largest correlation lag tried (default 0)
+  --report <json|markdown|both>           Report formats written (default both;
+                                          printed reports are Markdown unless json)
+  --out <folder>                          Write reports here instead of printing them
+  -h, --help                              Show this help`;
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const { values: args, positionals } = (() => {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', default: 'hex' },
+        timestamps: { type: 'string', default: 'none' },
+        column: { type: 'string', default: '0' },
+        'bad-lines': { type: 'string', default: 'keep' },
+        reference: { type: 'string' },
+        align: { type: 'string', default: 'index' },
+        offset: { type: 'string', default: '0' },
+        lag: { type: 'string', default: '0' },
+        report: { type: 'string', default: 'both' },
+        out: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    return fail(`${err.message}\n\n${USAGE}`);
+  }
+})();
+
+if (args.help || !positionals.length) {
+  console.log(USAGE);
+  process.exit(args.help ? 0 : 1);
+}
+Object.entries(CHOICES).forEach(([name, choices]) => {
+  if (!choices.includes(args[name])) fail(`Unknown --${name} ${args[name]}: use one of ${choices.join(', ')}`);
+});
+
+// Numeric option values; counts must be whole and not negative
+const numberArg = (name, { count = false } = {}) => {
+  const value = args[name].trim() ? Number(args[name]) : NaN;
+  if (!Number.isFinite(value) || (count && (!Number.isInteger(value) || value < 0))) {
+    fail(`--${name} needs ${count ? 'a whole number of 0 or more' : 'a number'}, not ${args[name]}`);
+  }
+  return value;
+};
+
+// Files named on the command line, and the captures in named folders
+const captureFiles = async (paths) => {
+  const files = [];
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) {
+      const entries = (await readdir(path)).sort();
+      files.push(...entries
+        .filter(name => CAPTURE_EXTENSIONS.includes(extname(name).toLowerCase()))
+        .map(name => join(path, name)));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+};
+
+const summary = (file, report) => (report.error
+  ? `${file}: ${report.error}`
+  : `${file}: ${report.streams.map(s => `${s.id ? `${s.id} ` : ''}${s.samples} samples, `
+    + `${s.counters.length} counters, ${s.correlations.length} correlations`).join('; ')}`
+    + (report.diagnostics.length ? ` (${report.diagnostics.length} lines with problems)` : ''));
+
+let reference = null;
+if (args.reference) {
+  reference = parseReferenceCsv(await readFile(args.reference, 'utf8'));
+  if (!reference.points.length) fail(`No numeric values found in ${args.reference}`);
+}
+
+const options = {
+  inputFormat: args.format,
+  timestampSource: args.timestamps,
+  timestampColumn: numberArg('column', { count: true }),
+  badLines: args['bad-lines'],
+  reference,
+  alignment: args.align,
+  offset: numberArg('offset'),
+  maxLag: numberArg('lag', { count: true }),
+};
+
+const files = await captureFiles(positionals).catch(err => fail(err.message));
+if (!files.length) fail('No captures found');
+if (!args.out && files.length > 1) fail('Several captures need --out <folder> for their reports');
+
+let failed = 0;
+for (const file of files) {
+  const report = createReport(await readFile(file, 'utf8'), options);
+  if (report.error) failed++;
+  const json = `${JSON.stringify(report, null, 2)}\n`;
+  const markdown = formatReportMarkdown(report, basename(file));
+
+  if (!args.out) {
+    process.stdout.write(args.report === 'json' ? json : markdown);
+  } else {
+    await mkdir(args.out, { recursive: true });
+    const name = join(args.out, basename(file, extname(file)));
+    if (args.report !== 'markdown') await writeFile(`${name}.json`, json);
+    if (args.report !== 'json') await writeFile(`${name}.md`, markdown);
+    console.log(summary(file, report));
+  }
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,149 @@
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { nextAnnotationId } from '../lib/annotations';
+
+const clampIndex = (value, numSamples) =>
+  Math.min(numSamples - 1, Math.max(0, parseInt(value, 10) || 0));
+
+// Table of labeled events plus the bytes and bits that change at them
+const AnnotationsPanel = ({
+  annotations,
+  onChange,
+  numSamples,
+  ranking,
+  window,
+  onWindowChange,
+  isPlotted,
+  onPlot,
+}) => {
+  const update = (id, changes) => {
+    onChange(annotations.map(a => {
+      if (a.id !== id) return a;
+      const next = { ...a, ...changes };
+      return next.end < next.start ? { ...next, end: next.start } : next;
+    }));
+  };
+
+  const add = () => {
+    const id = nextAnnotationId(annotations);
+    onChange([...annotations, { id, label: `Event ${id}`, start: 0, end: 0 }]);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex justify-between items-center">
+          <span>Events</span>
+          <button className="px-4 py-2 bg-gray-200 rounded text-sm font-normal hover:bg-gray-300" onClick={add}>
+            Add Event
+          </button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-gray-500 mb-2">
+          Drag across the chart in annotate mode, add events here, or put <span className="font-mono"># label</span>{' '}
+          and <span className="font-mono"># end</span> lines in the input around the samples of interest.
+        </p>
+
+        {annotations.length > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="p-1">Label</th>
+                <th className="p-1">First sample</th>
+                <th className="p-1">Last sample</th>
+                <th className="p-1" />
+              </tr>
+            </thead>
+            <tbody>
+              {annotations.map(a => (
+                <tr key={a.id} className="border-t">
+                  <td className="p-1">
+                    <input
+                      className="w-full px-2 py-1 border rounded"
+                      value={a.label}
+                      onChange={(e) => update(a.id, { label: e.target.value })}
+                    />
+                  </td>
+                  {['start', 'end'].map(field => (
+                    <td key={field} className="p-1">
+                      <input
+                        type="number"
+                        min="0"
+                        max={numSamples - 1}
+                        className="w-24 px-2 py-1 border rounded"
+                        value={a[field]}
+                        onChange={(e) => update(a.id, { [field]: clampIndex(e.target.value, numSamples) })}
+                      />
+                    </td>
+                  ))}
+                  <td className="p-1 text-right">
+                    <button
+                      className="px-2 py-1 text-red-500 hover:bg-red-50 rounded"
+                      onClick={() => onChange(annotations.filter(other => other.id !== a.id))}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {annotations.length > 0 && (
+          <div className="mt-4">
+            <div className="flex items-center space-x-2 text-sm mb-2">
+              <h3 className="font-medium">Changes at events</h3>
+              <label className="flex items-center space-x-1">
+                <span>within</span>
+                <input
+                  type="number"
+                  min="0"
+                  className="w-16 px-2 py-1 border rounded"
+                  value={window}
+                  onChange={(e) => onWindowChange(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                />
+                <span>samples of each edge</span>
+              </label>
+            </div>
+            {ranking.length === 0 ? (
+              <p className="text-sm text-gray-500 italic">Nothing changes at the marked events</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="p-1">Position</th>
+                    <th className="p-1">Events hit</th>
+                    <th className="p-1">Elsewhere</th>
+                    <th className="p-1">Score</th>
+                    <th className="p-1" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {ranking.map(r => (
+                    <tr key={r.key} className="border-t">
+                      <td className="p-1 font-mono">{r.label}</td>
+                      <td className="p-1">{r.hits}/{annotations.length}</td>
+                      <td className="p-1">{(r.baseline * 100).toFixed(1)}%</td>
+                      <td className="p-1 font-mono">{r.score.toFixed(2)}</td>
+                      <td className="p-1 text-right">
+                        <button
+                          className="px-2 py-1 text-blue-500 hover:bg-blue-50 rounded"
+                          onClick={() => onPlot(r)}
+                        >
+                          {isPlotted(r) ? 'Unplot' : 'Plot'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AnnotationsPanel;
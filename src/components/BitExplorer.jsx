@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+
+const Sparkline = ({ points }) => {
+  if (points.length < 2) return null;
+  const width = 40;
+  const height = 12;
+  const path = points
+    .map((p, i) => `${(i / (points.length - 1)) * width},${height - p * height}`)
+    .join(' ');
+  return (
+    <svg width={width} height={height} className="mx-auto">
+      <polyline points={path} fill="none" stroke="currentColor" strokeWidth="1" />
+    </svg>
+  );
+};
+
+// Heat color for a bit by how often it toggles
+const toggleColor = (toggleRate) =>
+  toggleRate === 0 ? undefined : `rgba(220, 38, 38, ${0.1 + 0.6 * Math.sqrt(toggleRate)})`;
+
+// One row per byte, MSB on the left. Click selects a single bit for
+// plotting; shift-click marks a contiguous range that can be added as a
+// signal. With a signalset loaded, bits of known signals are outlined and
+// bytes no signal covers are flagged.
+const BitExplorer = ({ bitStats, numBytes, selectedBits, onToggleBit, onAddRange, knownBits }) => {
+  const [anchor, setAnchor] = useState(null);
+  const [range, setRange] = useState(null);
+
+  const handleClick = (position, event) => {
+    if (event.shiftKey && anchor !== null) {
+      setRange({ start: Math.min(anchor, position), end: Math.max(anchor, position) });
+      return;
+    }
+    setAnchor(position);
+    setRange(null);
+    onToggleBit(position);
+  };
+
+  const inRange = (position) => range && position >= range.start && position <= range.end;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex justify-between items-center">
+          <span>Bit Explorer</span>
+          {range && (
+            <div className="space-x-2 text-sm font-normal">
+              <span className="text-gray-500">
+                Bits {range.start}-{range.end} ({range.end - range.start + 1} bits)
+              </span>
+              <button
+                className="px-4 py-2 bg-green-500 text-white rounded"
+                onClick={() => {
+                  onAddRange(range.start, range.end - range.start + 1);
+                  setRange(null);
+                }}
+              >
+                Add as Signal
+              </button>
+            </div>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-gray-500 mb-2">
+          Cells show toggle rate / duty cycle. Click a bit to plot it, shift-click to select a range.
+        </p>
+        <div className="space-y-1">
+          {Array.from({ length: numBytes }, (_, byteNum) => {
+            const uncovered = knownBits && knownBits.slice(byteNum * 8, byteNum * 8 + 8).every(s => !s);
+            return (
+              <div key={byteNum} className="flex items-center">
+                <span
+                  className={`w-10 font-mono text-sm ${uncovered ? 'text-amber-600 font-bold' : 'text-gray-500'}`}
+                  title={uncovered ? 'Not covered by a known signal' : undefined}
+                >
+                  {byteNum.toString().padStart(2, '0')}
+                </span>
+                <div className="grid grid-cols-8 gap-1 flex-1">
+                  {Array.from({ length: 8 }, (_, i) => {
+                    const position = byteNum * 8 + i;
+                    const stats = bitStats[position];
+                    if (!stats) return <div key={i} />;
+                    const isSelected = selectedBits.has(position);
+                    const known = knownBits && knownBits[position];
+                    return (
+                      <button
+                        key={i}
+                        onClick={(e) => handleClick(position, e)}
+                        style={{ backgroundColor: inRange(position) ? undefined : toggleColor(stats.toggleRate) }}
+                        title={`Byte ${byteNum} bit ${7 - i}: toggles ${(stats.toggleRate * 100).toFixed(1)}%, high ${(stats.duty * 100).toFixed(1)}%${known ? ` - ${known.name}` : ''}`}
+                        className={`p-1 text-xs font-mono border rounded
+                          ${inRange(position) ? 'bg-green-100 border-green-500' : known ? 'border-indigo-400' : ''}
+                          ${isSelected ? 'ring-2 ring-blue-500' : ''}
+                          ${stats.toggleRate > 0 ? 'text-black' : 'text-gray-400'}`}
+                      >
+                        <div>{7 - i}</div>
+                        <div>{(stats.toggleRate * 100).toFixed(0)}/{(stats.duty * 100).toFixed(0)}</div>
+                        <Sparkline points={stats.sparkline} />
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BitExplorer;
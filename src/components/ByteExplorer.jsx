@@ -1,198 +1,596 @@
-import { React, useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { React, useState, useEffect, useMemo, useRef } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceArea,
+  ResponsiveContainer,
+  Brush,
+} from 'recharts';
 import _ from 'lodash';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
 import CorrelationFlow from './CorrelationFlow';
+import DependencyPanel from './DependencyPanel';
+import DistributionViews from './DistributionViews';
+import StateTimeline from './StateTimeline';
+import DerivedChannels from './DerivedChannels';
+import ReferencePanel from './ReferencePanel';
+import SignalSearch from './SignalSearch';
+import BitExplorer from './BitExplorer';
+import SignalEditor from './SignalEditor';
+import SignalsetExport from './SignalsetExport';
+import ReportExport from './ReportExport';
+import KnownSignals from './KnownSignals';
+import WorkspacePanel from './WorkspacePanel';
+import AnnotationsPanel from './AnnotationsPanel';
+import CaptureCompare from './CaptureCompare';
+import HighlightedHexData from './HighlightedHexData';
+import LivePanel from './LivePanel';
+import {
+  CAN_LOG_PARSERS,
+  bytesToHex,
+  calculateEntropy,
+  toColumns,
+  rowBytes,
+  groupValue,
+  sampleRow,
+  streamFrames,
+  framesToSamples,
+} from '../lib/analysis';
+import { runAnalysis } from '../lib/runAnalysis';
+import { downsampleRows } from '../lib/downsample';
+import { scopeIndices, selectSamples, addRange } from '../lib/ranges';
+import { addDerivedValues, derivedKey, withoutDependents } from '../lib/derived';
+import { createRollingWindow } from '../lib/rolling';
+import { createReplayTransport, createWebSocketTransport, createElmSerialTransport } from '../lib/transports';
+import { formatTimestamp } from '../lib/timestamps';
+import { insertGapMarkers, resampleRows } from '../lib/timeseries';
+import { alignReference } from '../lib/reference';
+import {
+  fieldBytes,
+  convertStartBit,
+  describeField,
+  byteRangeField,
+  MAX_FIELD_LENGTH,
+} from '../lib/bitfield';
+import { computeBitStats, bitKey, bitLabel, readBitValue } from '../lib/bits';
+import { describeClass, isCounterOrChecksum } from '../lib/classify';
+import { createConverter } from '../lib/formula';
+import { compareCaptures, payloadRows } from '../lib/compare';
+import {
+  markersToAnnotations,
+  nextAnnotationId,
+  rankEventChanges,
+} from '../lib/annotations';
+import { summarize, formatNumber } from '../lib/stats';
+import {
+  findCommand,
+  decodeSignal,
+  signalBitMap,
+} from '../lib/signalset';
+import {
+  serializeWorkspace,
+  deserializeWorkspace,
+  decodeShareHash,
+  loadAutosave,
+  saveAutosave,
+} from '../lib/workspace';
+
+const INPUT_FORMATS = {
+  hex: 'Hex lines',
+  elm327: 'ELM327 / OBD responses',
+  candump: 'candump -L log',
+  savvycan: 'SavvyCAN / GVRET CSV',
+};
+
+const INPUT_PLACEHOLDERS = {
+  hex: 'Paste hex data here (one line per sample)',
+  elm327: 'Paste ELM327 / STN adapter output here (headers, multi-frame responses and prompts are handled)',
+  candump: 'Paste candump -L output here, e.g. (1436509052.249713) can0 123#DEADBEEF',
+  savvycan: 'Paste a SavvyCAN / GVRET CSV export here, including the header row',
+};
+
+// About two points per pixel of a wide chart; longer captures are
+// downsampled to this many rows for the current zoom
+const MAX_CHART_POINTS = 2000;
+
+const CLASS_BADGE_STYLES = {
+  constant: 'bg-gray-100 text-gray-500',
+  counter: 'bg-orange-100 text-orange-700',
+  checksum: 'bg-rose-100 text-rose-700',
+  enum: 'bg-teal-100 text-teal-700',
+  continuous: 'bg-sky-100 text-sky-700',
+};
+
+const NIBBLE_NAMES = ['High', 'Low'];
+
+// Data row column holding a signal's value after conversion
+const decodedKey = (key) => `${key}_decoded`;
+
+// Chart row column holding a series scaled to 0-1
+const normalizedKey = (key) => `${key}_normalized`;
+
+// Points in the overview chart that carries the zoom brush
+const OVERVIEW_POINTS = 500;
+
+// Values of signals other than bytes, NaN where a sample has none, for the
+// worker tasks that take them alongside the byte columns
+const signalValues = (signals, rows) => signals.map(({ key, label }) => ({
+  key,
+  label,
+  values: Float64Array.from(rows, row => row[key] ?? NaN),
+}));
+
+// Parse problems listed under the input; the rest are only counted
+const MAX_DIAGNOSTICS_SHOWN = 500;
+
+// How often a live capture's window is redrawn
+const LIVE_REFRESH_MS = 200;
 
 const ByteExplorer = () => {
   const [rawInput, setRawInput] = useState('');
+  const [inputFormat, setInputFormat] = useState('hex');
   const [data, setData] = useState([]);
   const [selectedBytes, setSelectedBytes] = useState(new Set());
+  const [selectedBits, setSelectedBits] = useState(new Set());
   const [byteGroups, setByteGroups] = useState([]);
+  // Filters, differences and arithmetic over bytes, groups and each other
+  const [derivedChannels, setDerivedChannels] = useState([]);
+  const [conversions, setConversions] = useState({});
+  // Names for the raw values of enum-like signals, by series key and value
+  const [valueLabels, setValueLabels] = useState({});
   const [byteStats, setByteStats] = useState({});
   const [error, setError] = useState('');
   const [numBytesPerLine, setNumBytesPerLine] = useState(0);
   const [groupingMode, setGroupingMode] = useState(false);
   const [currentGroup, setCurrentGroup] = useState([]);
-  const [correlationData, setCorrelationData] = useState([]);
+  const [correlation, setCorrelation] = useState(null);
+  const [dependencies, setDependencies] = useState(null);
+  const [correlationThreshold, setCorrelationThreshold] = useState(0.7);
+  const [correlationLag, setCorrelationLag] = useState(10);
+  // Class of every byte and nibble (constant, counter, checksum, ...)
+  const [byteClasses, setByteClasses] = useState([]);
+  const [excludeCountersAndChecksums, setExcludeCountersAndChecksums] = useState(false);
+  const [streams, setStreams] = useState([]);
+  const [activeStreamId, setActiveStreamId] = useState(null);
+  const [streamViews, setStreamViews] = useState({});
+  const [timestampSource, setTimestampSource] = useState('none');
+  const [timestampColumn, setTimestampColumn] = useState(0);
+  // Whether lines that can't be read in full keep their readable bytes
+  const [badLines, setBadLines] = useState('keep');
+  // Problems found parsing the input, by input line
+  const [diagnostics, setDiagnostics] = useState([]);
+  // Input line of each sample, null when samples don't come from the input
+  const [sampleLines, setSampleLines] = useState(null);
+  const [xAxisMode, setXAxisMode] = useState('index');
+  const [resampleRate, setResampleRate] = useState(0);
+  const [reference, setReference] = useState(null);
+  const [referenceAlignment, setReferenceAlignment] = useState('index');
+  const [referenceOffset, setReferenceOffset] = useState(0);
+  // Request that produced the data, for signalset export
+  const [request, setRequest] = useState({ header: '', command: '' });
+  // Imported OBDb signalset and the command in it that describes the data
+  const [knownCommands, setKnownCommands] = useState(null);
+  const [knownCommandIndex, setKnownCommandIndex] = useState(-1);
+  // Workspace being restored; analyzed once its settings have rendered
+  const [pendingWorkspace, setPendingWorkspace] = useState(null);
+  const [workspaceReady, setWorkspaceReady] = useState(false);
+  const [autosaveFailed, setAutosaveFailed] = useState(false);
+  const [annotations, setAnnotations] = useState([]);
+  const [notes, setNotes] = useState('');
+  // Annotation markers from the last CAN log, placed on each stream as it opens
+  const [inputMarkers, setInputMarkers] = useState([]);
+  // Dragging on the chart marks an event while annotate mode is on
+  const [annotating, setAnnotating] = useState(false);
+  const [dragRange, setDragRange] = useState(null);
+  const [eventWindow, setEventWindow] = useState(2);
+  // Further captures of the same PID compared against the analyzed data
+  const [captures, setCaptures] = useState([]);
+  const [compareThreshold, setCompareThreshold] = useState(0.5);
+  // Byte columns of the data, the form the analysis worker works on
+  const [columns, setColumns] = useState([]);
+  const [entropyInfo, setEntropyInfo] = useState(null);
+  // Share of the input parsed while the worker is busy with it, else null
+  const [parseProgress, setParseProgress] = useState(null);
+  // Visible chart x range, null to show the whole capture
+  const [zoom, setZoom] = useState(null);
+  // Sample ranges left out of the statistics, and whether dragging on the
+  // chart adds one
+  const [excludedRanges, setExcludedRanges] = useState([]);
+  const [excluding, setExcluding] = useState(false);
+  // 'shared', 'normalized' (every series scaled to 0-1) or 'separate'
+  const [yAxisMode, setYAxisMode] = useState('shared');
+  // Live capture: its transport, rolling window and redraw timer
+  const [live, setLive] = useState(false);
+  const [liveStatus, setLiveStatus] = useState('');
+  const [liveRevision, setLiveRevision] = useState(0);
+  const liveSession = useRef(null);
+  const chartRef = useRef(null);
+  // Groups as of the last render, for rows built between renders
+  const byteGroupsRef = useRef(byteGroups);
+  byteGroupsRef.current = byteGroups;
 
-  // Calculate entropy for a single array of values
-  const calculateEntropy = (values) => {
-    const frequencies = _.countBy(values);
-    const probabilities = Object.values(frequencies).map(f => f / values.length);
-    return -probabilities.reduce((sum, p) => sum + p * Math.log2(p), 0);
-  };
+  // Plot against real time when every sample has a timestamp; pauses in the
+  // capture are drawn as gaps rather than interpolated
+  const hasTimestamps = useMemo(() => data.length > 0 && data.every(d => d.time !== undefined), [data]);
+  const useTimeAxis = hasTimestamps && xAxisMode === 'time';
 
-  // Calculate correlation between two arrays
-  const calculateCorrelation = (array1, array2) => {
-    const mean1 = _.mean(array1);
-    const mean2 = _.mean(array2);
-    const deviation1 = array1.map(x => x - mean1);
-    const deviation2 = array2.map(x => x - mean2);
-
-    const sum = deviation1.reduce((sum, _, i) => sum + deviation1[i] * deviation2[i], 0);
-    const sqrtProduct = Math.sqrt(
-      deviation1.reduce((sum, x) => sum + x * x, 0) *
-      deviation2.reduce((sum, x) => sum + x * x, 0)
-    );
+  // Data rows with the derived channels' values. Rates and integrals are
+  // per second whenever the capture has timestamps.
+  const channelData = useMemo(
+    () => addDerivedValues(data, derivedChannels, hasTimestamps ? 'time' : 'index'),
+    [data, derivedChannels, hasTimestamps]
+  );
 
-    return sqrtProduct === 0 ? 0 : sum / sqrtProduct;
-  };
+  // Statistics cover the zoomed part of the chart, minus excluded ranges
+  const scopedIndices = useMemo(
+    () => scopeIndices(data, useTimeAxis ? 'time' : 'index', zoom, excludedRanges),
+    [data, useTimeAxis, zoom, excludedRanges]
+  );
+  const scopedColumns = useMemo(
+    () => (scopedIndices && columns.length ? selectSamples(columns, scopedIndices) : columns),
+    [columns, scopedIndices]
+  );
+  const scopedData = useMemo(
+    () => (scopedIndices ? scopedIndices.map(i => channelData[i]) : channelData),
+    [channelData, scopedIndices]
+  );
 
-  // Update correlations whenever selected bytes change
+  // Statistics, entropy and correlation are worked out by the analysis
+  // worker; stale results are dropped when the inputs change again
   useEffect(() => {
-    if (!data.length) return;
-
-    const selectedBytesArray = Array.from(selectedBytes);
-    if (selectedBytesArray.length > 1) {
-      const correlations = [];
-      for (let i = 0; i < selectedBytesArray.length; i++) {
-        for (let j = i + 1; j < selectedBytesArray.length; j++) {
-          const byte1 = selectedBytesArray[i];
-          const byte2 = selectedBytesArray[j];
-          const values1 = data.map(d => d[`byte${byte1}`]);
-          const values2 = data.map(d => d[`byte${byte2}`]);
-          const correlation = calculateCorrelation(values1, values2);
-
-          correlations.push({
-            byte1,
-            byte2,
-            correlation: correlation
-          });
-        }
-      }
-      setCorrelationData(correlations);
-    } else {
-      setCorrelationData([]);
+    if (!scopedColumns.length) {
+      setByteStats({});
+      return undefined;
     }
-  }, [selectedBytes, data]);
-
-  // Create a component to display highlighted hex data
-  const HighlightedHexData = ({ text, bytesPerLine, selectedBytes, currentGroup }) => {
-    if (!text) return null;
-
-    const lines = text.trim().split('\n');
-    return (
-      <div className="font-mono text-sm whitespace-pre overflow-x-auto">
-        {lines.map((line, lineIdx) => (
-          <div key={lineIdx} className="flex">
-            <span className="text-gray-500 mr-4 select-none">
-              {lineIdx.toString().padStart(4, '0')}:
-            </span>
-            {Array.from({ length: Math.ceil(line.length / 2) }, (_, i) => {
-              const byteStart = i * 2;
-              const byteStr = line.slice(byteStart, byteStart + 2);
-              const isSelected = selectedBytes.has(i);
-              const isGrouped = currentGroup.includes(i);
-
-              return (
-                <span
-                  key={i}
-                  className={`mx-0.5 ${
-                    isGrouped ? 'bg-green-100 text-green-800' :
-                    isSelected ? 'bg-blue-100 text-blue-800' : ''
-                  }`}
-                >
-                  {byteStr}
-                </span>
-              );
-            })}
-          </div>
-        ))}
-      </div>
-    );
+    let cancelled = false;
+    runAnalysis('byteStats', { columns: scopedColumns })
+      .then(stats => !cancelled && setByteStats(stats))
+      .catch(err => !cancelled && setError('Error analyzing data: ' + err.message));
+    return () => { cancelled = true; };
+  }, [scopedColumns]);
+
+  // Groups and derived channels, which the worker sees only as values
+  const extraSignals = useMemo(() => [
+    ...byteGroups.map(group => ({ key: `group${group.id}`, label: group.name })),
+    ...derivedChannels.map(channel => ({ key: derivedKey(channel.id), label: channel.name })),
+  ], [byteGroups, derivedChannels]);
+
+  // A live capture's rows are its rolling window, which entropy is worked
+  // out over whatever the zoom
+  const entropyPositions = useMemo(() => [
+    ...Array.from(selectedBytes).map(byteNum => ({ key: `byte${byteNum}`, label: `Byte ${byteNum}`, byte: byteNum })),
+    ...Array.from(selectedBits).map(position => ({
+      key: bitKey(position),
+      label: bitLabel(position),
+      byte: position >> 3,
+      shift: 7 - (position & 7),
+    })),
+    ...signalValues(extraSignals, live ? channelData : scopedData),
+  ], [selectedBytes, selectedBits, extraSignals, live, channelData, scopedData]);
+
+  // A live capture's entropy comes from its rolling window, updated with
+  // every redraw
+  useEffect(() => {
+    if (live && liveSession.current) {
+      setEntropyInfo(liveSession.current.window.entropy(entropyPositions));
+      return undefined;
+    }
+    if (!scopedColumns.length || !entropyPositions.length) {
+      setEntropyInfo(null);
+      return undefined;
+    }
+    let cancelled = false;
+    runAnalysis('entropy', { columns: scopedColumns, positions: entropyPositions })
+      .then(info => !cancelled && setEntropyInfo(info))
+      .catch(err => !cancelled && setError('Error analyzing data: ' + err.message));
+    return () => { cancelled = true; };
+  }, [scopedColumns, entropyPositions, live, liveRevision]);
+
+  // Counters need consecutive samples, so classification always looks at
+  // the whole capture
+  useEffect(() => {
+    if (!columns.length) {
+      setByteClasses([]);
+      return undefined;
+    }
+    let cancelled = false;
+    runAnalysis('classify', { columns })
+      .then(classes => !cancelled && setByteClasses(classes))
+      .catch(err => !cancelled && setError('Error analyzing data: ' + err.message));
+    return () => { cancelled = true; };
+  }, [columns]);
+
+  // Bytes holding a counter or checksum, whole or in a nibble
+  const counterAndChecksumBytes = useMemo(() => byteClasses
+    .map((c, byteNum) => ([c.byte, ...c.nibbles].some(isCounterOrChecksum) ? byteNum : -1))
+    .filter(byteNum => byteNum !== -1), [byteClasses]);
+
+  const excludedBytes = useMemo(() => (
+    excludeCountersAndChecksums ? counterAndChecksumBytes : []
+  ), [excludeCountersAndChecksums, counterAndChecksumBytes]);
+
+  // Correlate every byte and group, not only the plotted ones
+  useEffect(() => {
+    if (!scopedColumns.length || scopedData.length < 2 || scopedData.length !== scopedColumns[0].length) {
+      setCorrelation(null);
+      return undefined;
+    }
+    const extra = signalValues(extraSignals, scopedData);
+    let cancelled = false;
+    runAnalysis('correlation', { columns: scopedColumns, extra, maxLag: correlationLag, excludeBytes: excludedBytes })
+      .then(result => !cancelled && setCorrelation(result))
+      .catch(err => !cancelled && setError('Error analyzing data: ' + err.message));
+    return () => { cancelled = true; };
+  }, [scopedColumns, scopedData, extraSignals, correlationLag, excludedBytes]);
+
+  const parseOptions = { inputFormat, timestampSource, timestampColumn, badLines };
+
+  // Build chart rows and byte columns from parsed samples
+  const loadSamples = (samples, groups) => {
+    const processedData = samples.map((sample, index) => sampleRow(sample, index, groups));
+
+    const bytesPerLine = _.max(samples.map(s => s.bytes.length)) || 0;
+    setData(processedData);
+    setNumBytesPerLine(bytesPerLine);
+    setColumns(toColumns(processedData, bytesPerLine));
+    setSampleLines(samples.map(sample => sample.line));
+    setZoom(null);
+    setXAxisMode(processedData.every(d => d.time !== undefined) ? 'time' : 'index');
+    setError('');
   };
 
-  const processData = (input) => {
-    try {
-      const lines = input.trim().split('\n');
-      if (lines.length === 0) {
-        setError('No data provided');
-        return;
-      }
+  // Switch the explorer to another arbitration ID or responding ECU,
+  // keeping each stream's selected bytes and groups so switching back
+  // restores them
+  const switchStream = (stream, views = streamViews, fromId = activeStreamId, markers = inputMarkers) => {
+    const nextViews = fromId !== null
+      ? { ...views, [fromId]: { selectedBytes, selectedBits, byteGroups, derivedChannels, conversions, valueLabels, annotations, excludedRanges } }
+      : views;
+    const frames = streamFrames(stream);
+    const view = nextViews[stream.id] || {
+      selectedBytes: new Set(),
+      selectedBits: new Set(),
+      byteGroups: [],
+      derivedChannels: [],
+      conversions: {},
+      valueLabels: {},
+      annotations: markersToAnnotations(markers, frames.map(frame => frame.line)),
+    };
 
-      // Validate hex data
-      const firstLineLength = lines[0].length;
-      const isValid = lines.every(line => {
-        const trimmed = line.trim();
-        return trimmed.length === firstLineLength && /^[0-9A-Fa-f]+$/.test(trimmed);
-      });
+    setStreamViews(nextViews);
+    setActiveStreamId(stream.id);
+    setRequest(stream.request || { header: '', command: '' });
+    setSelectedBytes(view.selectedBytes);
+    setSelectedBits(view.selectedBits);
+    setByteGroups(view.byteGroups);
+    setDerivedChannels(view.derivedChannels || []);
+    setConversions(view.conversions);
+    setValueLabels(view.valueLabels || {});
+    setAnnotations(view.annotations || []);
+    setExcludedRanges(view.excludedRanges || []);
+    setCurrentGroup([]);
+    setGroupingMode(false);
 
-      if (!isValid) {
-        setError('Invalid data format. All lines must be hex strings of the same length.');
-        return;
-      }
+    loadSamples(framesToSamples(frames), view.byteGroups);
+  };
 
-      // Process the data
-      const processedData = lines.map((line, index) => {
-        const bytes = {};
-        for (let i = 0; i < line.length; i += 2) {
-          const byteValue = parseInt(line.slice(i, i + 2), 16);
-          bytes[`byte${i/2}`] = byteValue;
-        }
-        return {
-          index,
-          ...bytes
-        };
-      });
+  const loadStreams = (parsedStreams, markers, views = {}, activeId = null) => {
+    setStreams(parsedStreams);
+    setInputMarkers(markers);
+    switchStream(parsedStreams.find(s => s.id === activeId) || parsedStreams[0], views, null, markers);
+  };
 
-      setData(processedData);
-      setNumBytesPerLine(Object.keys(processedData[0]).length - 1);
-
-      // Calculate statistics
-      const stats = {};
-      for (let i = 0; i < (Object.keys(processedData[0]).length - 1); i++) {
-        const values = processedData.map(d => d[`byte${i}`]);
-        stats[`byte${i}`] = {
-          min: Math.min(...values),
-          max: Math.max(...values),
-          mean: _.mean(values),
-          stdDev: Math.sqrt(_.mean(values.map(v => Math.pow(v - _.mean(values), 2)))),
-        };
+  // Views and active stream are only passed when restoring a workspace,
+  // whose annotations take precedence over markers in the input. Resolves
+  // to whether the input was loaded.
+  const processData = async (input, views, activeId) => {
+    try {
+      setParseProgress(0);
+      const parsed = await runAnalysis(
+        'parse',
+        { input, options: parseOptions },
+        { onProgress: setParseProgress }
+      );
+      setParseProgress(null);
+      if (parsed.error) {
+        setError(parsed.error);
+        return false;
+      }
+      const { markers, samples } = parsed;
+      setDiagnostics(parsed.diagnostics || []);
+      if (parsed.streams) {
+        loadStreams(parsed.streams, markers, views, activeId);
+        return true;
+      }
+
+      setRequest(parsed.request);
+      if (markers.length && views === undefined) {
+        setAnnotations(markersToAnnotations(markers, samples.map(sample => sample.line)));
       }
-      setByteStats(stats);
-      setError('');
+
+      setStreams([]);
+      setActiveStreamId(null);
+      setStreamViews({});
+      loadSamples(samples, byteGroups);
+      return true;
     } catch (err) {
+      setParseProgress(null);
       setError('Error processing data: ' + err.message);
+      return false;
     }
   };
 
-  // Calculate overall entropy for selected bytes
-  const calculateOverallEntropy = () => {
-    if (!data.length || !selectedBytes.size) return null;
+  // Redraw the chart and statistics from the live window when samples
+  // have arrived since the last redraw. Runs from a timer, so it reads the
+  // session and groups through refs.
+  const showLiveWindow = () => {
+    const session = liveSession.current;
+    if (!session || !session.dirty) return;
+    session.dirty = false;
+    const rows = session.window.samples().map(sample => sampleRow(sample, sample.seq, byteGroupsRef.current));
+    setData(rows);
+    setNumBytesPerLine(session.window.numBytes());
+    setByteStats(session.window.byteStats());
+    setLiveRevision(revision => revision + 1);
+  };
 
-    // Calculate individual entropies
-    const byteEntropies = Array.from(selectedBytes).map(byteNum => {
-      const values = data.map(d => d[`byte${byteNum}`]);
-      return {
-        byte: byteNum,
-        entropy: calculateEntropy(values)
-      };
-    });
+  // Samples replayed are those of the input box, or of the selected stream
+  // of a CAN log
+  const replaySamples = async () => {
+    const parsed = await runAnalysis('parse', { input: rawInput, options: parseOptions });
+    if (parsed.error) throw new Error(parsed.error);
+    if (!parsed.streams) return parsed.samples;
+    const stream = parsed.streams.find(s => s.id === activeStreamId) || parsed.streams[0];
+    return framesToSamples(streamFrames(stream));
+  };
 
-    // Calculate joint entropy if multiple bytes are selected
-    let jointEntropy = null;
-    if (selectedBytes.size > 1) {
-      const jointValues = data.map(d =>
-        Array.from(selectedBytes)
-          .map(byteNum => d[`byte${byteNum}`])
-          .join(',')
-      );
-      jointEntropy = calculateEntropy(jointValues);
+  const startLive = async (config) => {
+    setError('');
+    setLiveStatus('');
+    let transport = null;
+    try {
+      if (config.transport === 'replay') {
+        transport = createReplayTransport({ samples: await replaySamples(), ...config.replay });
+      } else if (config.transport === 'serial') {
+        if (!config.serial.command) throw new Error('Enter the mode and PID to poll');
+        transport = createElmSerialTransport(config.serial);
+      } else {
+        transport = createWebSocketTransport(config.websocket);
+      }
+
+      const session = { transport, window: createRollingWindow(config.windowSize), dirty: false, timer: null };
+      liveSession.current = session;
+      await transport.start({
+        onSamples: (samples) => {
+          session.window.push(samples);
+          session.dirty = true;
+        },
+        onStatus: setLiveStatus,
+      });
+      session.timer = setInterval(showLiveWindow, LIVE_REFRESH_MS);
+
+      setStreams([]);
+      setActiveStreamId(null);
+      setStreamViews({});
+      setData([]);
+      setColumns([]);
+      setSampleLines(null);
+      setDiagnostics([]);
+      setZoom(null);
+      setExcludedRanges([]);
+      setXAxisMode('time');
+      setLive(true);
+    } catch (err) {
+      liveSession.current = null;
+      if (transport) transport.stop();
+      setError('Could not start live capture: ' + err.message);
     }
+  };
 
-    return {
-      byteEntropies,
-      jointEntropy
-    };
+  // Stopping keeps the window's samples as the capture and analyzes them
+  // like pasted data
+  const stopLive = async () => {
+    const session = liveSession.current;
+    if (!session) return;
+    clearInterval(session.timer);
+    await session.transport.stop();
+    liveSession.current = null;
+    setLive(false);
+    const samples = session.window.samples();
+    setLiveStatus(`Stopped with ${samples.length} samples in the window`);
+    if (samples.length) loadSamples(samples, byteGroups);
   };
 
-  const combineBytes = (byteValues) => {
-    return byteValues.reduce((acc, val, idx) => {
-      return acc + (val << (8 * (byteValues.length - 1 - idx)));
-    }, 0);
+  useEffect(() => () => {
+    const session = liveSession.current;
+    if (session) {
+      clearInterval(session.timer);
+      session.transport.stop();
+    }
+  }, []);
+
+  const applyWorkspace = (workspace) => {
+    setRawInput(workspace.rawInput);
+    setInputFormat(workspace.inputFormat);
+    setTimestampSource(workspace.timestampSource);
+    setTimestampColumn(workspace.timestampColumn);
+    setBadLines(workspace.badLines);
+    setResampleRate(workspace.resampleRate);
+    setSelectedBytes(workspace.selectedBytes);
+    setSelectedBits(workspace.selectedBits);
+    setByteGroups(workspace.byteGroups);
+    setDerivedChannels(workspace.derivedChannels);
+    setConversions(workspace.conversions);
+    setValueLabels(workspace.valueLabels);
+    setReference(workspace.reference);
+    setReferenceAlignment(workspace.referenceAlignment);
+    setReferenceOffset(workspace.referenceOffset);
+    setKnownCommands(workspace.knownCommands);
+    setKnownCommandIndex(workspace.knownCommandIndex);
+    setAnnotations(workspace.annotations);
+    setNotes(workspace.notes);
+    setExcludedRanges(workspace.excludedRanges);
+    setYAxisMode(workspace.yAxisMode);
+    setCaptures(workspace.captures);
+    setCorrelationThreshold(workspace.correlationThreshold);
+    setCorrelationLag(workspace.correlationLag);
+    setExcludeCountersAndChecksums(workspace.excludeCountersAndChecksums);
+    setCurrentGroup([]);
+    setGroupingMode(false);
+    setStreams([]);
+    setData([]);
+    setColumns([]);
+    setPendingWorkspace(workspace);
   };
 
+  // Restoring runs once per workspace, so the effects below reach the
+  // latest handlers through refs
+  const applyWorkspaceRef = useRef(applyWorkspace);
+  applyWorkspaceRef.current = applyWorkspace;
+  const processDataRef = useRef(processData);
+  processDataRef.current = processData;
+
+  // Reopen a shared link, or else the last autosaved workspace
+  useEffect(() => {
+    const restore = async () => {
+      const { hash, pathname, search } = window.location;
+      if (hash.startsWith('#w=')) {
+        try {
+          applyWorkspaceRef.current(deserializeWorkspace(await decodeShareHash(hash.slice(3))));
+        } catch (err) {
+          setError('Could not open shared workspace: ' + err.message);
+        }
+        window.history.replaceState(null, '', pathname + search);
+      } else {
+        try {
+          const saved = loadAutosave();
+          if (saved) applyWorkspaceRef.current(deserializeWorkspace(saved));
+        } catch (err) {
+          // An unreadable autosave is simply dropped
+        }
+      }
+      setWorkspaceReady(true);
+    };
+    restore();
+  }, []);
+
+  // Analyze a restored workspace's input with its settings in effect
+  useEffect(() => {
+    if (!pendingWorkspace) return;
+    setPendingWorkspace(null);
+    if (!pendingWorkspace.rawInput) return;
+    const { xAxisMode: savedAxisMode } = pendingWorkspace;
+    processDataRef.current(pendingWorkspace.rawInput, pendingWorkspace.streamViews, pendingWorkspace.activeStreamId)
+      .then(loaded => loaded && setXAxisMode(savedAxisMode));
+  }, [pendingWorkspace]);
+
+  const nextGroupId = () => byteGroups.reduce((next, g) => Math.max(next, g.id + 1), 0);
+
   const toggleByte = (byteNum) => {
     if (groupingMode) {
       if (currentGroup.includes(byteNum)) {
@@ -213,16 +611,20 @@ const ByteExplorer = () => {
 
   const createGroup = () => {
     if (currentGroup.length > 0) {
+      const isContiguous = currentGroup.every((b, i) => i === 0 || b === currentGroup[i - 1] + 1);
       const newGroup = {
-        id: byteGroups.length,
+        id: nextGroupId(),
         bytes: [...currentGroup],
-        name: `Group ${byteGroups.length + 1}`
+        name: `Group ${byteGroups.length + 1}`,
+        ...(isContiguous
+          ? { field: byteRangeField(currentGroup[0], currentGroup.length) }
+          : { byteOrder: 'big', signed: false })
       };
 
       // Add combined values to data
       const updatedData = data.map(sample => ({
         ...sample,
-        [`group${newGroup.id}`]: combineBytes(newGroup.bytes.map(b => sample[`byte${b}`]))
+        [`group${newGroup.id}`]: groupValue(newGroup, sample)
       }));
 
       setByteGroups([...byteGroups, newGroup]);
@@ -232,8 +634,74 @@ const ByteExplorer = () => {
     }
   };
 
+  // Add a bit field (e.g. a signal search result) as a group
+  const addFieldGroup = (field) => {
+    const newGroup = {
+      id: nextGroupId(),
+      bytes: fieldBytes(field),
+      name: describeField(field),
+      field,
+    };
+
+    setByteGroups([...byteGroups, newGroup]);
+    setData(data.map(sample => ({
+      ...sample,
+      [`group${newGroup.id}`]: groupValue(newGroup, sample)
+    })));
+  };
+
+  const toggleBit = (position) => {
+    const newSelected = new Set(selectedBits);
+    if (newSelected.has(position)) {
+      newSelected.delete(position);
+    } else {
+      newSelected.add(position);
+    }
+    setSelectedBits(newSelected);
+  };
+
+  // Change a group's byte order, signedness, start bit or width and
+  // recompute its values
+  const updateGroup = (groupId, changes) => {
+    const updatedGroups = byteGroups.map(group => {
+      if (group.id !== groupId) return group;
+      if (group.field) {
+        // Numberings differ between byte orders, so the start bit moves with it
+        const field = changes.byteOrder
+          ? { ...group.field, ...changes, startBit: convertStartBit(group.field, changes.byteOrder) }
+          : { ...group.field, ...changes };
+        return { ...group, field, bytes: fieldBytes(field) };
+      }
+      return { ...group, ...changes };
+    });
+    const updatedGroup = updatedGroups.find(g => g.id === groupId);
+
+    setByteGroups(updatedGroups);
+    setData(data.map(sample => ({
+      ...sample,
+      [`group${groupId}`]: groupValue(updatedGroup, sample)
+    })));
+  };
+
+  // An empty label removes the value's entry
+  const setValueLabel = (key, value, label) => {
+    const labels = label ? { ...valueLabels[key], [value]: label } : _.omit(valueLabels[key], value);
+    setValueLabels(_.isEmpty(labels) ? _.omit(valueLabels, key) : { ...valueLabels, [key]: labels });
+  };
+
+  // Remove a group or derived channel's key, with the derived channels
+  // built on it and the formulas and labels of everything removed
+  const removeChannels = (key) => {
+    const kept = withoutDependents(derivedChannels, key);
+    const removed = [key, ...derivedChannels.filter(c => !kept.includes(c)).map(c => derivedKey(c.id))];
+    setDerivedChannels(kept);
+    setConversions(_.omit(conversions, removed));
+    setValueLabels(_.omit(valueLabels, removed));
+  };
+
   const removeGroup = (groupId) => {
     setByteGroups(byteGroups.filter(g => g.id !== groupId));
+    removeChannels(`group${groupId}`);
     const updatedData = data.map(sample => {
       const { [`group${groupId}`]: removed, ...rest } = sample;
       return rest;
@@ -249,63 +717,460 @@ const ByteExplorer = () => {
     return colors[index % colors.length];
   };
 
-  const CorrelationMatrix = ({ correlationData }) => {
-    const CORRELATION_THRESHOLD = 0.7; // Show only strong correlations (absolute value > 0.7)
-    const significantCorrelations = correlationData.filter(
-      ({ correlation }) => Math.abs(correlation) > CORRELATION_THRESHOLD
-    );
+  // Reference values aligned one-to-one with data rows
+  const referenceValues = useMemo(() => {
+    if (!reference) return null;
+    const mode = referenceAlignment === 'time' && hasTimestamps ? 'time' : 'index';
+    return alignReference(data, reference.points, mode, referenceOffset);
+  }, [data, reference, referenceAlignment, referenceOffset, hasTimestamps]);
 
-    if (!significantCorrelations.length) return (
-      <div className="mt-4">
-        <h3 className="font-medium mb-2">Byte Correlations:</h3>
-        <p className="text-gray-500 italic">No significant correlations found (threshold: ±{CORRELATION_THRESHOLD})</p>
-      </div>
-    );
+  // Mutual information covers the plotted bits and the reference too, so
+  // positions that predict the reference can be ranked
+  useEffect(() => {
+    if (!scopedColumns.length || scopedData.length < 2 || scopedData.length !== scopedColumns[0].length) {
+      setDependencies(null);
+      return undefined;
+    }
+    const bits = Array.from(selectedBits).map(position => ({
+      key: bitKey(position),
+      label: bitLabel(position),
+      byte: position >> 3,
+      shift: 7 - (position & 7),
+    }));
+    const extra = [
+      ...signalValues(extraSignals, scopedData),
+      ...(referenceValues ? [{
+        key: 'reference',
+        label: reference.name,
+        values: Float64Array.from(scopedIndices || referenceValues.keys(), i => referenceValues[i] ?? NaN),
+      }] : []),
+    ];
+    let cancelled = false;
+    runAnalysis('dependencies', { columns: scopedColumns, extra, bits, excludeBytes: excludedBytes })
+      .then(result => !cancelled && setDependencies(result))
+      .catch(err => !cancelled && setError('Error analyzing data: ' + err.message));
+    return () => { cancelled = true; };
+  }, [scopedColumns, scopedData, scopedIndices, extraSignals, selectedBits, referenceValues, reference, excludedBytes]);
 
-    const getCorrelationColor = (correlation) => {
-      // Convert correlation from [-1, 1] to [0, 1] for color scale
-      const normalized = (correlation + 1) / 2;
-      // Use a blue-white-red color scale
-      const r = Math.round(255 * (1 - normalized));
-      const b = Math.round(255 * normalized);
-      return `rgb(${r}, 240, ${b})`;
-    };
+  const bitStats = useMemo(() => computeBitStats(scopedData, numBytesPerLine), [scopedData, numBytesPerLine]);
 
-    return (
-      <div className="mt-4">
-        <h3 className="font-medium mb-2">Strong Byte Correlations (|r| > {CORRELATION_THRESHOLD}):</h3>
-        <div className="grid grid-cols-1 gap-2">
-          {significantCorrelations.map(({ byte1, byte2, correlation }, idx) => (
-            <div
-              key={idx}
-              className="p-2 rounded"
-              style={{ backgroundColor: getCorrelationColor(correlation) }}
-            >
-              <span className="font-mono">
-                Byte {byte1} ↔ Byte {byte2}: {correlation.toFixed(3)}
-              </span>
-            </div>
-          ))}
-        </div>
-      </div>
+  // Every plotted byte, bit and group, in legend order, with its conversion
+  // to physical units when one has been defined
+  const series = useMemo(() => {
+    const base = [
+      ...Array.from(selectedBytes).map(byteNum => ({
+        key: `byte${byteNum}`,
+        kind: 'byte',
+        defaultLabel: `Byte ${byteNum}`,
+        bytes: [byteNum],
+        field: byteRangeField(byteNum, 1),
+      })),
+      ...Array.from(selectedBits).map(position => ({
+        key: bitKey(position),
+        kind: 'bit',
+        defaultLabel: bitLabel(position),
+        bytes: [position >> 3],
+        field: { startBit: position, length: 1, byteOrder: 'big', signed: false },
+      })),
+      ...byteGroups.map(group => ({
+        key: `group${group.id}`,
+        kind: 'group',
+        defaultLabel: group.name,
+        bytes: group.bytes,
+        field: group.field,
+      })),
+      ...derivedChannels.map(channel => ({
+        key: derivedKey(channel.id),
+        kind: 'derived',
+        defaultLabel: channel.name,
+        bytes: [],
+      })),
+    ];
+
+    return base.map(s => {
+      const conversion = s.kind !== 'bit' ? conversions[s.key] : undefined;
+      const { convert, error } = conversion
+        ? createConverter(conversion, s.bytes.length)
+        : { convert: null, error: null };
+      const label = conversion?.name || s.defaultLabel;
+      const unit = conversion?.unit || '';
+      return {
+        ...s,
+        label,
+        unit,
+        convert,
+        error,
+        plotKey: convert ? decodedKey(s.key) : s.key,
+        legend: `${label}${unit ? ` (${unit})` : ''}${s.kind === 'group' ? ` [${s.bytes.join(', ')}]` : ''}`,
+      };
+    });
+  }, [selectedBytes, selectedBits, byteGroups, derivedChannels, conversions]);
+
+  // Data rows plus a column for every selected bit and decoded signal
+  const seriesData = useMemo(() => {
+    const decoding = series.filter(s => s.convert);
+    if (!selectedBits.size && !decoding.length) return channelData;
+    return channelData.map(row => {
+      const extra = {};
+      selectedBits.forEach(position => {
+        extra[bitKey(position)] = readBitValue(row, position);
+      });
+      decoding.forEach(s => {
+        extra[s.plotKey] = s.convert(row[s.key], s.bytes.map(b => row[`byte${b}`]));
+      });
+      return { ...row, ...extra };
+    });
+  }, [channelData, selectedBits, series]);
+
+  // Every byte, group and decoded signal, for the distribution views. The
+  // full range of unsigned raw values is known from their width.
+  const distributionSignals = useMemo(() => [
+    ..._.range(numBytesPerLine).map(byteNum => ({ key: `byte${byteNum}`, label: `Byte ${byteNum}`, bits: 8 })),
+    ...byteGroups.map(group => {
+      const bits = group.field ? group.field.length : group.bytes.length * 8;
+      const signed = group.field ? group.field.signed : group.signed;
+      return { key: `group${group.id}`, label: `${group.name} [${group.bytes.join(', ')}]`, bits: signed ? null : bits };
+    }),
+    ...derivedChannels.map(channel => ({ key: derivedKey(channel.id), label: channel.name })),
+    ...series.filter(s => s.convert).map(s => ({ key: s.plotKey, label: s.legend })),
+  ], [numBytesPerLine, byteGroups, derivedChannels, series]);
+
+  // Rows in the zoomed range, thinned to what the chart can show
+  const chartData = useMemo(() => {
+    const base = referenceValues
+      ? seriesData.map((d, i) => ({ ...d, reference: referenceValues[i] }))
+      : seriesData;
+    const xKey = useTimeAxis ? 'time' : 'index';
+    const plotKeys = [...series.map(s => s.plotKey), ...(referenceValues ? ['reference'] : [])];
+    const inZoom = (rows) => (zoom ? rows.filter(d => d[xKey] >= zoom.start && d[xKey] <= zoom.end) : rows);
+    if (!useTimeAxis) return downsampleRows(inZoom(base), plotKeys, xKey, MAX_CHART_POINTS);
+
+    const sorted = _.sortBy(base, 'time');
+    const rows = resampleRate > 0 ? resampleRows(sorted, resampleRate) : insertGapMarkers(sorted);
+    return rows && downsampleRows(inZoom(rows), plotKeys, xKey, MAX_CHART_POINTS);
+  }, [seriesData, series, referenceValues, useTimeAxis, resampleRate, zoom]);
+
+  // Range of every series over the whole capture, so normalized lines keep
+  // their scale while zooming
+  const plotRanges = useMemo(() => (yAxisMode === 'normalized'
+    ? _.fromPairs(series.map(s => [s.plotKey, summarize(seriesData.map(d => d[s.plotKey]))]))
+    : null), [yAxisMode, series, seriesData]);
+
+  // Chart rows with each series scaled to 0-1 when normalizing
+  const plottedData = useMemo(() => {
+    if (!plotRanges || !chartData) return chartData;
+    return chartData.map(row => {
+      const scaled = { ...row };
+      series.forEach(s => {
+        const range = plotRanges[s.plotKey];
+        const value = row[s.plotKey];
+        scaled[normalizedKey(s.plotKey)] = range && value !== null && value !== undefined
+          ? (range.max > range.min ? (value - range.min) / (range.max - range.min) : 0)
+          : null;
+      });
+      return scaled;
+    });
+  }, [chartData, plotRanges, series]);
+
+  // The whole capture thinned for the overview under the chart, where the
+  // brush picks the zoomed range
+  const overviewData = useMemo(() => {
+    if (!series.length || data.length < 2) return [];
+    const xKey = useTimeAxis ? 'time' : 'index';
+    const rows = useTimeAxis ? _.sortBy(seriesData, 'time') : seriesData;
+    return downsampleRows(rows, [series[0].plotKey], xKey, OVERVIEW_POINTS);
+  }, [series, seriesData, data.length, useTimeAxis]);
+
+  // Known signals for the current command, and which bytes they cover
+  const knownSignals = useMemo(() => {
+    const command = knownCommands && knownCommands[knownCommandIndex];
+    return command ? command.signals : [];
+  }, [knownCommands, knownCommandIndex]);
+
+  const knownBits = useMemo(() => (
+    knownSignals.length ? signalBitMap(knownSignals, numBytesPerLine) : null
+  ), [knownSignals, numBytesPerLine]);
+
+  // Names of the known signals touching each byte, null without a signalset
+  const knownBytes = useMemo(() => (
+    knownBits && _.range(numBytesPerLine).map(byteNum => _.uniq(
+      knownBits.slice(byteNum * 8, byteNum * 8 + 8).filter(Boolean).map(signal => signal.name)
+    ))
+  ), [knownBits, numBytesPerLine]);
+
+  const uncoveredBytes = knownBytes
+    ? _.range(numBytesPerLine).filter(byteNum => !knownBytes[byteNum].length)
+    : [];
+
+  // Decoded value of every known signal in every sample
+  const knownValues = useMemo(() => knownSignals.map(signal => data.map(row => decodeSignal(
+    signal,
+    _.range(numBytesPerLine).map(byteNum => row[`byte${byteNum}`])
+  ))), [knownSignals, data, numBytesPerLine]);
+
+  // Decoded values shown next to a sample in the hex preview, formatted
+  // only for the lines in view
+  const decodedLine = useMemo(() => {
+    const decoding = series.filter(s => s.convert);
+    if (!decoding.length && !knownSignals.length) return null;
+    return (i) => [
+      ...decoding.map(s => `${s.label}=${formatNumber(seriesData[i][s.plotKey])}${s.unit}`),
+      ...knownSignals.map((signal, k) => `${signal.name}=${formatNumber(knownValues[k][i])}${signal.unit}`),
+    ].join('  ');
+  }, [series, seriesData, knownSignals, knownValues]);
+
+  // Problem with each sample's input line, for the hex preview
+  const lineProblem = useMemo(() => {
+    if (!sampleLines || !diagnostics.length) return null;
+    const byLine = new Map(diagnostics.filter(d => !d.skipped).map(d => [d.line, d.reason]));
+    return (i) => byLine.get(sampleLines[i]) || null;
+  }, [sampleLines, diagnostics]);
+
+  // Summary of every plotted byte and group, for the stats under the chart
+  const seriesStats = useMemo(() => {
+    const rows = scopedIndices ? scopedIndices.map(i => seriesData[i]) : seriesData;
+    return _.fromPairs(series
+      .filter(s => s.kind !== 'bit')
+      .map(s => [s.key, summarize(rows.map(d => d[s.plotKey]))]));
+  }, [series, seriesData, scopedIndices]);
+
+  const groupRanges = useMemo(() => _.fromPairs(byteGroups.map(group => {
+    const stats = summarize(data.map(d => d[`group${group.id}`]));
+    return [group.id, stats && { min: stats.min, max: stats.max }];
+  })), [byteGroups, data]);
+
+  const loadKnownSignals = (commands) => {
+    const index = findCommand(commands, request);
+    setKnownCommands(commands);
+    setKnownCommandIndex(index === -1 && commands.length === 1 ? 0 : index);
+  };
+
+  const workspace = useMemo(() => serializeWorkspace({
+    rawInput,
+    inputFormat,
+    timestampSource,
+    timestampColumn,
+    badLines,
+    xAxisMode,
+    resampleRate,
+    selectedBytes,
+    selectedBits,
+    byteGroups,
+    derivedChannels,
+    conversions,
+    valueLabels,
+    activeStreamId,
+    // The active stream's view lives in the top-level state until switched away
+    streamViews: activeStreamId !== null
+      ? { ...streamViews, [activeStreamId]: { selectedBytes, selectedBits, byteGroups, derivedChannels, conversions, valueLabels, annotations, excludedRanges } }
+      : {},
+    reference,
+    referenceAlignment,
+    referenceOffset,
+    knownCommands,
+    knownCommandIndex,
+    annotations,
+    notes,
+    excludedRanges,
+    yAxisMode,
+    captures,
+    correlationThreshold,
+    correlationLag,
+    excludeCountersAndChecksums,
+  }), [
+    rawInput, inputFormat, timestampSource, timestampColumn, badLines, xAxisMode, resampleRate,
+    selectedBytes, selectedBits, byteGroups, derivedChannels, conversions, valueLabels, activeStreamId, streamViews,
+    reference, referenceAlignment, referenceOffset, knownCommands, knownCommandIndex, annotations, notes,
+    excludedRanges, yAxisMode, captures, correlationThreshold, correlationLag, excludeCountersAndChecksums,
+  ]);
+
+  // Autosave shortly after the last change
+  useEffect(() => {
+    if (!workspaceReady || pendingWorkspace) return undefined;
+    const timer = setTimeout(() => setAutosaveFailed(!saveAutosave(workspace)), 1000);
+    return () => clearTimeout(timer);
+  }, [workspace, workspaceReady, pendingWorkspace]);
+
+  // Parse a comparison capture in the current input format. For CAN logs
+  // only the active stream is kept. Resolves to an error message on failure.
+  const addCapture = async (name, input) => {
+    const parsed = await runAnalysis('parse', { input, options: parseOptions });
+    if (parsed.error) return parsed.error;
+    let payloads;
+    if (parsed.streams) {
+      const stream = parsed.streams.find(s => s.id === activeStreamId);
+      if (!stream) return `No frames with ID ${activeStreamId} in this capture`;
+      payloads = stream.frames.filter(f => f.data.length === stream.dlc).map(f => f.data);
+    } else {
+      payloads = parsed.samples.map(sample => sample.bytes);
+    }
+
+    const payloadLength = _.max(payloads.map(payload => payload.length));
+    if (payloadLength !== numBytesPerLine) {
+      return `Samples have ${payloadLength} bytes but the analyzed data has ${numBytesPerLine}`;
+    }
+    setCaptures(current => [
+      ...current,
+      { id: current.reduce((max, c) => Math.max(max, c.id), 0) + 1, name, payloads },
+    ]);
+    return null;
+  };
+
+  // Every byte and bit compared across the analyzed data and the captures,
+  // most different first
+  const comparison = useMemo(() => {
+    if (!captures.length || !data.length) return null;
+    const results = compareCaptures(
+      [{ name: 'Baseline', rows: data }, ...captures.map(c => ({ name: c.name, rows: payloadRows(c.payloads) }))],
+      numBytesPerLine,
+      { entropy: calculateEntropy }
     );
+    return _.orderBy(results, ['ks', r => Math.abs(r.entropyChange)], ['desc', 'desc']);
+  }, [captures, data, numBytesPerLine]);
+
+  const differingBytes = useMemo(() => new Set(
+    (comparison || []).filter(r => r.kind === 'byte' && r.ks >= compareThreshold).map(r => r.index)
+  ), [comparison, compareThreshold]);
+
+  const eventRanking = useMemo(() => (
+    annotations.length ? rankEventChanges(data, annotations, numBytesPerLine, { window: eventWindow }) : []
+  ), [data, annotations, numBytesPerLine, eventWindow]);
+
+  // Chart x coordinate of a sample, and the sample nearest a chart x
+  const sampleX = (index) => (useTimeAxis ? data[index]?.time : index);
+  const sampleAt = (x) => {
+    if (!useTimeAxis) return Math.round(x);
+    return _.minBy(data, d => Math.abs(d.time - x))?.index ?? 0;
+  };
+
+  // Dragging across the chart marks an event in annotate mode, leaves a
+  // range out of the statistics in exclude mode and zooms in otherwise
+  const finishDrag = () => {
+    if (!dragRange) return;
+    if (dragRange.start === undefined || dragRange.end === undefined) {
+      setDragRange(null);
+      return;
+    }
+    if (annotating) {
+      const [start, end] = [sampleAt(dragRange.start), sampleAt(dragRange.end)].sort((a, b) => a - b);
+      const id = nextAnnotationId(annotations);
+      setAnnotations([...annotations, { id, label: `Event ${id}`, start, end }]);
+    } else if (excluding) {
+      setExcludedRanges(addRange(excludedRanges, { start: sampleAt(dragRange.start), end: sampleAt(dragRange.end) }));
+    } else if (dragRange.start !== dragRange.end) {
+      const [start, end] = [dragRange.start, dragRange.end].sort((a, b) => a - b);
+      setZoom({ start, end });
+    }
+    setDragRange(null);
+  };
+
+  const hasSelection = series.length > 0;
+
+  // Brush position in the overview for the current zoom, and the zoom for a
+  // brush position; spanning the whole overview means no zoom
+  const overviewRange = useMemo(() => {
+    const last = overviewData.length - 1;
+    if (!zoom || last < 1) return { startIndex: 0, endIndex: Math.max(0, last) };
+    const xKey = useTimeAxis ? 'time' : 'index';
+    const startIndex = Math.max(0, _.sortedIndexBy(overviewData, { [xKey]: zoom.start }, xKey));
+    const endIndex = Math.min(last, Math.max(startIndex, _.sortedLastIndexBy(overviewData, { [xKey]: zoom.end }, xKey) - 1));
+    return { startIndex, endIndex };
+  }, [overviewData, zoom, useTimeAxis]);
+
+  const selectOverviewRange = ({ startIndex, endIndex }) => {
+    const xKey = useTimeAxis ? 'time' : 'index';
+    if (startIndex === 0 && endIndex === overviewData.length - 1) {
+      setZoom(null);
+    } else {
+      setZoom({ start: overviewData[startIndex][xKey], end: overviewData[endIndex][xKey] });
+    }
   };
 
-  // Add entropy information to the existing stats display
-  const entropyInfo = calculateOverallEntropy();
+  const timeOrigin = useTimeAxis && chartData?.length ? chartData[0].time : 0;
 
   return (
     <div className="space-y-4">
         <Card>
           <CardHeader>
-            <CardTitle>Value Changes Over Time</CardTitle>
+            <CardTitle className="flex justify-between items-center">
+              <span>Value Changes Over Time</span>
+              <div className="flex items-center space-x-2 text-sm font-normal">
+                {zoom && (
+                  <button className="px-3 py-1 rounded bg-gray-200" onClick={() => setZoom(null)}>
+                    Reset Zoom
+                  </button>
+                )}
+                {data.length > 0 && (
+                  <>
+                    <button
+                      className={`px-3 py-1 rounded ${annotating ? 'bg-amber-500 text-white' : 'bg-gray-200'}`}
+                      onClick={() => {
+                        setAnnotating(!annotating);
+                        setExcluding(false);
+                      }}
+                      title="Drag across the chart to mark an event"
+                    >
+                      {annotating ? 'Done Annotating' : 'Annotate'}
+                    </button>
+                    <button
+                      className={`px-3 py-1 rounded ${excluding ? 'bg-gray-600 text-white' : 'bg-gray-200'}`}
+                      onClick={() => {
+                        setExcluding(!excluding);
+                        setAnnotating(false);
+                      }}
+                      title="Drag across the chart to leave a range, such as key-off, out of the statistics"
+                    >
+                      {excluding ? 'Done Excluding' : 'Exclude Range'}
+                    </button>
+                    <select
+                      className="px-2 py-1 border rounded"
+                      value={yAxisMode}
+                      onChange={(e) => setYAxisMode(e.target.value)}
+                    >
+                      <option value="shared">Shared y-axis</option>
+                      <option value="normalized">Normalize 0–1</option>
+                      <option value="separate">Y-axis per series</option>
+                    </select>
+                  </>
+                )}
+                {hasTimestamps && (
+                  <>
+                    <select
+                      className="px-2 py-1 border rounded"
+                      value={xAxisMode}
+                      onChange={(e) => {
+                        setXAxisMode(e.target.value);
+                        setZoom(null);
+                      }}
+                    >
+                      <option value="index">Sample number</option>
+                      <option value="time">Time</option>
+                    </select>
+                    {useTimeAxis && (
+                      <label className="flex items-center space-x-1">
+                        <span>Resample</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          className="w-20 px-2 py-1 border rounded"
+                          value={resampleRate}
+                          onChange={(e) => setResampleRate(Math.max(0, parseFloat(e.target.value) || 0))}
+                        />
+                        <span>Hz</span>
+                      </label>
+                    )}
+                  </>
+                )}
+              </div>
+            </CardTitle>
           </CardHeader>
           <CardContent>
             <div className="grid grid-cols-3 gap-4">
               {/* Chart section - takes up 2/3 of the width */}
               <div className="col-span-2">
-                <div className="h-96 relative">
-                  {(data.length === 0 || (selectedBytes.size === 0 && byteGroups.length === 0)) ? (
+                <div className="h-96 relative" ref={chartRef}>
+                  {(data.length === 0 || !hasSelection) ? (
                     (data.length === 0) ? (
                     // Empty state message
                     <div className="absolute inset-0 flex items-center justify-center bg-gray-50 rounded border border-dashed border-gray-300">
@@ -323,75 +1188,223 @@ const ByteExplorer = () => {
                         </div>
                     </div>
                     )
+                  ) : chartData === null ? (
+                    <div className="absolute inset-0 flex items-center justify-center bg-gray-50 rounded border border-dashed border-gray-300">
+                      <div className="text-center text-gray-500">
+                        <p className="text-lg font-medium mb-2">Resample Rate Too High</p>
+                        <p className="text-sm">Lower the rate to plot this capture</p>
+                      </div>
+                    </div>
                   ) : (
                     // Actual chart when data is available
                     <ResponsiveContainer width="100%" height="100%">
-                      <LineChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                      <LineChart
+                        data={plottedData}
+                        margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                        onMouseDown={(e) => e && setDragRange({ start: e.activeLabel, end: e.activeLabel })}
+                        onMouseMove={(e) => dragRange && e && setDragRange({ ...dragRange, end: e.activeLabel })}
+                        onMouseUp={finishDrag}
+                        style={{ cursor: 'crosshair', userSelect: 'none' }}
+                      >
                         <CartesianGrid strokeDasharray="3 3" />
-                        <XAxis
-                          dataKey="index"
-                          label={{ value: 'Sample Number', position: 'bottom' }}
-                        />
+                        {useTimeAxis ? (
+                          <XAxis
+                            dataKey="time"
+                            type="number"
+                            domain={['dataMin', 'dataMax']}
+                            tickFormatter={(t) => formatTimestamp(t, timeOrigin)}
+                            label={{ value: 'Time', position: 'bottom' }}
+                          />
+                        ) : (
+                          <XAxis
+                            dataKey="index"
+                            type="number"
+                            domain={['dataMin', 'dataMax']}
+                            allowDecimals={false}
+                            label={{ value: 'Sample Number', position: 'bottom' }}
+                          />
+                        )}
                         <YAxis
-                          label={{ value: 'Value', angle: -90, position: 'insideLeft' }}
+                          hide={yAxisMode === 'separate'}
+                          domain={yAxisMode === 'normalized' ? [0, 1] : undefined}
+                          label={{ value: yAxisMode === 'normalized' ? 'Normalized' : 'Value', angle: -90, position: 'insideLeft' }}
+                        />
+                        {yAxisMode === 'separate' && series.map((s, idx) => (
+                          <YAxis
+                            key={s.key}
+                            yAxisId={s.key}
+                            orientation={idx % 2 ? 'right' : 'left'}
+                            stroke={getLineColor(idx)}
+                            width={50}
+                            tickFormatter={formatNumber}
+                          />
+                        ))}
+                        {reference && (
+                          <YAxis
+                            yAxisId="reference"
+                            orientation="right"
+                            label={{ value: reference.name, angle: 90, position: 'insideRight' }}
+                          />
+                        )}
+                        <Tooltip
+                          labelFormatter={useTimeAxis ? (t) => formatTimestamp(t, timeOrigin) : undefined}
+                          formatter={(value, name, item) => {
+                            const s = series.find(candidate => (
+                              candidate.plotKey === item.dataKey || normalizedKey(candidate.plotKey) === item.dataKey
+                            ));
+                            // Normalized lines still show the actual value
+                            const actual = s ? item.payload[s.plotKey] : value;
+                            const text = typeof actual === 'number' ? formatNumber(actual) : actual;
+                            const label = s && valueLabels[s.key] && valueLabels[s.key][item.payload[s.key]];
+                            return label ? `${text} (${label})` : text;
+                          }}
                         />
-                        <Tooltip />
                         <Legend />
-                        {Array.from(selectedBytes).map((byteNum, idx) => (
+                        {annotations.map(a => (
+                          <ReferenceArea
+                            key={a.id}
+                            x1={sampleX(a.start)}
+                            x2={sampleX(a.end)}
+                            fill="#f59e0b"
+                            fillOpacity={0.15}
+                            ifOverflow="hidden"
+                            label={{ value: a.label, position: 'insideTopLeft', fontSize: 12 }}
+                          />
+                        ))}
+                        {excludedRanges.map(range => (
+                          <ReferenceArea
+                            key={range.start}
+                            x1={sampleX(range.start)}
+                            x2={sampleX(range.end)}
+                            fill="#6b7280"
+                            fillOpacity={0.25}
+                            ifOverflow="hidden"
+                          />
+                        ))}
+                        {dragRange && (
+                          <ReferenceArea
+                            x1={dragRange.start}
+                            x2={dragRange.end}
+                            fill={annotating ? '#f59e0b' : excluding ? '#6b7280' : '#3b82f6'}
+                            fillOpacity={0.3}
+                          />
+                        )}
+                        {series.map((s, idx) => (
                           <Line
-                            key={`byte${byteNum}`}
-                            type="monotone"
-                            dataKey={`byte${byteNum}`}
-                            name={`Byte ${byteNum}`}
+                            key={s.key}
+                            type={s.kind === 'bit' ? 'stepAfter' : 'monotone'}
+                            dataKey={yAxisMode === 'normalized' ? normalizedKey(s.plotKey) : s.plotKey}
+                            yAxisId={yAxisMode === 'separate' ? s.key : undefined}
+                            name={s.legend}
                             stroke={getLineColor(idx)}
+                            strokeWidth={s.kind === 'group' ? 2 : undefined}
                             dot={false}
                           />
                         ))}
-                        {byteGroups.map((group, idx) => (
+                        {reference && (
                           <Line
-                            key={`group${group.id}`}
+                            yAxisId="reference"
                             type="monotone"
-                            dataKey={`group${group.id}`}
-                            name={`${group.name} [${group.bytes.join(', ')}]`}
-                            stroke={getLineColor(idx + selectedBytes.size)}
+                            dataKey="reference"
+                            name={reference.name}
+                            stroke="#6b7280"
+                            strokeDasharray="5 3"
                             dot={false}
-                            strokeWidth={2}
                           />
-                        ))}
+                        )}
                       </LineChart>
                     </ResponsiveContainer>
                   )}
                 </div>
 
+                {hasSelection && overviewData.length > 1 && (
+                  <div className="h-16 mt-2">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={overviewData} margin={{ top: 0, right: 30, left: 20, bottom: 0 }}>
+                        <YAxis hide domain={['dataMin', 'dataMax']} />
+                        <Line
+                          type="monotone"
+                          dataKey={series[0].plotKey}
+                          stroke={getLineColor(0)}
+                          dot={false}
+                          isAnimationActive={false}
+                        />
+                        <Brush
+                          dataKey={useTimeAxis ? 'time' : 'index'}
+                          height={24}
+                          startIndex={overviewRange.startIndex}
+                          endIndex={overviewRange.endIndex}
+                          tickFormatter={useTimeAxis ? (t) => formatTimestamp(t, overviewData[0].time) : undefined}
+                          onChange={selectOverviewRange}
+                        />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                )}
+
+                {data.length > 0 && (scopedIndices || excludedRanges.length > 0) && (
+                  <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                    {scopedIndices && (
+                      <span>
+                        Statistics cover {scopedIndices.length} of {data.length} samples
+                        {zoom ? ' in the zoomed range' : ''}
+                        {excludedRanges.length ? `${zoom ? ',' : ''} outside excluded ranges` : ''}
+                      </span>
+                    )}
+                    {excludedRanges.map(range => (
+                      <span key={range.start} className="flex items-center gap-1 px-2 py-0.5 bg-gray-100 border rounded">
+                        Excluded {range.start}–{range.end}
+                        <button
+                          className="text-gray-500 hover:text-red-500"
+                          onClick={() => setExcludedRanges(excludedRanges.filter(r => r !== range))}
+                          title="Include this range again"
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+
                 {/* Show stats only when there's data */}
-                {(data.length === 0 || (selectedBytes.size === 0 && byteGroups.length === 0)) && (
+                {(data.length > 0 && hasSelection) && (
                   <div className="mt-4 grid grid-cols-2 gap-4">
-                    {Array.from(selectedBytes).map((byteNum, idx) => (
-                      <div key={byteNum} className="p-3 border rounded">
-                        <p className="font-medium" style={{color: getLineColor(idx)}}>
-                          Byte {byteNum}:
-                        </p>
-                        <p>Range: {byteStats[`byte${byteNum}`]?.min} - {byteStats[`byte${byteNum}`]?.max}</p>
-                        <p>Mean: {byteStats[`byte${byteNum}`]?.mean.toFixed(2)}</p>
-                        <p>StdDev: {byteStats[`byte${byteNum}`]?.stdDev.toFixed(2)}</p>
-                      </div>
-                    ))}
-                    {byteGroups.map((group, idx) => {
-                      const groupValues = data.map(d => d[`group${group.id}`]);
-                      const stats = {
-                        min: Math.min(...groupValues),
-                        max: Math.max(...groupValues),
-                        mean: _.mean(groupValues),
-                        stdDev: Math.sqrt(_.mean(groupValues.map(v => Math.pow(v - _.mean(groupValues), 2))))
-                      };
+                    {series.map((s, idx) => {
+                      if (s.kind === 'bit') {
+                        const stats = bitStats[Number(s.key.slice(3))];
+                        return (
+                          <div key={s.key} className="p-3 border rounded">
+                            <p className="font-medium" style={{color: getLineColor(idx)}}>
+                              {s.label}:
+                            </p>
+                            {stats ? (
+                              <>
+                                <p>High: {(stats.duty * 100).toFixed(1)}%</p>
+                                <p>Toggles: {(stats.toggleRate * 100).toFixed(1)}% of samples</p>
+                              </>
+                            ) : (
+                              <p className="text-gray-500">No values</p>
+                            )}
+                          </div>
+                        );
+                      }
+                      const stats = seriesStats[s.key];
+                      const unit = s.convert && s.unit ? ` ${s.unit}` : '';
                       return (
-                        <div key={group.id} className="p-3 border rounded">
-                          <p className="font-medium" style={{color: getLineColor(idx + selectedBytes.size)}}>
-                            {group.name} [Bytes {group.bytes.join(', ')}]:
+                        <div key={s.key} className="p-3 border rounded">
+                          <p className="font-medium" style={{color: getLineColor(idx)}}>
+                            {s.kind === 'group' ? `${s.label} [Bytes ${s.bytes.join(', ')}]` : s.label}:
                           </p>
-                          <p>Range: {stats.min} - {stats.max}</p>
-                          <p>Mean: {stats.mean.toFixed(2)}</p>
-                          <p>StdDev: {stats.stdDev.toFixed(2)}</p>
+                          {stats ? (
+                            <>
+                              <p>Range: {formatNumber(stats.min)} - {formatNumber(stats.max)}{unit}</p>
+                              <p>Mean: {stats.mean.toFixed(2)}{unit}</p>
+                              <p>StdDev: {stats.stdDev.toFixed(2)}{unit}</p>
+                              {stats.count < scopedData.length && <p>Samples: {stats.count}</p>}
+                            </>
+                          ) : (
+                            <p className="text-gray-500">No values</p>
+                          )}
                         </div>
                       );
                     })}
@@ -401,19 +1414,31 @@ const ByteExplorer = () => {
 
               {/* Entropy information section - takes up 1/3 of the width */}
               <div className="col-span-1">
-                {(data.length === 0 || (selectedBytes.size === 0 && byteGroups.length === 0)) ? (
+                {(data.length === 0 || !hasSelection) ? (
                   <div className="bg-gray-50 rounded p-4 text-center text-gray-500">
                     <p>Statistical analysis will appear here</p>
-                    <p className="text-sm mt-2">Select bytes to view entropy and correlation data</p>
+                    <p className="text-sm mt-2">Select bytes to view their entropy</p>
                   </div>
                 ) : (
-                  <>
-                    {correlationData.length > 0 && (
-                    <div className="mt-4">
-                        <CorrelationFlow correlationData={correlationData} />
+                  entropyInfo && (
+                    <div>
+                      <h3 className="font-medium mb-2">Entropy:</h3>
+                      <div className="space-y-1 text-sm font-mono">
+                        {entropyInfo.byteEntropies.map(({ key, label, entropy }) => (
+                          <div key={key} className="flex justify-between">
+                            <span>{label}</span>
+                            <span>{entropy.toFixed(3)} bits</span>
+                          </div>
+                        ))}
+                        {entropyInfo.jointEntropy !== null && (
+                          <div className="flex justify-between border-t pt-1 font-medium">
+                            <span>Joint</span>
+                            <span>{entropyInfo.jointEntropy.toFixed(3)} bits</span>
+                          </div>
+                        )}
+                      </div>
                     </div>
-                    )}
-                  </>
+                  )
                 )}
               </div>
             </div>
@@ -421,6 +1446,83 @@ const ByteExplorer = () => {
         </Card>
 
 
+        {data.length > 0 && (
+          <DistributionViews
+            signals={distributionSignals}
+            rows={seriesData}
+            reference={referenceValues && { name: reference.name, values: referenceValues }}
+          />
+        )}
+
+        {data.length > 0 && (
+          <StateTimeline
+            series={series}
+            rows={seriesData}
+            xKey={useTimeAxis ? 'time' : 'index'}
+            valueLabels={valueLabels}
+            onLabelChange={setValueLabel}
+          />
+        )}
+
+        {correlation && correlation.signals.length > 1 && (
+          <CorrelationFlow
+            correlation={correlation}
+            threshold={correlationThreshold}
+            onThresholdChange={setCorrelationThreshold}
+            maxLag={correlationLag}
+            onMaxLagChange={setCorrelationLag}
+          />
+        )}
+
+        {dependencies && dependencies.signals.length > 1 && (
+          <DependencyPanel
+            dependencies={dependencies}
+            defaultTarget={referenceValues ? 'reference' : series.length ? series[0].key : dependencies.signals[0].key}
+          />
+        )}
+
+        {streams.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Streams</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="max-h-64 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-1 pr-4">ID</th>
+                    <th className="py-1 pr-4">Frames</th>
+                    <th className="py-1 pr-4">DLC</th>
+                    <th className="py-1 pr-4">Rate</th>
+                    <th className="py-1">Share</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {streams.map(stream => (
+                    <tr
+                      key={stream.id}
+                      className={`cursor-pointer border-b hover:bg-gray-100 ${
+                        stream.id === activeStreamId ? 'bg-blue-50 font-medium' : ''
+                      }`}
+                      onClick={() => stream.id !== activeStreamId && switchStream(stream)}
+                    >
+                      <td className="py-1 pr-4 font-mono">{stream.id}</td>
+                      <td className="py-1 pr-4">{stream.count}</td>
+                      <td className="py-1 pr-4">{stream.dlcs.join(', ')}</td>
+                      <td className="py-1 pr-4">
+                        {stream.rate !== null ? `${stream.rate.toFixed(1)} Hz` : 'n/a'}
+                      </td>
+                      <td className="py-1">{(stream.share * 100).toFixed(1)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+        )}
+
         {data.length > 0 && (
         <Card>
           <CardHeader>
@@ -435,8 +1537,10 @@ const ByteExplorer = () => {
                 </button>
                 {groupingMode && currentGroup.length > 0 && (
                   <button
-                    className="px-4 py-2 bg-green-500 text-white rounded"
+                    className="px-4 py-2 bg-green-500 text-white rounded disabled:opacity-50"
                     onClick={createGroup}
+                    disabled={currentGroup.length * 8 > MAX_FIELD_LENGTH}
+                    title={currentGroup.length * 8 > MAX_FIELD_LENGTH ? `Groups are limited to ${MAX_FIELD_LENGTH} bits` : undefined}
                   >
                     Save Group
                   </button>
@@ -445,14 +1549,29 @@ const ByteExplorer = () => {
             </CardTitle>
           </CardHeader>
           <CardContent>
+            {counterAndChecksumBytes.length > 0 && (
+              <label className="flex items-center space-x-2 mb-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={excludeCountersAndChecksums}
+                  onChange={(e) => setExcludeCountersAndChecksums(e.target.checked)}
+                />
+                <span>
+                  Leave counters and checksums (bytes {counterAndChecksumBytes.join(', ')}) out of correlation and search
+                </span>
+              </label>
+            )}
             <div className="grid grid-cols-8 gap-2">
               {Array.from({ length: numBytesPerLine }, (_, i) => (
                 <div key={i} className="flex flex-col">
                   <button
                     onClick={() => toggleByte(i)}
+                    title={knownBytes ? (knownBytes[i].join(', ') || 'Not covered by a known signal') : undefined}
                     className={`p-2 text-sm font-mono border rounded hover:bg-gray-100
                       ${currentGroup.includes(i) ? 'bg-green-100 border-green-500' :
                         selectedBytes.has(i) ? 'bg-blue-100 border-blue-500' : 'bg-white'}
+                      ${knownBytes && !knownBytes[i].length ? 'ring-2 ring-amber-400' : ''}
+                      ${differingBytes.has(i) ? 'outline outline-2 outline-purple-500' : ''}
                       ${byteStats[`byte${i}`]?.stdDev > 0 ? 'text-black font-medium' : 'text-gray-400'}`}
                   >
                     {i.toString().padStart(2, '0')}
@@ -461,6 +1580,39 @@ const ByteExplorer = () => {
                         `${byteStats[`byte${i}`].min}-${byteStats[`byte${i}`].max}` :
                         'n/a'}
                     </div>
+                    {byteStats[`byte${i}`] && byteStats[`byte${i}`].count < scopedData.length && (
+                      <div className="text-xs text-amber-600 text-center">
+                        {byteStats[`byte${i}`].count} samples
+                      </div>
+                    )}
+                    {knownBytes && knownBytes[i].length > 0 && (
+                      <div className="text-xs text-indigo-600 mt-1 text-center truncate">
+                        {knownBytes[i].join(', ')}
+                      </div>
+                    )}
+                    {differingBytes.has(i) && (
+                      <div className="text-xs text-purple-600 mt-1 text-center">differs</div>
+                    )}
+                    {byteClasses[i] && (
+                      <div
+                        className={`text-xs mt-1 px-1 rounded text-center truncate ${CLASS_BADGE_STYLES[byteClasses[i].byte.type]}`}
+                        title={byteClasses[i].nibbles
+                          .map((nibble, half) => `${NIBBLE_NAMES[half]} nibble: ${describeClass(nibble)}`)
+                          .join(', ')}
+                      >
+                        {describeClass(byteClasses[i].byte)}
+                      </div>
+                    )}
+                    {byteClasses[i] && !isCounterOrChecksum(byteClasses[i].byte) && byteClasses[i].nibbles.map(
+                      (nibble, half) => isCounterOrChecksum(nibble) && (
+                        <div
+                          key={half}
+                          className={`text-xs mt-1 px-1 rounded text-center truncate ${CLASS_BADGE_STYLES[nibble.type]}`}
+                        >
+                          {NIBBLE_NAMES[half].toLowerCase()}: {describeClass(nibble)}
+                        </div>
+                      )
+                    )}
                   </button>
                 </div>
               ))}
@@ -471,18 +1623,62 @@ const ByteExplorer = () => {
                 <h3 className="font-medium mb-2">Byte Groups:</h3>
                 <div className="space-y-2">
                   {byteGroups.map((group) => {
-                    const groupValues = data.map(d => d[`group${group.id}`]);
-                    const range = groupValues.length > 0 ? {
-                      min: Math.min(...groupValues),
-                      max: Math.max(...groupValues)
-                    } : null;
+                    const range = groupRanges[group.id];
+                    const settings = group.field || group;
 
                     return (
-                      <div key={group.id} className="flex items-center space-x-2 p-2 border rounded">
+                      <div key={group.id} className="flex flex-wrap items-center gap-2 p-2 border rounded">
                         <span className="font-medium">{group.name}:</span>
                         <span className="font-mono">
                           Bytes [{group.bytes.join(', ')}]
                         </span>
+                        <select
+                          className="px-1 py-0.5 border rounded text-sm"
+                          value={settings.byteOrder}
+                          onChange={(e) => updateGroup(group.id, { byteOrder: e.target.value })}
+                        >
+                          <option value="big">Big endian</option>
+                          <option value="little">Little endian</option>
+                        </select>
+                        <label className="flex items-center space-x-1 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={settings.signed}
+                            onChange={(e) => updateGroup(group.id, { signed: e.target.checked })}
+                          />
+                          <span>Signed</span>
+                        </label>
+                        {group.field && (
+                          <>
+                            <label className="flex items-center space-x-1 text-sm">
+                              <span>Start bit</span>
+                              <input
+                                type="number"
+                                min="0"
+                                max={numBytesPerLine * 8 - 1}
+                                className="w-16 px-1 py-0.5 border rounded"
+                                value={group.field.startBit}
+                                onChange={(e) => updateGroup(group.id, {
+                                  startBit: _.clamp(parseInt(e.target.value, 10) || 0, 0, numBytesPerLine * 8 - 1)
+                                })}
+                              />
+                            </label>
+                            <label className="flex items-center space-x-1 text-sm">
+                              <span>Width</span>
+                              <input
+                                type="number"
+                                min="1"
+                                max={MAX_FIELD_LENGTH}
+                                className="w-16 px-1 py-0.5 border rounded"
+                                value={group.field.length}
+                                onChange={(e) => updateGroup(group.id, {
+                                  length: _.clamp(parseInt(e.target.value, 10) || 1, 1, MAX_FIELD_LENGTH)
+                                })}
+                              />
+                              <span>bits</span>
+                            </label>
+                          </>
+                        )}
                         {range && (
                           <span className="text-xs text-gray-500">
                             Range: {range.min}-{range.max}
@@ -504,6 +1700,146 @@ const ByteExplorer = () => {
         </Card>
       )}
 
+        {data.length > 0 && (
+          <DerivedChannels
+            channels={derivedChannels}
+            sources={[
+              ..._.range(numBytesPerLine).map(byteNum => ({ key: `byte${byteNum}`, label: `Byte ${byteNum}` })),
+              ...byteGroups.map(group => ({ key: `group${group.id}`, label: group.name })),
+            ]}
+            hasTimestamps={hasTimestamps}
+            onChange={setDerivedChannels}
+            onRemove={(id) => removeChannels(derivedKey(id))}
+          />
+        )}
+
+        {data.length > 0 && (
+          <SignalEditor
+            series={series}
+            conversions={conversions}
+            data={seriesData}
+            onChange={(key, conversion) => setConversions({ ...conversions, [key]: conversion })}
+            onReset={(key) => setConversions(_.omit(conversions, key))}
+          />
+        )}
+
+        {data.length > 0 && (
+          <BitExplorer
+            bitStats={bitStats}
+            knownBits={knownBits}
+            numBytes={numBytesPerLine}
+            selectedBits={selectedBits}
+            onToggleBit={toggleBit}
+            onAddRange={(startBit, length) => addFieldGroup({ startBit, length, byteOrder: 'big', signed: false })}
+          />
+        )}
+
+        {data.length > 0 && (
+          <AnnotationsPanel
+            annotations={annotations}
+            onChange={setAnnotations}
+            numSamples={data.length}
+            ranking={eventRanking}
+            window={eventWindow}
+            onWindowChange={setEventWindow}
+            isPlotted={(r) => (r.kind === 'byte' ? selectedBytes : selectedBits).has(r.index)}
+            onPlot={(r) => (r.kind === 'byte' ? toggleByte : toggleBit)(r.index)}
+          />
+        )}
+
+        {data.length > 0 && (
+          <CaptureCompare
+            captures={captures}
+            comparison={comparison}
+            threshold={compareThreshold}
+            onThresholdChange={setCompareThreshold}
+            onAdd={addCapture}
+            onRemove={(id) => setCaptures(captures.filter(c => c.id !== id))}
+          />
+        )}
+
+        {data.length > 0 && (
+          <ReferencePanel
+            data={seriesData}
+            series={series}
+            reference={reference}
+            onReferenceChange={setReference}
+            referenceValues={referenceValues}
+            alignment={referenceAlignment}
+            onAlignmentChange={setReferenceAlignment}
+            offset={referenceOffset}
+            onOffsetChange={setReferenceOffset}
+            hasTimestamps={hasTimestamps}
+          />
+        )}
+
+        {data.length > 0 && (
+          <SignalSearch
+            data={data}
+            numBytes={numBytesPerLine}
+            excludeBytes={excludedBytes}
+            referenceValues={referenceValues}
+            onAddField={addFieldGroup}
+          />
+        )}
+
+        {data.length > 0 && (
+          <KnownSignals
+            commands={knownCommands}
+            commandIndex={knownCommandIndex}
+            onLoad={loadKnownSignals}
+            onCommandChange={setKnownCommandIndex}
+            onClear={() => {
+              setKnownCommands(null);
+              setKnownCommandIndex(-1);
+            }}
+            values={knownValues}
+            uncoveredBytes={uncoveredBytes}
+          />
+        )}
+
+        {data.length > 0 && (
+          <SignalsetExport
+            key={`${request.header}:${request.command}`}
+            series={series}
+            conversions={conversions}
+            valueLabels={valueLabels}
+            data={seriesData}
+            defaultHeader={request.header}
+            defaultCommand={request.command}
+          />
+        )}
+
+        {data.length > 0 && (
+          <ReportExport
+            key={`${request.header}:${request.command}:${activeStreamId}`}
+            defaultTitle={request.command
+              ? `PID ${request.header} ${request.command}`.replace(/\s+/g, ' ')
+              : activeStreamId !== null ? `CAN ID ${activeStreamId}` : 'PID report'}
+            notes={notes}
+            onNotesChange={setNotes}
+            request={request}
+            streamId={activeStreamId}
+            rows={seriesData}
+            numBytes={numBytesPerLine}
+            series={series}
+            conversions={conversions}
+            valueLabels={valueLabels}
+            annotations={annotations}
+            scopedColumns={scopedColumns}
+            scopedSamples={scopedData.length}
+            byteStats={byteStats}
+            byteClasses={byteClasses}
+            correlation={correlation}
+            threshold={correlationThreshold}
+            chartRef={chartRef}
+            legend={[
+              ...series.map((s, idx) => ({ label: s.legend, color: getLineColor(idx) })),
+              ...(reference ? [{ label: reference.name, color: '#6b7280' }] : []),
+            ]}
+          />
+        )}
+
       <Card>
         <CardHeader>
           <CardTitle>Data Input</CardTitle>
@@ -512,33 +1848,115 @@ const ByteExplorer = () => {
           <div className="space-y-4">
             <textarea
               className="w-full h-32 p-2 font-mono text-sm border rounded"
-              placeholder="Paste hex data here (one line per sample)"
+              placeholder={INPUT_PLACEHOLDERS[inputFormat]}
               value={rawInput}
               onChange={(e) => setRawInput(e.target.value)}
             />
             <div className="flex justify-between items-center">
-              <button
-                className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-                onClick={() => processData(rawInput)}
-              >
-                Analyze Data
-              </button>
+              <div className="flex items-center space-x-2">
+                <select
+                  className="px-2 py-2 border rounded text-sm"
+                  value={inputFormat}
+                  onChange={(e) => setInputFormat(e.target.value)}
+                >
+                  {Object.entries(INPUT_FORMATS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+                  onClick={() => processData(rawInput)}
+                  disabled={parseProgress !== null || live}
+                >
+                  {parseProgress === null ? 'Analyze Data'
+                    : `Parsing…${parseProgress > 0 ? ` ${Math.round(parseProgress * 100)}%` : ''}`}
+                </button>
+                {!CAN_LOG_PARSERS[inputFormat] && (
+                  <select
+                    className="px-2 py-2 border rounded text-sm"
+                    value={timestampSource}
+                    onChange={(e) => setTimestampSource(e.target.value)}
+                  >
+                    <option value="none">No timestamps</option>
+                    <option value="prefix">Timestamp line prefix</option>
+                    {inputFormat === 'hex' && <option value="column">Timestamp CSV column</option>}
+                  </select>
+                )}
+                {!CAN_LOG_PARSERS[inputFormat] && (
+                  <select
+                    className="px-2 py-2 border rounded text-sm"
+                    value={badLines}
+                    onChange={(e) => setBadLines(e.target.value)}
+                  >
+                    <option value="keep">Keep readable bytes of bad lines</option>
+                    <option value="skip">Skip bad lines</option>
+                  </select>
+                )}
+                {inputFormat === 'hex' && timestampSource === 'column' && (
+                  <label className="flex items-center space-x-1 text-sm">
+                    <span>Column</span>
+                    <input
+                      type="number"
+                      min="0"
+                      className="w-16 px-2 py-2 border rounded"
+                      value={timestampColumn}
+                      onChange={(e) => setTimestampColumn(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    />
+                  </label>
+                )}
+              </div>
               {error && <p className="text-red-500">{error}</p>}
             </div>
-            {rawInput && (
+            {diagnostics.length > 0 && (
+              <details className="text-sm">
+                <summary className="cursor-pointer text-amber-700">
+                  {`${diagnostics.length} ${diagnostics.length === 1 ? 'line' : 'lines'} with problems, `}
+                  {`${diagnostics.filter(d => d.skipped).length} skipped`}
+                </summary>
+                <ul className="mt-2 max-h-48 overflow-auto font-mono text-xs">
+                  {diagnostics.slice(0, MAX_DIAGNOSTICS_SHOWN).map(d => (
+                    <li key={d.line} className={d.skipped ? 'text-red-600' : 'text-amber-700'}>
+                      Line {d.line}: {d.reason}{d.skipped ? ' (skipped)' : ''}
+                    </li>
+                  ))}
+                  {diagnostics.length > MAX_DIAGNOSTICS_SHOWN && (
+                    <li className="text-gray-500">…and {diagnostics.length - MAX_DIAGNOSTICS_SHOWN} more</li>
+                  )}
+                </ul>
+              </details>
+            )}
+            {data.length > 0 && (
               <div className="mt-4 border rounded p-4 bg-gray-50">
                 <h3 className="text-sm font-medium mb-2">Data Preview:</h3>
                 <HighlightedHexData
-                  text={rawInput}
-                  bytesPerLine={numBytesPerLine}
+                  lineCount={data.length}
+                  lineText={(i) => bytesToHex(rowBytes(data[i]))}
                   selectedBytes={selectedBytes}
                   currentGroup={currentGroup}
+                  decoded={decodedLine}
+                  knownBytes={knownBytes}
+                  problem={lineProblem}
                 />
               </div>
             )}
           </div>
         </CardContent>
       </Card>
+
+      <LivePanel
+        live={live}
+        status={liveStatus}
+        defaultHeader={request.header}
+        defaultCommand={request.command}
+        onStart={startLive}
+        onStop={stopLive}
+      />
+
+      <WorkspacePanel
+        workspace={workspace}
+        onLoad={applyWorkspace}
+        autosaveFailed={autosaveFailed}
+      />
     </div>
   );
 };
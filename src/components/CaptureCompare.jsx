@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { formatNumber } from '../lib/stats';
+
+const formatShift = (value) => `${value > 0 ? '+' : ''}${formatNumber(value)}`;
+
+// Load more captures of the same PID and compare them with the analyzed
+// data, which is the baseline
+const CaptureCompare = ({
+  captures,
+  comparison,
+  threshold,
+  onThresholdChange,
+  onAdd,
+  onRemove,
+}) => {
+  const [name, setName] = useState('');
+  const [text, setText] = useState('');
+  const [addError, setAddError] = useState('');
+  const [showAll, setShowAll] = useState(false);
+
+  const add = async () => {
+    const error = await onAdd(name.trim() || `Capture ${captures.length + 2}`, text);
+    setAddError(error || '');
+    if (!error) {
+      setName('');
+      setText('');
+    }
+  };
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    setText(await file.text());
+    if (!name) setName(file.name);
+  };
+
+  const rows = comparison
+    ? (showAll ? comparison : comparison.filter(r => r.ks >= threshold))
+    : [];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Compare Captures</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-gray-500 mb-2">
+          The analyzed data is the baseline. Add captures taken with a feature on, a door open, etc. in the same
+          input format.
+        </p>
+        <div className="space-y-2">
+          <textarea
+            className="w-full h-20 p-2 font-mono text-sm border rounded"
+            placeholder="Paste another capture of the same PID"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <input
+              className="w-48 px-2 py-1 border rounded"
+              placeholder="Name, e.g. Headlights on"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <input type="file" onChange={(e) => loadFile(e.target.files[0])} />
+            <button
+              className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+              onClick={add}
+              disabled={!text.trim()}
+            >
+              Add Capture
+            </button>
+          </div>
+          {addError && <p className="text-sm text-red-500">{addError}</p>}
+        </div>
+
+        {captures.length > 0 && (
+          <div className="mt-4 flex flex-wrap gap-2 text-sm">
+            {captures.map(capture => (
+              <span key={capture.id} className="flex items-center gap-1 px-2 py-1 border rounded">
+                {capture.name} ({capture.payloads.length} samples)
+                <button className="text-red-500 hover:text-red-700" onClick={() => onRemove(capture.id)}>
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+
+        {comparison && (
+          <div className="mt-4">
+            <div className="flex items-center space-x-4 text-sm mb-2">
+              <label className="flex items-center space-x-1">
+                <span>Flag positions with KS ≥</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  className="w-20 px-2 py-1 border rounded"
+                  value={threshold}
+                  onChange={(e) => onThresholdChange(Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)))}
+                />
+              </label>
+              <label className="flex items-center space-x-1">
+                <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+                <span>Show all positions</span>
+              </label>
+            </div>
+            {rows.length === 0 ? (
+              <p className="text-sm text-gray-500 italic">No position differs between the captures</p>
+            ) : (
+              <div className="max-h-96 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="p-1">Position</th>
+                      <th className="p-1">KS</th>
+                      <th className="p-1">Mean shift</th>
+                      <th className="p-1">Entropy change</th>
+                      <th className="p-1">Values only in</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(r => (
+                      <tr key={r.key} className={`border-t ${r.ks >= threshold ? 'bg-purple-50' : ''}`}>
+                        <td className="p-1 font-mono">{r.label}</td>
+                        <td className="p-1 font-mono">{r.ks.toFixed(2)}</td>
+                        <td className="p-1 font-mono">{formatShift(r.meanShift)}</td>
+                        <td className="p-1 font-mono">{formatShift(r.entropyChange)} bits</td>
+                        <td className="p-1">
+                          {r.captures.map((c, idx) => c.onlyHereCount > 0 && (
+                            <div key={idx}>
+                              {idx === 0 ? 'Baseline' : captures[idx - 1].name}:{' '}
+                              <span className="font-mono">
+                                {c.onlyHere.join(', ')}{c.onlyHereCount > c.onlyHere.length ? ', ...' : ''}
+                              </span>
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CaptureCompare;
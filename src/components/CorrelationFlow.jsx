@@ -0,0 +1,178 @@
+import { useMemo } from 'react';
+import ReactFlow, { Background, Controls, MarkerType } from 'reactflow';
+import 'reactflow/dist/style.css';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+
+const GRAPH_RADIUS = 220;
+
+// Blue for positive, red for negative correlation, fading to white at 0
+const correlationColor = (correlation) => {
+  const strength = Math.min(1, Math.abs(correlation));
+  const fade = Math.round(255 * (1 - strength));
+  return correlation >= 0 ? `rgb(${fade}, ${fade}, 255)` : `rgb(255, ${fade}, ${fade})`;
+};
+
+const edgeColor = (correlation) => (correlation >= 0 ? '#2563eb' : '#dc2626');
+
+// Strongest relation of a pair: at its best lag when that beats the
+// samples lined up as they are
+const strongest = (pair) => (pair.lag !== 0 && Math.abs(pair.lagCorrelation) > Math.abs(pair.correlation)
+  ? { correlation: pair.lagCorrelation, lag: pair.lag }
+  : { correlation: pair.correlation, lag: 0 });
+
+// Correlation heatmap of every byte and group, a graph of the pairs above
+// the threshold and the pairs that follow each other with a delay
+const CorrelationFlow = ({ correlation, threshold, onThresholdChange, maxLag, onMaxLagChange }) => {
+  const { signals, matrix, pairs } = correlation;
+
+  const strongPairs = useMemo(() => pairs
+    .map(pair => ({ ...pair, ...strongest(pair) }))
+    .filter(pair => Math.abs(pair.correlation) >= threshold),
+  [pairs, threshold]);
+
+  const nodes = useMemo(() => signals.map((signal, i) => {
+    const angle = (2 * Math.PI * i) / signals.length - Math.PI / 2;
+    return {
+      id: signal.key,
+      position: { x: GRAPH_RADIUS * Math.cos(angle), y: GRAPH_RADIUS * Math.sin(angle) },
+      data: { label: signal.label },
+      style: signal.key.startsWith('group')
+        ? { background: '#dcfce7', borderColor: '#16a34a', width: 110 }
+        : { width: 80 },
+    };
+  }), [signals]);
+
+  // Lagged edges point from the leading signal to the one that follows
+  const edges = useMemo(() => strongPairs.map(pair => {
+    const [source, target] = pair.lag < 0 ? [pair.b, pair.a] : [pair.a, pair.b];
+    return {
+      id: `${signals[pair.a].key}-${signals[pair.b].key}`,
+      source: signals[source].key,
+      target: signals[target].key,
+      label: `${pair.correlation.toFixed(2)}${pair.lag ? ` @ ${Math.abs(pair.lag)}` : ''}`,
+      animated: pair.lag !== 0,
+      markerEnd: pair.lag !== 0 ? { type: MarkerType.ArrowClosed, color: edgeColor(pair.correlation) } : undefined,
+      style: { stroke: edgeColor(pair.correlation), strokeWidth: 1 + 3 * Math.abs(pair.correlation) },
+    };
+  }), [strongPairs, signals]);
+
+  const laggedPairs = strongPairs
+    .filter(pair => pair.lag !== 0)
+    .sort((p, q) => Math.abs(q.correlation) - Math.abs(p.correlation));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex justify-between items-center">
+          <span>Correlations</span>
+          <div className="flex items-center space-x-4 text-sm font-normal">
+            <label className="flex items-center space-x-1">
+              <span>Show |r| ≥</span>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                className="w-20 px-2 py-1 border rounded"
+                value={threshold}
+                onChange={(e) => onThresholdChange(Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)))}
+              />
+            </label>
+            <label className="flex items-center space-x-1">
+              <span>Lags up to</span>
+              <input
+                type="number"
+                min="0"
+                className="w-20 px-2 py-1 border rounded"
+                value={maxLag}
+                onChange={(e) => onMaxLagChange(Math.max(0, parseInt(e.target.value, 10) || 0))}
+              />
+              <span>samples</span>
+            </label>
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="grid grid-cols-2 gap-4">
+          <div className="overflow-auto">
+            <table className="text-xs font-mono border-collapse">
+              <thead>
+                <tr>
+                  <th />
+                  {signals.map(signal => (
+                    <th key={signal.key} className="p-1 font-normal text-gray-500 whitespace-nowrap">
+                      {signal.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {signals.map((signal, i) => (
+                  <tr key={signal.key}>
+                    <th className="p-1 font-normal text-gray-500 text-right whitespace-nowrap">{signal.label}</th>
+                    {matrix[i].map((r, j) => (
+                      <td
+                        key={signals[j].key}
+                        className={`p-1 text-center border ${i !== j && Math.abs(r) >= threshold ? 'font-bold' : ''}`}
+                        style={{ backgroundColor: correlationColor(r) }}
+                        title={`${signal.label} ↔ ${signals[j].label}: ${r.toFixed(3)}`}
+                      >
+                        {r.toFixed(2)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="h-96 border rounded">
+            {edges.length === 0 ? (
+              <div className="h-full flex items-center justify-center text-sm text-gray-500 italic">
+                No correlations at or above ±{threshold}
+              </div>
+            ) : (
+              <ReactFlow nodes={nodes} edges={edges} nodesConnectable={false} nodesDraggable={false} fitView>
+                <Background />
+                <Controls showInteractive={false} />
+              </ReactFlow>
+            )}
+          </div>
+        </div>
+
+        {laggedPairs.length > 0 && (
+          <div className="mt-4">
+            <h3 className="font-medium mb-2">Delayed relationships</h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="p-1">Leads</th>
+                  <th className="p-1">Follows</th>
+                  <th className="p-1">Delay</th>
+                  <th className="p-1">r at delay</th>
+                  <th className="p-1">r without delay</th>
+                </tr>
+              </thead>
+              <tbody>
+                {laggedPairs.map(pair => {
+                  const [leader, follower] = pair.lag < 0 ? [pair.b, pair.a] : [pair.a, pair.b];
+                  return (
+                    <tr key={`${pair.a}-${pair.b}`} className="border-t">
+                      <td className="p-1">{signals[leader].label}</td>
+                      <td className="p-1">{signals[follower].label}</td>
+                      <td className="p-1">{Math.abs(pair.lag)} samples</td>
+                      <td className="p-1 font-mono">{pair.correlation.toFixed(3)}</td>
+                      <td className="p-1 font-mono">{matrix[pair.a][pair.b].toFixed(3)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CorrelationFlow;
@@ -0,0 +1,187 @@
+import { useState, useMemo } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { rankInformative } from '../lib/information';
+
+// Pairs listed below the matrix
+const MAX_PAIRS = 30;
+
+// Pairs that share this much information but correlate less than
+// LINEAR_CORRELATION either way are flagged as nonlinear
+const NONLINEAR_INFORMATION = 0.5;
+const LINEAR_CORRELATION = 0.5;
+
+// Green fading to white as shared information drops to 0
+const informationColor = (normalized) => {
+  const fade = Math.round(255 * (1 - 0.7 * Math.min(1, normalized)));
+  return `rgb(${fade}, 255, ${fade})`;
+};
+
+const isNonlinear = (pair) => pair.normalized >= NONLINEAR_INFORMATION
+  && Math.abs(pair.pearson) < LINEAR_CORRELATION
+  && Math.abs(pair.spearman) < LINEAR_CORRELATION;
+
+// Mutual information between every byte, plotted bit, group and derived
+// channel, next to Pearson and Spearman correlation, and the signals that
+// tell most about a chosen target
+const DependencyPanel = ({ dependencies, defaultTarget }) => {
+  const { signals, pairs } = dependencies;
+  const [target, setTarget] = useState(null);
+  const targetKey = [target, defaultTarget].find(key => signals.some(s => s.key === key)) || signals[0].key;
+
+  const matrix = useMemo(() => {
+    const cells = signals.map(() => signals.map(() => null));
+    pairs.forEach(pair => {
+      cells[pair.a][pair.b] = { ...pair, conditional: pair.conditionalA };
+      cells[pair.b][pair.a] = { ...pair, conditional: pair.conditionalB };
+    });
+    return cells;
+  }, [signals, pairs]);
+
+  const topPairs = useMemo(() => [...pairs]
+    .sort((p, q) => q.normalized - p.normalized || q.mutualInformation - p.mutualInformation)
+    .slice(0, MAX_PAIRS), [pairs]);
+
+  const informative = useMemo(() => rankInformative(dependencies, targetKey), [dependencies, targetKey]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Dependencies</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-gray-500 mb-4">
+          Mutual information finds signals that determine each other even when they don't move
+          together in a straight line, such as split MSB/LSB bytes, lookup tables or a flag gating a
+          value. Normalized, it is 1 when the signal with less entropy is fully explained by the
+          other. H(row | column) is what remains unknown about the row signal once the column is known.
+        </p>
+        <div className="grid grid-cols-2 gap-4">
+          <div className="overflow-auto">
+            <table className="text-xs font-mono border-collapse">
+              <thead>
+                <tr>
+                  <th />
+                  {signals.map(signal => (
+                    <th key={signal.key} className="p-1 font-normal text-gray-500 whitespace-nowrap">
+                      {signal.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {signals.map((signal, i) => (
+                  <tr key={signal.key}>
+                    <th className="p-1 font-normal text-gray-500 text-right whitespace-nowrap">{signal.label}</th>
+                    {matrix[i].map((cell, j) => (cell ? (
+                      <td
+                        key={signals[j].key}
+                        className={`p-1 text-center border ${isNonlinear(cell) ? 'font-bold' : ''}`}
+                        style={{ backgroundColor: informationColor(cell.normalized) }}
+                        title={[
+                          `${signal.label} ↔ ${signals[j].label}`,
+                          `MI ${cell.mutualInformation.toFixed(3)} bits (normalized ${cell.normalized.toFixed(2)})`,
+                          `H(${signal.label} | ${signals[j].label}) ${cell.conditional.toFixed(3)} bits`,
+                          `Pearson ${cell.pearson.toFixed(3)}, Spearman ${cell.spearman.toFixed(3)}`,
+                        ].join('\n')}
+                      >
+                        {cell.normalized.toFixed(2)}
+                      </td>
+                    ) : (
+                      <td key={signals[j].key} className="p-1 text-center border text-gray-400" title={`${signal.entropy.toFixed(3)} bits`}>
+                        {signal.entropy.toFixed(1)}
+                      </td>
+                    )))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-1 text-xs text-gray-500">
+              Normalized mutual information; the diagonal holds each signal's entropy in bits
+            </p>
+          </div>
+
+          <div>
+            <label className="flex items-center space-x-2 text-sm mb-2">
+              <span className="font-medium">Most informative about</span>
+              <select
+                className="px-2 py-1 border rounded"
+                value={targetKey}
+                onChange={(e) => setTarget(e.target.value)}
+              >
+                {signals.map(signal => (
+                  <option key={signal.key} value={signal.key}>{signal.label}</option>
+                ))}
+              </select>
+            </label>
+            <div className="max-h-80 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="p-1">Signal</th>
+                    <th className="p-1">MI (bits)</th>
+                    <th className="p-1">Explains</th>
+                    <th className="p-1">Pearson</th>
+                    <th className="p-1">Spearman</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {informative.map(row => (
+                    <tr key={row.key} className="border-t">
+                      <td className="p-1">{row.label}</td>
+                      <td className="p-1 font-mono">{row.mutualInformation.toFixed(3)}</td>
+                      <td className="p-1 font-mono">{(row.explained * 100).toFixed(0)}%</td>
+                      <td className="p-1 font-mono">{row.pearson.toFixed(3)}</td>
+                      <td className="p-1 font-mono">{row.spearman.toFixed(3)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+
+        {topPairs.length > 0 && (
+          <div className="mt-4">
+            <h3 className="font-medium mb-2">Strongest dependencies</h3>
+            <div className="max-h-80 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="p-1">Signal A</th>
+                    <th className="p-1">Signal B</th>
+                    <th className="p-1">MI (bits)</th>
+                    <th className="p-1">Normalized</th>
+                    <th className="p-1">H(A, B)</th>
+                    <th className="p-1">H(A | B)</th>
+                    <th className="p-1">H(B | A)</th>
+                    <th className="p-1">Pearson</th>
+                    <th className="p-1">Spearman</th>
+                    <th className="p-1" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {topPairs.map(pair => (
+                    <tr key={`${pair.a}-${pair.b}`} className="border-t">
+                      <td className="p-1">{signals[pair.a].label}</td>
+                      <td className="p-1">{signals[pair.b].label}</td>
+                      <td className="p-1 font-mono">{pair.mutualInformation.toFixed(3)}</td>
+                      <td className="p-1 font-mono">{pair.normalized.toFixed(2)}</td>
+                      <td className="p-1 font-mono">{pair.jointEntropy.toFixed(3)}</td>
+                      <td className="p-1 font-mono">{pair.conditionalA.toFixed(3)}</td>
+                      <td className="p-1 font-mono">{pair.conditionalB.toFixed(3)}</td>
+                      <td className="p-1 font-mono">{pair.pearson.toFixed(3)}</td>
+                      <td className="p-1 font-mono">{pair.spearman.toFixed(3)}</td>
+                      <td className="p-1 text-xs text-purple-700">{isNonlinear(pair) ? 'nonlinear' : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DependencyPanel;
@@ -0,0 +1,139 @@
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { DERIVED_OPERATIONS, MAX_WINDOW, derivedKey, nextDerivedId } from '../lib/derived';
+
+const InputSelect = ({ value, options, onChange }) => (
+  <select className="px-1 py-0.5 border rounded text-sm" value={value} onChange={(e) => onChange(e.target.value)}>
+    {!options.some(o => o.key === value) && <option value={value}>Missing input</option>}
+    {options.map(o => (
+      <option key={o.key} value={o.key}>{o.label}</option>
+    ))}
+  </select>
+);
+
+// Channels computed from bytes, groups and earlier channels: filters,
+// differences, integrals and arithmetic between two signals
+const DerivedChannels = ({ channels, sources, hasTimestamps, onChange, onRemove }) => {
+  const update = (id, changes) => {
+    onChange(channels.map(channel => {
+      if (channel.id !== id) return channel;
+      const next = { ...channel, ...changes };
+      const needed = DERIVED_OPERATIONS[next.operation].inputs;
+      const inputs = next.inputs.slice(0, needed);
+      while (inputs.length < needed) inputs.push(inputs[0]);
+      return { ...next, inputs };
+    }));
+  };
+
+  const add = () => {
+    const id = nextDerivedId(channels);
+    onChange([...channels, {
+      id,
+      name: `Channel ${id + 1}`,
+      operation: 'movingAverage',
+      inputs: [sources[0].key],
+      window: 5,
+      wrap: 0,
+    }]);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex justify-between items-center">
+          <span>Derived Channels</span>
+          <button
+            className="px-4 py-2 bg-gray-200 rounded text-sm font-normal hover:bg-gray-300 disabled:opacity-50"
+            onClick={add}
+            disabled={!sources.length}
+          >
+            Add Channel
+          </button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-gray-500 mb-2">
+          Smooth, differentiate or integrate a byte or group, or combine two. Rates are per{' '}
+          {hasTimestamps ? 'second' : 'sample'}; give a wrap value for counters that roll over.
+        </p>
+        <div className="space-y-2">
+          {channels.map((channel, position) => {
+            const operation = DERIVED_OPERATIONS[channel.operation];
+            // Earlier channels only, so definitions can't loop
+            const options = [
+              ...sources,
+              ...channels.slice(0, position).map(c => ({ key: derivedKey(c.id), label: c.name })),
+            ];
+            return (
+              <div key={channel.id} className="flex flex-wrap items-center gap-2 p-2 border rounded text-sm">
+                <input
+                  className="w-36 px-2 py-0.5 border rounded"
+                  value={channel.name}
+                  onChange={(e) => update(channel.id, { name: e.target.value })}
+                />
+                <span>=</span>
+                <select
+                  className="px-1 py-0.5 border rounded"
+                  value={channel.operation}
+                  onChange={(e) => update(channel.id, { operation: e.target.value })}
+                >
+                  {Object.entries(DERIVED_OPERATIONS).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                {channel.inputs.map((input, i) => (
+                  <label key={i} className="flex items-center space-x-1">
+                    {operation.inputs > 1 && <span>{i ? 'B' : 'A'}</span>}
+                    <InputSelect
+                      value={input}
+                      options={options}
+                      onChange={(key) => update(channel.id, {
+                        inputs: channel.inputs.map((k, j) => (j === i ? key : k)),
+                      })}
+                    />
+                  </label>
+                ))}
+                {operation.window && (
+                  <label className="flex items-center space-x-1">
+                    <span>Window</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max={MAX_WINDOW}
+                      step="2"
+                      className="w-16 px-1 py-0.5 border rounded"
+                      value={channel.window}
+                      onChange={(e) => update(channel.id, {
+                        window: Math.min(MAX_WINDOW, Math.max(1, parseInt(e.target.value, 10) || 1)),
+                      })}
+                    />
+                    <span>samples</span>
+                  </label>
+                )}
+                {operation.wrap && (
+                  <label className="flex items-center space-x-1">
+                    <span>Wraps at</span>
+                    <input
+                      type="number"
+                      min="0"
+                      className="w-20 px-1 py-0.5 border rounded"
+                      value={channel.wrap || 0}
+                      onChange={(e) => update(channel.id, { wrap: Math.max(0, parseFloat(e.target.value) || 0) })}
+                    />
+                  </label>
+                )}
+                <button
+                  className="ml-auto px-2 py-1 text-red-500 hover:bg-red-50 rounded"
+                  onClick={() => onRemove(channel.id)}
+                >
+                  Remove
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DerivedChannels;
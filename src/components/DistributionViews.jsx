@@ -0,0 +1,214 @@
+import { useState, useMemo } from 'react';
+import {
+  BarChart,
+  Bar,
+  ScatterChart,
+  Scatter,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { histogram, densityPoints, meanByX } from '../lib/distribution';
+import { linearFit } from '../lib/fit';
+import { formatNumber } from '../lib/stats';
+
+const REFERENCE_KEY = 'reference';
+
+// Light blue for rare pairs to dark red for the most common, on a log scale
+// so a few dominant values don't wash out the rest
+const densityColor = (count, maxCount) => {
+  const t = maxCount > 1 ? Math.log(count) / Math.log(maxCount) : 1;
+  const hue = 210 - 210 * t;
+  return `hsl(${hue}, 80%, ${60 - 15 * t}%)`;
+};
+
+const formatBin = (bin) => (bin.end - bin.start === 1
+  ? formatNumber(bin.start)
+  : `${formatNumber(bin.start)}–${formatNumber(bin.end)}`);
+
+const SignalSelect = ({ value, onChange, signals }) => (
+  <select className="px-2 py-1 border rounded" value={value} onChange={(e) => onChange(e.target.value)}>
+    {signals.map(signal => (
+      <option key={signal.key} value={signal.key}>{signal.label}</option>
+    ))}
+  </select>
+);
+
+// Histogram of one byte or group, and a scatter plot of one against
+// another or the reference, for spotting enums, quantization and
+// non-linear encodings the time chart hides
+const DistributionViews = ({ signals, rows, reference }) => {
+  const [view, setView] = useState('histogram');
+  const [histogramKey, setHistogramKey] = useState(signals[0]?.key);
+  const [fullRange, setFullRange] = useState(false);
+  const [logScale, setLogScale] = useState(false);
+  const [xKey, setXKey] = useState(signals[0]?.key);
+  const [yKey, setYKey] = useState(reference ? REFERENCE_KEY : signals[1]?.key || signals[0]?.key);
+  const [fit, setFit] = useState('linear');
+
+  const scatterSignals = useMemo(() => (reference
+    ? [...signals, { key: REFERENCE_KEY, label: `Reference: ${reference.name}` }]
+    : signals), [signals, reference]);
+
+  const signalOf = (key, list) => list.find(s => s.key === key) || list[0];
+
+  const histogramSignal = signalOf(histogramKey, signals);
+  const bins = useMemo(() => {
+    if (!histogramSignal) return [];
+    const range = fullRange && histogramSignal.bits
+      ? { min: 0, max: 2 ** histogramSignal.bits - 1 }
+      : {};
+    return histogram(rows.map(row => row[histogramSignal.key]), range)
+      .map(bin => ({ ...bin, label: formatBin(bin), plotted: logScale && !bin.count ? null : bin.count }));
+  }, [rows, histogramSignal, fullRange, logScale]);
+
+  const xSignal = signalOf(xKey, scatterSignals);
+  const ySignal = signalOf(yKey, scatterSignals);
+  const scatter = useMemo(() => {
+    if (view !== 'scatter' || !xSignal || !ySignal) return null;
+    const valuesOf = (key) => (key === REFERENCE_KEY ? reference.values : rows.map(row => row[key]));
+    const xs = valuesOf(xSignal.key);
+    const ys = valuesOf(ySignal.key);
+    const points = densityPoints(xs, ys);
+    const maxCount = points.reduce((max, p) => Math.max(max, p.count), 1);
+
+    let fitted = null;
+    let line = [];
+    if (fit === 'linear') {
+      fitted = linearFit(xs, ys);
+      if (fitted && points.length) {
+        const lowX = points.reduce((min, p) => Math.min(min, p.x), Infinity);
+        const highX = points.reduce((max, p) => Math.max(max, p.x), -Infinity);
+        line = [lowX, highX].map(x => ({ x, y: fitted.slope * x + fitted.intercept }));
+      }
+    } else if (fit === 'mean') {
+      line = meanByX(xs, ys);
+    }
+    return { points, maxCount, fitted, line };
+  }, [view, rows, reference, xSignal, ySignal, fit]);
+
+  if (!signals.length) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex justify-between items-center">
+          <span>Value Distribution</span>
+          <div className="flex items-center space-x-1 text-sm font-normal">
+            {['histogram', 'scatter'].map(name => (
+              <button
+                key={name}
+                className={`px-3 py-1 rounded capitalize ${view === name ? 'bg-blue-500 text-white' : 'bg-gray-200'}`}
+                onClick={() => setView(name)}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {view === 'histogram' ? (
+          <>
+            <div className="flex flex-wrap items-center gap-3 mb-2 text-sm">
+              <SignalSelect value={histogramSignal.key} onChange={setHistogramKey} signals={signals} />
+              <select
+                className="px-2 py-1 border rounded"
+                value={fullRange ? 'full' : 'observed'}
+                onChange={(e) => setFullRange(e.target.value === 'full')}
+              >
+                <option value="observed">Observed range</option>
+                <option value="full" disabled={!histogramSignal.bits}>
+                  {histogramSignal.bits ? `0–${2 ** histogramSignal.bits - 1}` : 'Full range'}
+                </option>
+              </select>
+              <label className="flex items-center space-x-1">
+                <input type="checkbox" checked={logScale} onChange={(e) => setLogScale(e.target.checked)} />
+                <span>Log scale</span>
+              </label>
+              <span className="text-gray-500">
+                {bins.filter(bin => bin.count).length} of {bins.length} bins used
+              </span>
+            </div>
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={bins} barCategoryGap={0}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" minTickGap={20} />
+                  <YAxis
+                    scale={logScale ? 'log' : 'auto'}
+                    domain={logScale ? [1, 'auto'] : [0, 'auto']}
+                    allowDataOverflow={logScale}
+                  />
+                  <Tooltip formatter={(value) => [value, 'Samples']} />
+                  <Bar dataKey="plotted" fill="#3b82f6" isAnimationActive={false} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-3 mb-2 text-sm">
+              <span>X</span>
+              <SignalSelect value={xSignal.key} onChange={setXKey} signals={scatterSignals} />
+              <span>Y</span>
+              <SignalSelect value={ySignal.key} onChange={setYKey} signals={scatterSignals} />
+              <select className="px-2 py-1 border rounded" value={fit} onChange={(e) => setFit(e.target.value)}>
+                <option value="none">No fit</option>
+                <option value="linear">Linear fit</option>
+                <option value="mean">Mean of Y per X</option>
+              </select>
+              {scatter?.fitted && (
+                <span className="text-gray-500 font-mono">
+                  y = {formatNumber(scatter.fitted.slope)}·x {scatter.fitted.intercept < 0 ? '−' : '+'}{' '}
+                  {formatNumber(Math.abs(scatter.fitted.intercept))}, R² = {scatter.fitted.r2.toFixed(3)}
+                </span>
+              )}
+            </div>
+            <div className="h-96">
+              {scatter && scatter.points.length > 0 ? (
+                <ResponsiveContainer width="100%" height="100%">
+                  <ScatterChart>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" dataKey="x" name={xSignal.label} domain={['auto', 'auto']} />
+                    <YAxis type="number" dataKey="y" name={ySignal.label} domain={['auto', 'auto']} />
+                    <Tooltip
+                      cursor={{ strokeDasharray: '3 3' }}
+                      formatter={(value, name) => [formatNumber(value), name]}
+                    />
+                    <Scatter data={scatter.points} isAnimationActive={false}>
+                      {scatter.points.map((point, i) => (
+                        <Cell key={i} fill={densityColor(point.count, scatter.maxCount)} />
+                      ))}
+                    </Scatter>
+                    {scatter.line.length > 0 && (
+                      <Scatter
+                        data={scatter.line}
+                        line={{ stroke: '#111827', strokeWidth: 2 }}
+                        shape={() => null}
+                        isAnimationActive={false}
+                      />
+                    )}
+                  </ScatterChart>
+                </ResponsiveContainer>
+              ) : (
+                <div className="h-full flex items-center justify-center text-sm text-gray-500 italic">
+                  No samples have both values
+                </div>
+              )}
+            </div>
+            <p className="mt-2 text-xs text-gray-500">
+              Points are colored by how many samples share them, from blue (few) to red (most).
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DistributionViews;
@@ -0,0 +1,73 @@
+import { useState } from 'react';
+
+// Every line is one text-sm row tall, so only the rows in view are rendered
+const LINE_HEIGHT = 20;
+const VIEWPORT_HEIGHT = 384;
+const OVERSCAN = 10;
+
+// Hex preview of the samples with selected, grouped and known bytes
+// highlighted, and parse problems next to the lines they were found on.
+// Lines are fetched by index so long captures are never formatted in full.
+const HighlightedHexData = ({ lineCount, lineText, selectedBytes, currentGroup, decoded, knownBytes, problem }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  if (!lineCount) return null;
+
+  const first = Math.max(0, Math.floor(scrollTop / LINE_HEIGHT) - OVERSCAN);
+  const last = Math.min(lineCount, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / LINE_HEIGHT) + OVERSCAN);
+
+  return (
+    <div
+      className="font-mono text-sm whitespace-pre overflow-auto"
+      style={{ maxHeight: VIEWPORT_HEIGHT }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div style={{ height: lineCount * LINE_HEIGHT, position: 'relative' }}>
+        <div style={{ position: 'absolute', top: first * LINE_HEIGHT, left: 0 }}>
+          {Array.from({ length: last - first }, (_, offset) => {
+            const lineIdx = first + offset;
+            const line = lineText(lineIdx);
+            const decodedText = decoded && decoded(lineIdx);
+            const problemText = problem && problem(lineIdx);
+            return (
+              <div key={lineIdx} className="flex" style={{ height: LINE_HEIGHT }}>
+                <span className={`${problemText ? 'text-amber-600' : 'text-gray-500'} mr-4 select-none`}>
+                  {lineIdx.toString().padStart(4, '0')}:
+                </span>
+                {Array.from({ length: Math.ceil(line.length / 2) }, (_, i) => {
+                  const byteStr = line.slice(i * 2, i * 2 + 2);
+                  const isSelected = selectedBytes.has(i);
+                  const isGrouped = currentGroup.includes(i);
+                  const known = knownBytes && knownBytes[i];
+
+                  return (
+                    <span
+                      key={i}
+                      title={known && known.length ? known.join(', ') : undefined}
+                      className={`mx-0.5 ${
+                        isGrouped ? 'bg-green-100 text-green-800' :
+                        isSelected ? 'bg-blue-100 text-blue-800' : ''
+                      } ${
+                        !known ? '' :
+                        known.length ? 'underline decoration-indigo-400' : 'text-amber-600 font-bold'
+                      }`}
+                    >
+                      {byteStr}
+                    </span>
+                  );
+                })}
+                {decodedText && (
+                  <span className="ml-4 text-gray-500">{decodedText}</span>
+                )}
+                {problemText && (
+                  <span className="ml-4 text-amber-600">⚠ {problemText}</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HighlightedHexData;
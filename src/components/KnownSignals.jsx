@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { summarize, formatNumber } from '../lib/stats';
+import { parseSignalset } from '../lib/signalset';
+
+const formatBound = (value) => (value === null ? '-' : formatNumber(value));
+
+// Samples whose decoded value is outside the signal's declared min/max
+const countViolations = ({ min, max }, values) => values.filter(v =>
+  v !== null && ((min !== null && v < min) || (max !== null && v > max))
+).length;
+
+// Loads an OBDb signalset and checks its signals for the current command
+// against the loaded data
+const KnownSignals = ({
+  commands,
+  commandIndex,
+  onLoad,
+  onCommandChange,
+  onClear,
+  values,
+  uncoveredBytes,
+}) => {
+  const [loadError, setLoadError] = useState('');
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = parseSignalset(await file.text());
+      if (!parsed.length) {
+        setLoadError(`${file.name} has no commands`);
+        return;
+      }
+      setLoadError('');
+      onLoad(parsed);
+    } catch (err) {
+      setLoadError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const command = commands ? commands[commandIndex] : null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Known Signals</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => loadFile(e.target.files[0])}
+          />
+          {commands && (
+            <>
+              <select
+                className="px-2 py-1 border rounded font-mono"
+                value={commandIndex}
+                onChange={(e) => onCommandChange(parseInt(e.target.value, 10))}
+              >
+                {commandIndex === -1 && <option value={-1}>Select a command</option>}
+                {commands.map((c, i) => (
+                  <option key={i} value={i}>
+                    {c.header} {c.command} ({c.signals.length} signals)
+                  </option>
+                ))}
+              </select>
+              <button
+                className="px-2 py-1 text-red-500 hover:bg-red-50 rounded"
+                onClick={onClear}
+              >
+                Clear
+              </button>
+            </>
+          )}
+        </div>
+        {loadError && <p className="mt-2 text-sm text-red-500">{loadError}</p>}
+        {commands && commandIndex === -1 && (
+          <p className="mt-2 text-sm text-gray-500">No command in the signalset matches this data; pick one to overlay.</p>
+        )}
+
+        {command && (
+          <>
+            <p className="mt-4 text-sm">
+              {uncoveredBytes.length > 0 ? (
+                <>
+                  Bytes not covered by any known signal:{' '}
+                  <span className="font-mono text-amber-600">{uncoveredBytes.join(', ')}</span>
+                </>
+              ) : (
+                <span className="text-gray-500">Every byte is covered by a known signal</span>
+              )}
+            </p>
+            <table className="mt-2 w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="p-1">Signal</th>
+                  <th className="p-1">Bits</th>
+                  <th className="p-1">Observed</th>
+                  <th className="p-1">Declared</th>
+                  <th className="p-1" />
+                </tr>
+              </thead>
+              <tbody>
+                {command.signals.map((signal, i) => {
+                  const stats = summarize(values[i]);
+                  const violations = countViolations(signal, values[i]);
+                  return (
+                    <tr key={`${signal.id}-${i}`} className="border-t">
+                      <td className="p-1">
+                        {signal.name} <span className="font-mono text-gray-500">{signal.id}</span>
+                      </td>
+                      <td className="p-1 font-mono">
+                        {signal.field.startBit}+{signal.field.length}
+                      </td>
+                      <td className="p-1 font-mono">
+                        {stats ? `${formatNumber(stats.min)} - ${formatNumber(stats.max)}` : 'n/a'} {signal.unit}
+                      </td>
+                      <td className="p-1 font-mono">
+                        {formatBound(signal.min)} - {formatBound(signal.max)}
+                      </td>
+                      <td className="p-1">
+                        {violations > 0 && (
+                          <span className="text-red-500">
+                            {violations} sample{violations === 1 ? '' : 's'} out of range
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default KnownSignals;
@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+
+const TRANSPORTS = {
+  replay: 'Replay loaded capture',
+  serial: 'ELM327 over Web Serial',
+  websocket: 'WebSocket bridge',
+};
+
+const serialSupported = typeof navigator !== 'undefined' && 'serial' in navigator;
+
+// Stream samples from an adapter, a local bridge or a replay of the input
+// into the explorer. While live, the chart and statistics cover a rolling
+// window of the latest samples; stopping analyzes the window in full.
+const LivePanel = ({ live, status, defaultHeader, defaultCommand, onStart, onStop }) => {
+  const [transport, setTransport] = useState('replay');
+  const [windowSize, setWindowSize] = useState(2000);
+  const [speed, setSpeed] = useState(1);
+  const [loop, setLoop] = useState(false);
+  const [header, setHeader] = useState(defaultHeader || '');
+  const [command, setCommand] = useState(defaultCommand || '010C');
+  const [rate, setRate] = useState(10);
+  const [baudRate, setBaudRate] = useState(38400);
+  const [url, setUrl] = useState('ws://localhost:8765');
+
+  const start = () => onStart({
+    transport,
+    windowSize,
+    replay: { speed, loop },
+    serial: { header: header.trim(), command: command.replace(/\s+/g, '').toUpperCase(), rate, baudRate },
+    websocket: { url: url.trim() },
+  });
+
+  const numberInput = (value, onChange, props = {}) => (
+    <input
+      type="number"
+      className="w-24 px-2 py-1 border rounded"
+      value={value}
+      disabled={live}
+      onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+      {...props}
+    />
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Live Capture</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <select
+            className="px-2 py-1 border rounded"
+            value={transport}
+            disabled={live}
+            onChange={(e) => setTransport(e.target.value)}
+          >
+            {Object.entries(TRANSPORTS).map(([value, label]) => (
+              <option key={value} value={value} disabled={value === 'serial' && !serialSupported}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          {transport === 'replay' && (
+            <>
+              <label className="flex items-center space-x-1">
+                <span>Speed</span>
+                {numberInput(speed, v => setSpeed(Math.max(0.1, v)), { min: '0.1', step: 'any' })}
+                <span>×</span>
+              </label>
+              <label className="flex items-center space-x-1">
+                <input type="checkbox" checked={loop} disabled={live} onChange={(e) => setLoop(e.target.checked)} />
+                <span>Loop</span>
+              </label>
+            </>
+          )}
+
+          {transport === 'serial' && (
+            <>
+              <input
+                className="w-20 px-2 py-1 border rounded font-mono"
+                placeholder="Header"
+                value={header}
+                disabled={live}
+                onChange={(e) => setHeader(e.target.value)}
+              />
+              <input
+                className="w-24 px-2 py-1 border rounded font-mono"
+                placeholder="Mode/PID"
+                value={command}
+                disabled={live}
+                onChange={(e) => setCommand(e.target.value)}
+              />
+              <label className="flex items-center space-x-1">
+                {numberInput(rate, v => setRate(Math.max(0.1, v)), { min: '0.1', step: 'any' })}
+                <span>req/s</span>
+              </label>
+              <label className="flex items-center space-x-1">
+                <span>Baud</span>
+                {numberInput(baudRate, v => setBaudRate(Math.round(v)), { min: '1200', step: '1' })}
+              </label>
+            </>
+          )}
+
+          {transport === 'websocket' && (
+            <input
+              className="w-64 px-2 py-1 border rounded font-mono"
+              value={url}
+              disabled={live}
+              onChange={(e) => setUrl(e.target.value)}
+            />
+          )}
+
+          <label className="flex items-center space-x-1">
+            <span>Window</span>
+            {numberInput(windowSize, v => setWindowSize(Math.max(10, Math.round(v))), { min: '10', step: '100' })}
+            <span>samples</span>
+          </label>
+
+          <button
+            className={`px-4 py-2 text-white rounded ${live ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-500 hover:bg-blue-600'}`}
+            onClick={live ? onStop : start}
+          >
+            {live ? 'Stop' : 'Start'}
+          </button>
+        </div>
+
+        {transport === 'replay' && !live && (
+          <p className="mt-2 text-sm text-gray-500">
+            Plays back the capture in the input box with the selected format, to try live mode without hardware.
+          </p>
+        )}
+        {transport === 'serial' && !serialSupported && (
+          <p className="mt-2 text-sm text-gray-500">Web Serial needs a Chromium-based browser.</p>
+        )}
+        {transport === 'websocket' && !live && (
+          <p className="mt-2 text-sm text-gray-500">
+            The bridge sends one sample per message as hex, or JSON like {'{"time": 1.25, "data": "0A1B"}'}.
+          </p>
+        )}
+        {status && <p className="mt-2 text-sm">{status}</p>}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LivePanel;
@@ -0,0 +1,169 @@
+import { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { parseReferenceCsv } from '../lib/reference';
+import { fitScaleOffset } from '../lib/fit';
+
+const formatCoefficient = (value) => Number(value.toPrecision(6)).toString();
+
+// Load a known quantity and fit the selected bytes and groups against it
+const ReferencePanel = ({
+  data,
+  series,
+  reference,
+  onReferenceChange,
+  referenceValues,
+  alignment,
+  onAlignmentChange,
+  offset,
+  onOffsetChange,
+  hasTimestamps,
+}) => {
+  const [loadError, setLoadError] = useState('');
+  const [residualKey, setResidualKey] = useState(null);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    const parsed = parseReferenceCsv(await file.text());
+    if (!parsed.points.length) {
+      setLoadError(`No numeric values found in ${file.name}`);
+      return;
+    }
+    setLoadError('');
+    onReferenceChange(parsed);
+    if (!hasTimestamps || parsed.points.some(p => p.time === null)) {
+      onAlignmentChange('index');
+    }
+  };
+
+  const fits = useMemo(() => {
+    if (!reference || !referenceValues) return [];
+    return series.map(({ key, label }) => ({
+      key,
+      label,
+      fit: fitScaleOffset(data.map(d => d[key]), referenceValues),
+    }));
+  }, [data, series, reference, referenceValues]);
+
+  const residualFit = fits.find(f => f.key === residualKey && f.fit);
+  const residualData = residualFit
+    ? data.map((d, i) => ({ index: d.index, residual: residualFit.fit.residuals[i] }))
+    : [];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Reference Signal</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            type="file"
+            accept=".csv,.txt,.tsv"
+            onChange={(e) => loadFile(e.target.files[0])}
+          />
+          {reference && (
+            <>
+              <select
+                className="px-2 py-1 border rounded"
+                value={alignment}
+                onChange={(e) => onAlignmentChange(e.target.value)}
+              >
+                <option value="index">Align by sample index</option>
+                <option value="time" disabled={!hasTimestamps}>Align by timestamp</option>
+              </select>
+              {alignment === 'time' && (
+                <label className="flex items-center space-x-1">
+                  <span>Offset</span>
+                  <input
+                    type="number"
+                    step="any"
+                    className="w-24 px-2 py-1 border rounded"
+                    value={offset}
+                    onChange={(e) => onOffsetChange(parseFloat(e.target.value) || 0)}
+                  />
+                  <span>s</span>
+                </label>
+              )}
+              <span className="text-gray-500">
+                {reference.name}: {reference.points.length} points
+              </span>
+              <button
+                className="ml-auto px-2 py-1 text-red-500 hover:bg-red-50 rounded"
+                onClick={() => onReferenceChange(null)}
+              >
+                Clear
+              </button>
+            </>
+          )}
+        </div>
+        {loadError && <p className="mt-2 text-sm text-red-500">{loadError}</p>}
+
+        {reference && series.length === 0 && (
+          <p className="mt-4 text-gray-500 italic">Select bytes or create groups to fit them against the reference</p>
+        )}
+
+        {reference && fits.length > 0 && (
+          <table className="mt-4 w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-1 pr-4">Signal</th>
+                <th className="py-1 pr-4">Formula</th>
+                <th className="py-1 pr-4">mul</th>
+                <th className="py-1 pr-4">div</th>
+                <th className="py-1 pr-4">add</th>
+                <th className="py-1">R²</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fits.map(({ key, label, fit }) => (
+                <tr
+                  key={key}
+                  className={`border-b ${fit ? 'cursor-pointer hover:bg-gray-100' : 'text-gray-400'} ${
+                    key === residualKey ? 'bg-blue-50' : ''
+                  }`}
+                  onClick={() => fit && setResidualKey(key === residualKey ? null : key)}
+                >
+                  <td className="py-1 pr-4">{label}</td>
+                  {fit ? (
+                    <>
+                      <td className="py-1 pr-4 font-mono">
+                        raw * {fit.mul} / {fit.div} {fit.add < 0 ? '-' : '+'} {formatCoefficient(Math.abs(fit.add))}
+                      </td>
+                      <td className="py-1 pr-4 font-mono">{fit.mul}</td>
+                      <td className="py-1 pr-4 font-mono">{fit.div}</td>
+                      <td className="py-1 pr-4 font-mono">{formatCoefficient(fit.add)}</td>
+                      <td className="py-1 font-mono">{fit.r2.toFixed(4)}</td>
+                    </>
+                  ) : (
+                    <td className="py-1 italic" colSpan={5}>No fit (constant value or no overlap with reference)</td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {residualFit && (
+          <div className="mt-4">
+            <h3 className="font-medium mb-2">Residuals: {residualFit.label}</h3>
+            <div className="h-48">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={residualData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="index" />
+                  <YAxis />
+                  <Tooltip />
+                  <ReferenceLine y={0} stroke="#6b7280" />
+                  <Line type="monotone" dataKey="residual" stroke="#dc2626" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReferencePanel;
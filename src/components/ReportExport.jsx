@@ -0,0 +1,269 @@
+import { useState, useMemo, useCallback } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { createZip } from '../lib/zip';
+import {
+  samplesCsv,
+  byteSummaries,
+  strongCorrelations,
+  signalSummaries,
+  byteStatsCsv,
+  correlationsCsv,
+  formatSessionMarkdown,
+} from '../lib/sessionExport';
+
+const LEGEND_ROW_HEIGHT = 18;
+// PNGs are drawn at twice the on-screen size so they stay sharp in issues
+const PNG_SCALE = 2;
+
+const download = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Standalone SVG of the chart on screen. The legend is HTML, so it is
+// redrawn under the plot from the series colors.
+const chartSvg = (container, legend) => {
+  const svg = container && container.querySelector('.recharts-wrapper > svg.recharts-surface');
+  if (!svg) return null;
+  const { width, height } = svg.getBoundingClientRect();
+  const total = height + legend.length * LEGEND_ROW_HEIGHT + 8;
+  const ns = 'http://www.w3.org/2000/svg';
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', ns);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', total);
+  clone.setAttribute('viewBox', `0 0 ${width} ${total}`);
+  clone.setAttribute('font-family', 'sans-serif');
+
+  const background = document.createElementNS(ns, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', '#ffffff');
+  clone.insertBefore(background, clone.firstChild);
+
+  legend.forEach(({ label, color }, i) => {
+    const y = height + 4 + i * LEGEND_ROW_HEIGHT + LEGEND_ROW_HEIGHT / 2;
+    const line = document.createElementNS(ns, 'line');
+    line.setAttribute('x1', 20);
+    line.setAttribute('x2', 40);
+    line.setAttribute('y1', y);
+    line.setAttribute('y2', y);
+    line.setAttribute('stroke', color);
+    line.setAttribute('stroke-width', 2);
+    const text = document.createElementNS(ns, 'text');
+    text.setAttribute('x', 46);
+    text.setAttribute('y', y + 4);
+    text.setAttribute('font-size', 12);
+    text.setAttribute('fill', '#374151');
+    text.textContent = label;
+    clone.append(line, text);
+  });
+
+  return { text: new XMLSerializer().serializeToString(clone), width, height: total };
+};
+
+const svgToPng = ({ text, width, height }) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    const context = canvas.getContext('2d');
+    context.scale(PNG_SCALE, PNG_SCALE);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not draw the chart'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not draw the chart'));
+  };
+  image.src = url;
+});
+
+// File names from the report title
+const fileBase = (title) => title.trim().replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'pid-report';
+
+// Bundles a session into files for an OBDb pull request: the chart, every
+// sample decoded, byte statistics, correlations and a Markdown summary that
+// carries the notes
+const ReportExport = ({
+  defaultTitle,
+  notes,
+  onNotesChange,
+  request,
+  streamId,
+  rows,
+  numBytes,
+  series,
+  conversions,
+  valueLabels,
+  annotations,
+  scopedColumns,
+  scopedSamples,
+  byteStats,
+  byteClasses,
+  correlation,
+  threshold,
+  chartRef,
+  legend,
+}) => {
+  const [title, setTitle] = useState(defaultTitle);
+  const [showPreview, setShowPreview] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const report = (text, isError = false) => setStatus({ text, isError });
+
+  // Entropy of every byte takes a pass over the capture, so the summary is
+  // only built when it's needed
+  const buildSession = useCallback(() => {
+    const times = rows.map(row => row.time).filter(time => time !== undefined);
+    const session = {
+      title: title.trim() || defaultTitle,
+      notes,
+      request,
+      streamId,
+      samples: rows.length,
+      scopedSamples,
+      bytesPerSample: numBytes,
+      duration: times.length > 1 ? times[times.length - 1] - times[0] : null,
+      signals: signalSummaries(series, rows, conversions, valueLabels),
+      bytes: byteSummaries(scopedColumns, byteStats, byteClasses),
+      correlations: strongCorrelations(correlation, threshold),
+      threshold,
+      annotations,
+    };
+    return { ...session, markdown: formatSessionMarkdown(session) };
+  }, [
+    title, defaultTitle, notes, request, streamId, rows, numBytes, series, conversions, valueLabels,
+    annotations, scopedColumns, scopedSamples, byteStats, byteClasses, correlation, threshold,
+  ]);
+
+  const preview = useMemo(() => (showPreview ? buildSession().markdown : null), [showPreview, buildSession]);
+
+  const chart = () => chartSvg(chartRef.current, legend);
+
+  const downloadBundle = async () => {
+    try {
+      const session = buildSession();
+      const svg = chart();
+      const files = [
+        { name: 'summary.md', data: session.markdown },
+        { name: 'samples.csv', data: samplesCsv(rows, numBytes, series, annotations) },
+        { name: 'byte-stats.csv', data: byteStatsCsv(session.bytes) },
+        { name: 'correlations.csv', data: correlationsCsv(session.correlations) },
+      ];
+      if (svg) {
+        const png = await svgToPng(svg);
+        files.push(
+          { name: 'chart.svg', data: svg.text },
+          { name: 'chart.png', data: new Uint8Array(await png.arrayBuffer()) }
+        );
+      }
+      download(new Blob([createZip(files)], { type: 'application/zip' }), `${fileBase(session.title)}.zip`);
+      report(svg ? `Exported ${files.length} files` : `Exported ${files.length} files; plot a signal to include the chart`);
+    } catch (err) {
+      report(`Could not export the report: ${err.message}`, true);
+    }
+  };
+
+  const copyMarkdown = async () => {
+    try {
+      await navigator.clipboard.writeText(buildSession().markdown);
+      report('Copied the Markdown summary');
+    } catch (err) {
+      report(`Could not copy: ${err.message}`, true);
+    }
+  };
+
+  const downloadChart = async (format) => {
+    const svg = chart();
+    if (!svg) {
+      report('Plot a signal to export the chart', true);
+      return;
+    }
+    try {
+      const blob = format === 'svg' ? new Blob([svg.text], { type: 'image/svg+xml' }) : await svgToPng(svg);
+      download(blob, `${fileBase(title)}.${format}`);
+    } catch (err) {
+      report(err.message, true);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Export Report</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-gray-500 mb-2">
+          Bundles the chart, every sample with its decoded values, byte statistics, correlations at or
+          above ±{threshold} and a Markdown summary to attach to an OBDb pull request or issue.
+        </p>
+        <div className="space-y-2 text-sm">
+          <label className="flex items-center space-x-2">
+            <span>Title</span>
+            <input
+              className="flex-1 px-2 py-1 border rounded"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+            />
+          </label>
+          <textarea
+            className="w-full h-24 p-2 border rounded"
+            placeholder="Notes: vehicle, what was done during the capture, open questions"
+            value={notes}
+            onChange={(e) => onNotesChange(e.target.value)}
+          />
+        </div>
+        <div className="flex flex-wrap gap-2 mt-2">
+          <button
+            className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+            onClick={downloadBundle}
+          >
+            Download Report (.zip)
+          </button>
+          <button
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+            onClick={copyMarkdown}
+          >
+            Copy Markdown
+          </button>
+          <button
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+            onClick={() => downloadChart('svg')}
+          >
+            Chart SVG
+          </button>
+          <button
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+            onClick={() => downloadChart('png')}
+          >
+            Chart PNG
+          </button>
+          <button
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+            onClick={() => setShowPreview(!showPreview)}
+          >
+            {showPreview ? 'Hide Preview' : 'Preview'}
+          </button>
+        </div>
+        {status && (
+          <p className={`mt-2 text-sm ${status.isError ? 'text-red-500' : 'text-green-600'}`}>{status.text}</p>
+        )}
+        {preview && (
+          <pre className="mt-4 p-4 bg-gray-100 rounded font-mono text-sm max-h-96 overflow-auto whitespace-pre-wrap">
+            {preview}
+          </pre>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReportExport;
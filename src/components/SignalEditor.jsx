@@ -0,0 +1,105 @@
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { summarize, formatNumber } from '../lib/stats';
+import { DEFAULT_CONVERSION } from '../lib/formula';
+
+// Name, unit and physical conversion for each plotted byte and group
+const SignalEditor = ({ series, conversions, data, onChange, onReset }) => {
+  const editable = series.filter(s => s.kind !== 'bit');
+  if (!editable.length) return null;
+
+  const update = (key, changes) => {
+    onChange(key, { ...(conversions[key] || DEFAULT_CONVERSION), ...changes });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Signal Formulas</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-gray-500 mb-2">
+          Use <span className="font-mono">x</span> for the raw value and{' '}
+          <span className="font-mono">A</span>, <span className="font-mono">B</span>, ... for the signal's bytes,
+          e.g. <span className="font-mono">(A*256+B)/4</span> or <span className="font-mono">A-40</span>.
+        </p>
+        <div className="space-y-2">
+          {editable.map(s => {
+            const conversion = conversions[s.key] || DEFAULT_CONVERSION;
+            const first = data.find(d => d[s.key] !== null && d[s.key] !== undefined);
+            const decodedStats = conversions[s.key] && !s.error
+              ? summarize(data.map(d => d[s.plotKey]))
+              : null;
+
+            return (
+              <div key={s.key} className="p-2 border rounded text-sm">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-medium w-32">{s.defaultLabel}</span>
+                  <input
+                    className="w-40 px-2 py-1 border rounded"
+                    placeholder="Display name"
+                    value={conversion.name}
+                    onChange={(e) => update(s.key, { name: e.target.value })}
+                  />
+                  <input
+                    className="w-20 px-2 py-1 border rounded"
+                    placeholder="Unit"
+                    value={conversion.unit}
+                    onChange={(e) => update(s.key, { unit: e.target.value })}
+                  />
+                  <select
+                    className="px-2 py-1 border rounded"
+                    value={conversion.mode}
+                    onChange={(e) => update(s.key, { mode: e.target.value })}
+                  >
+                    <option value="formula">Formula</option>
+                    <option value="linear">mul / div / add</option>
+                  </select>
+                  {conversion.mode === 'formula' ? (
+                    <input
+                      className={`w-56 px-2 py-1 border rounded font-mono ${s.error ? 'border-red-500' : ''}`}
+                      value={conversion.formula}
+                      onChange={(e) => update(s.key, { formula: e.target.value })}
+                    />
+                  ) : (
+                    ['mul', 'div', 'add'].map(field => (
+                      <label key={field} className="flex items-center space-x-1">
+                        <span>{field}</span>
+                        <input
+                          type="number"
+                          step="any"
+                          className={`w-20 px-2 py-1 border rounded font-mono ${
+                            field === 'div' && s.error ? 'border-red-500' : ''
+                          }`}
+                          value={conversion[field]}
+                          onChange={(e) => update(s.key, { [field]: parseFloat(e.target.value) || 0 })}
+                        />
+                      </label>
+                    ))
+                  )}
+                  {conversions[s.key] && (
+                    <button
+                      className="ml-auto px-2 py-1 text-red-500 hover:bg-red-50 rounded"
+                      onClick={() => onReset(s.key)}
+                    >
+                      Reset
+                    </button>
+                  )}
+                </div>
+                {s.error ? (
+                  <p className="mt-1 text-red-500">{s.error}</p>
+                ) : conversions[s.key] && first && (
+                  <p className="mt-1 text-gray-500 font-mono">
+                    raw {first[s.key]} → {formatNumber(first[s.plotKey])} {conversion.unit}
+                    {decodedStats && ` · range ${formatNumber(decodedStats.min)} - ${formatNumber(decodedStats.max)} ${conversion.unit}`}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SignalEditor;
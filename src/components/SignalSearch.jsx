@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { SEARCH_METRICS, SEARCH_SAMPLE_LIMIT } from '../lib/search';
+import { describeField } from '../lib/bitfield';
+import { runAnalysis } from '../lib/runAnalysis';
+
+// Ranks every bit field in the payload and lets the user promote a
+// candidate to a byte group
+const SignalSearch = ({ data, numBytes, excludeBytes, referenceValues, onAddField }) => {
+  const [metric, setMetric] = useState(referenceValues ? 'correlation' : 'smoothness');
+  const [maxLength, setMaxLength] = useState(32);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+  // Task input of the search in progress, if any
+  const [search, setSearch] = useState(null);
+
+  const effectiveMetric = metric === 'correlation' && !referenceValues ? 'smoothness' : metric;
+
+  useEffect(() => {
+    if (!search) return undefined;
+    let cancelled = false;
+    runAnalysis('search', search)
+      .then(found => {
+        if (cancelled) return;
+        setResults(found);
+        setSearch(null);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError('Error searching: ' + err.message);
+        setSearch(null);
+      });
+    return () => { cancelled = true; };
+  }, [search]);
+
+  const runSearch = () => {
+    setError('');
+    setSearch({
+      payloads: data.map(row => Array.from({ length: numBytes }, (_, i) => row[`byte${i}`])),
+      metric: effectiveMetric,
+      reference: referenceValues,
+      maxLength,
+      excludeBytes,
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Signal Search</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select
+            className="px-2 py-1 border rounded"
+            value={effectiveMetric}
+            onChange={(e) => setMetric(e.target.value)}
+          >
+            {Object.entries(SEARCH_METRICS).map(([value, label]) => (
+              <option key={value} value={value} disabled={value === 'correlation' && !referenceValues}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center space-x-1">
+            <span>Max length</span>
+            <input
+              type="number"
+              min="1"
+              max="32"
+              className="w-16 px-2 py-1 border rounded"
+              value={maxLength}
+              onChange={(e) => setMaxLength(Math.min(32, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+            />
+            <span>bits</span>
+          </label>
+          <button
+            className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            onClick={runSearch}
+            disabled={search !== null || !data.length}
+          >
+            {search ? 'Searching...' : 'Search'}
+          </button>
+          {data.length > SEARCH_SAMPLE_LIMIT && (
+            <span className="text-gray-500">Scored on {SEARCH_SAMPLE_LIMIT} evenly spaced samples</span>
+          )}
+        </div>
+
+        {error && <p className="mt-4 text-sm text-red-500">{error}</p>}
+
+        {results && results.length === 0 && (
+          <p className="mt-4 text-gray-500 italic">No varying fields found</p>
+        )}
+
+        {results && results.length > 0 && (
+          <div className="mt-4 max-h-96 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-1 pr-4">#</th>
+                  <th className="py-1 pr-4">Field</th>
+                  <th className="py-1 pr-4">Start bit</th>
+                  <th className="py-1 pr-4">Range</th>
+                  <th className="py-1">Score</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(({ field, score, min, max }, idx) => (
+                  <tr
+                    key={describeField(field)}
+                    className="cursor-pointer border-b hover:bg-gray-100"
+                    title="Add as group"
+                    onClick={() => onAddField(field)}
+                  >
+                    <td className="py-1 pr-4 text-gray-500">{idx + 1}</td>
+                    <td className="py-1 pr-4 font-mono">{describeField(field)}</td>
+                    <td className="py-1 pr-4 font-mono">{field.startBit}</td>
+                    <td className="py-1 pr-4 font-mono">{min} - {max}</td>
+                    <td className="py-1 font-mono">{score.toFixed(4)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SignalSearch;
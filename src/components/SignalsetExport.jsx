@@ -0,0 +1,181 @@
+import { useState, useMemo } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { summarize } from '../lib/stats';
+import {
+  buildSignalset,
+  validateSignalset,
+  linearCoefficients,
+  toSignalId,
+} from '../lib/signalset';
+
+// Why a plotted signal can't be written to a signalset, or null if it can
+const exportProblem = (s, coefficients, range) => {
+  if (!s.field) return 'bytes are not contiguous';
+  if (s.field.byteOrder === 'little') return 'OBDb fields are big endian';
+  if (s.error) return 'formula has errors';
+  if (!coefficients) return 'formula is not a linear mul/div/add';
+  if (!range) return 'no observed values';
+  return null;
+};
+
+// Turns named groups and bit fields into an OBDb signalset for the command
+// that produced the data. Labeled values become the signal's value map.
+const SignalsetExport = ({ series, conversions, valueLabels, data, defaultHeader, defaultCommand }) => {
+  const [header, setHeader] = useState(defaultHeader || '');
+  const [command, setCommand] = useState(defaultCommand || '');
+  const [idPrefix, setIdPrefix] = useState('');
+  const [excluded, setExcluded] = useState(new Set());
+  const [copied, setCopied] = useState(false);
+  const [copyError, setCopyError] = useState(null);
+
+  // Groups, sub-byte bit fields among them, and selected bits always
+  // qualify; single bytes only once they have been given a name,
+  // conversion or value labels
+  const candidates = useMemo(() => series
+    .filter(s => s.kind === 'group' || s.kind === 'bit'
+      || (s.kind === 'byte' && (conversions[s.key] || valueLabels[s.key])))
+    .map(s => {
+      const raw = data.map(d => d[s.key]);
+      const decoded = data.map(d => d[s.plotKey]);
+      const coefficients = s.error ? null : linearCoefficients(conversions[s.key], raw, decoded);
+      const range = summarize(decoded);
+      return { series: s, coefficients, range, problem: exportProblem(s, coefficients, range) };
+    }), [series, conversions, valueLabels, data]);
+
+  const exported = candidates.filter(c => !c.problem && !excluded.has(c.series.key));
+
+  const signalset = buildSignalset({
+    header,
+    command,
+    signals: exported.map(({ series: s, coefficients, range }) => ({
+      id: toSignalId(s.label, idPrefix),
+      name: s.label,
+      field: s.field,
+      ...coefficients,
+      unit: s.unit,
+      min: range.min,
+      max: range.max,
+      valueLabels: valueLabels[s.key],
+    })),
+  });
+  const errors = validateSignalset(signalset);
+  const json = JSON.stringify(signalset, null, 2);
+
+  const toggle = (key) => {
+    const next = new Set(excluded);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setExcluded(next);
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(json);
+      setCopyError(null);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      setCopyError(`Could not copy: ${err.message}`);
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'signalset.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Export OBDb Signalset</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="flex items-center space-x-1">
+            <span>Header</span>
+            <input
+              className="w-28 px-2 py-1 border rounded font-mono"
+              placeholder="7E0"
+              value={header}
+              onChange={(e) => setHeader(e.target.value.trim())}
+            />
+          </label>
+          <label className="flex items-center space-x-1">
+            <span>Command</span>
+            <input
+              className="w-28 px-2 py-1 border rounded font-mono"
+              placeholder="221234"
+              value={command}
+              onChange={(e) => setCommand(e.target.value)}
+            />
+          </label>
+          <label className="flex items-center space-x-1">
+            <span>ID prefix</span>
+            <input
+              className="w-28 px-2 py-1 border rounded font-mono"
+              placeholder="MAKE"
+              value={idPrefix}
+              onChange={(e) => setIdPrefix(e.target.value)}
+            />
+          </label>
+        </div>
+
+        {candidates.length === 0 ? (
+          <p className="mt-4 text-gray-500 italic">
+            Create a group, select a bit, or name a byte in Signal Formulas or label its values to export it
+          </p>
+        ) : (
+          <div className="mt-4 space-y-1 text-sm">
+            {candidates.map(({ series: s, problem }) => (
+              <label key={s.key} className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={!problem && !excluded.has(s.key)}
+                  disabled={!!problem}
+                  onChange={() => toggle(s.key)}
+                />
+                <span className={problem ? 'text-gray-400' : ''}>
+                  {s.label} <span className="font-mono text-gray-500">{toSignalId(s.label, idPrefix)}</span>
+                </span>
+                {problem && <span className="text-gray-500 italic">- {problem}</span>}
+              </label>
+            ))}
+          </div>
+        )}
+
+        {errors.length > 0 && (
+          <ul className="mt-4 text-sm text-red-500 list-disc list-inside">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        {errors.length === 0 && (
+          <div className="mt-4">
+            <div className="flex space-x-2 mb-2">
+              <button
+                className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+                onClick={download}
+              >
+                Download
+              </button>
+              <button
+                className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+                onClick={copy}
+              >
+                {copied ? 'Copied' : 'Copy'}
+              </button>
+            </div>
+            {copyError && <p className="mb-2 text-sm text-red-500">{copyError}</p>}
+            <pre className="p-4 bg-gray-100 rounded font-mono text-sm max-h-96 overflow-auto">{json}</pre>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SignalsetExport;
@@ -0,0 +1,167 @@
+import { useState, useMemo } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { distinctStates, stateRuns, summarizeStates, stateLabel } from '../lib/states';
+import { formatNumber } from '../lib/stats';
+
+const STATE_COLORS = [
+  '#3b82f6', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316',
+  '#6366f1', '#84cc16', '#06b6d4', '#a855f7', '#eab308', '#64748b', '#22c55e', '#e11d48',
+];
+
+// Plotted bytes, bits and groups with few distinct values shown as a band
+// of states, with dwell times, transitions and labels for each value
+const StateTimeline = ({ series, rows, xKey, valueLabels, onLabelChange }) => {
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  // Plotted signals that qualify, with their states
+  const candidates = useMemo(() => series
+    .map(s => ({ series: s, states: distinctStates(rows.map(row => row[s.key])) }))
+    .filter(c => c.states && c.states.length > 1), [series, rows]);
+
+  const selected = candidates.find(c => c.series.key === selectedKey) || candidates[0];
+  const labels = (selected && valueLabels[selected.series.key]) || {};
+
+  const timeline = useMemo(() => {
+    if (!selected) return null;
+    const runs = stateRuns(rows.map(row => row[selected.series.key]), rows.map(row => row[xKey]));
+    return { runs, ...summarizeStates(runs) };
+  }, [selected, rows, xKey]);
+
+  if (!selected) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>State Timeline</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <p className="text-sm text-gray-500 italic">
+            Select a byte, bit or group that takes between 2 and 16 values to see it as states
+          </p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const { runs, states, matrix, transitions } = timeline;
+  const colorOf = (value) => STATE_COLORS[selected.states.indexOf(value) % STATE_COLORS.length];
+  const start = runs.length ? runs[0].start : 0;
+  const span = runs.length ? runs[runs.length - 1].end - start : 0;
+  const formatDwell = (dwell) => (xKey === 'time' ? `${formatNumber(dwell)} s` : `${dwell} samples`);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex justify-between items-center">
+          <span>State Timeline</span>
+          <select
+            className="px-2 py-1 border rounded text-sm font-normal"
+            value={selected.series.key}
+            onChange={(e) => setSelectedKey(e.target.value)}
+          >
+            {candidates.map(c => (
+              <option key={c.series.key} value={c.series.key}>
+                {c.series.legend} ({c.states.length} states)
+              </option>
+            ))}
+          </select>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <svg
+          className="w-full h-10 border rounded"
+          viewBox={`0 0 ${span || 1} 1`}
+          preserveAspectRatio="none"
+          shapeRendering="crispEdges"
+        >
+          {runs.map(run => (
+            <rect
+              key={run.start}
+              x={run.start - start}
+              y={0}
+              width={run.end - run.start}
+              height={1}
+              fill={colorOf(run.value)}
+            >
+              <title>{`${stateLabel(run.value, labels)}: ${formatDwell(run.end - run.start)}`}</title>
+            </rect>
+          ))}
+        </svg>
+        <p className="mt-1 text-xs text-gray-500">
+          {transitions} transitions over {formatDwell(span)}
+        </p>
+
+        <div className="grid grid-cols-2 gap-4 mt-4">
+          <table className="text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="p-1">Value</th>
+                <th className="p-1">Label</th>
+                <th className="p-1">Dwell</th>
+                <th className="p-1">Share</th>
+                <th className="p-1">Entered</th>
+              </tr>
+            </thead>
+            <tbody>
+              {states.map(state => (
+                <tr key={state.value} className="border-t">
+                  <td className="p-1 font-mono whitespace-nowrap">
+                    <span
+                      className="inline-block w-3 h-3 mr-2 rounded-sm align-middle"
+                      style={{ backgroundColor: colorOf(state.value) }}
+                    />
+                    {stateLabel(state.value)}
+                  </td>
+                  <td className="p-1">
+                    <input
+                      className="w-32 px-2 py-0.5 border rounded"
+                      placeholder="e.g. P"
+                      value={labels[state.value] || ''}
+                      onChange={(e) => onLabelChange(selected.series.key, state.value, e.target.value)}
+                    />
+                  </td>
+                  <td className="p-1">{formatDwell(state.dwell)}</td>
+                  <td className="p-1">{(state.share * 100).toFixed(1)}%</td>
+                  <td className="p-1">{state.entries}×</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="overflow-auto">
+            <table className="text-xs font-mono border-collapse">
+              <thead>
+                <tr>
+                  <th className="p-1 font-normal text-gray-500 text-right">from \ to</th>
+                  {states.map(state => (
+                    <th key={state.value} className="p-1 font-normal text-gray-500 whitespace-nowrap">
+                      {stateLabel(state.value, labels)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {states.map((from, i) => (
+                  <tr key={from.value}>
+                    <th className="p-1 font-normal text-gray-500 text-right whitespace-nowrap">
+                      {stateLabel(from.value, labels)}
+                    </th>
+                    {matrix[i].map((count, j) => (
+                      <td
+                        key={states[j].value}
+                        className={`p-1 text-center border ${count ? '' : 'text-gray-300'}`}
+                      >
+                        {count}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default StateTimeline;
@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import {
+  deserializeWorkspace,
+  encodeShareHash,
+  listSessions,
+  saveSession,
+  deleteSession,
+  SHARE_URL_WARN_LENGTH,
+} from '../lib/workspace';
+
+// Named sessions, workspace files and share links. The current workspace
+// is autosaved separately by ByteExplorer.
+const WorkspacePanel = ({ workspace, onLoad, autosaveFailed }) => {
+  const [sessions, setSessions] = useState(listSessions);
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const report = (text, isError = false) => setMessage({ text, isError });
+
+  const load = (json, source) => {
+    try {
+      onLoad(deserializeWorkspace(json));
+      report(`Loaded ${source}`);
+    } catch (err) {
+      report(`Could not load ${source}: ${err.message}`, true);
+    }
+  };
+
+  const save = () => {
+    const sessionName = name.trim();
+    if (!sessionName) return;
+    if (!saveSession(sessionName, workspace)) {
+      report('Browser storage is full or unavailable', true);
+      return;
+    }
+    setSessions(listSessions());
+    report(`Saved "${sessionName}"`);
+  };
+
+  const remove = (sessionName) => {
+    deleteSession(sessionName);
+    setSessions(listSessions());
+  };
+
+  const exportFile = () => {
+    const json = JSON.stringify(workspace, null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name.trim() || 'workspace'}.pidhunter.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      load(JSON.parse(await file.text()), file.name);
+    } catch (err) {
+      report(`Could not read ${file.name}: ${err.message}`, true);
+    }
+  };
+
+  const copyShareLink = async () => {
+    try {
+      const url = `${window.location.origin}${window.location.pathname}#w=${await encodeShareHash(workspace)}`;
+      await navigator.clipboard.writeText(url);
+      report(url.length > SHARE_URL_WARN_LENGTH
+        ? `Link copied, but it is ${url.length} characters long and may be cut off; consider sharing a file instead`
+        : 'Link copied to clipboard');
+    } catch (err) {
+      report(`Could not copy the share link: ${err.message}`, true);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Workspace</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            className="w-48 px-2 py-1 border rounded"
+            placeholder="Session name, e.g. Ioniq 5 2201"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && save()}
+          />
+          <button
+            className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+            onClick={save}
+            disabled={!name.trim()}
+          >
+            Save Session
+          </button>
+          <button className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300" onClick={exportFile}>
+            Export File
+          </button>
+          <label className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 cursor-pointer">
+            Import File
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => importFile(e.target.files[0])}
+            />
+          </label>
+          <button className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300" onClick={copyShareLink}>
+            Copy Share Link
+          </button>
+        </div>
+
+        {message && (
+          <p className={`mt-2 text-sm ${message.isError ? 'text-red-500' : 'text-gray-500'}`}>{message.text}</p>
+        )}
+        {autosaveFailed && (
+          <p className="mt-2 text-sm text-amber-600">
+            The workspace is too large to autosave; export it to a file to keep it.
+          </p>
+        )}
+
+        {sessions.length > 0 && (
+          <div className="mt-4 space-y-1 text-sm">
+            {sessions.map(session => (
+              <div key={session.name} className="flex items-center gap-2 p-2 border rounded">
+                <span className="font-medium">{session.name}</span>
+                <span className="text-gray-500">{new Date(session.savedAt).toLocaleString()}</span>
+                <button
+                  className="ml-auto px-2 py-1 text-blue-500 hover:bg-blue-50 rounded"
+                  onClick={() => {
+                    setName(session.name);
+                    load(session.workspace, `"${session.name}"`);
+                  }}
+                >
+                  Load
+                </button>
+                <button
+                  className="px-2 py-1 text-red-500 hover:bg-red-50 rounded"
+                  onClick={() => remove(session.name)}
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default WorkspacePanel;
@@ -0,0 +1,582 @@
+// Work over whole captures that is too slow for the page on overnight logs:
+// parsing, per-byte statistics, entropy, correlation, classification and the
+// signal search. These run in the analysis worker (see runAnalysis.js), so
+// everything here takes and returns plain data. Byte values travel as columns, one Int16Array per byte
+// position, with -1 where a sample has no such byte.
+
+import { parseElm327 } from './elm327';
+import { parseCandump, parseSavvyCsv, groupFramesById } from './canlog';
+import { extractTimestamp } from './timestamps';
+import { extractMarkers } from './annotations';
+import { requestHeaderFor } from './signalset';
+import { classifyBytes } from './classify';
+import { levelsFor, discretize, discreteEntropy, informationMeasures, rankValues } from './information';
+import { extractField, combineBytes } from './bitfield';
+import { searchFields } from './search';
+
+// Formats that carry many arbitration IDs and are split into streams
+export const CAN_LOG_PARSERS = {
+  candump: parseCandump,
+  savvycan: parseSavvyCsv,
+};
+
+// Hex lines parsed between progress reports
+const PROGRESS_LINES = 10000;
+
+// Lags are searched over this many samples from the start of the capture,
+// which bounds the cost of trying every lag for every pair
+const LAG_SAMPLE_LIMIT = 20000;
+
+const MISSING = -1;
+
+export const bytesToHex = (bytes) => bytes
+  .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
+  .join('');
+
+/**
+ * Read the bytes of one hex line. Bytes may run together or be split by
+ * whitespace, colons or commas; between separators a lone digit is a byte.
+ *
+ * @param {string} line
+ * @returns {{bytes: number[], problem: ?string}} bytes read up to the first
+ *   problem, and what it was
+ */
+export const readHexLine = (line) => {
+  const tokens = line.trim().split(/[\s:,]+/).filter(Boolean);
+  const bytes = [];
+  for (const token of tokens) {
+    const bad = token.search(/[^0-9A-Fa-f]/);
+    const hex = bad === -1 ? token : token.slice(0, bad);
+    if (bad === -1 && hex.length === 1 && tokens.length > 1) {
+      bytes.push(parseInt(hex, 16));
+      continue;
+    }
+    for (let i = 0; i + 1 < hex.length; i += 2) {
+      bytes.push(parseInt(hex.slice(i, i + 2), 16));
+    }
+    if (bad !== -1) return { bytes, problem: `"${token[bad]}" is not a hex digit` };
+    if (hex.length % 2) return { bytes, problem: 'Odd number of hex digits, the last one is dropped' };
+  }
+  return { bytes, problem: null };
+};
+
+// Payload length most lines have
+const usualLength = (lengths) => {
+  const counts = new Map();
+  lengths.forEach(length => counts.set(length, (counts.get(length) || 0) + 1));
+  let usual = 0;
+  counts.forEach((count, length) => {
+    if (count > (counts.get(usual) || 0)) usual = length;
+  });
+  return usual;
+};
+
+// Note payloads of another length than usual, then drop the lines with
+// problems when bad lines are skipped. Length changes are kept as missing
+// bytes unless skipped, as a truncated frame looks just like them.
+const settleLines = (entries, badLines) => {
+  const usual = usualLength(entries.filter(e => !e.problem).map(e => e.bytes.length));
+  const samples = [];
+  const diagnostics = [];
+  entries.forEach(({ bytes, time, line, problem }) => {
+    const reason = problem || (bytes.length !== usual ? `${bytes.length} byte${bytes.length === 1 ? '' : 's'} instead of the usual ${usual}` : null);
+    const keep = bytes.length > 0 && (!reason || badLines === 'keep');
+    if (reason) diagnostics.push({ line, reason, skipped: !keep });
+    if (keep) samples.push({ bytes, time, line });
+  });
+  return { samples, diagnostics };
+};
+
+// Request the responses answer, from the first that echoes or implies one
+const requestOf = (messages) => {
+  const answered = messages.find(m => m.command) || messages[0];
+  return {
+    header: requestHeaderFor(answered.header),
+    command: answered.command ? bytesToHex(answered.command) : '',
+  };
+};
+
+const settleMessages = (messages, timestampSource, badLines) => settleLines(
+  messages.map(m => ({
+    bytes: m.data,
+    time: m.time,
+    line: m.line,
+    problem: timestampSource !== 'none' && m.time === null ? 'No timestamp' : null,
+  })),
+  badLines
+);
+
+// Responses from several ECUs, such as 7E8 and 7E9 answering one functional
+// request, are split into a stream per response header as a CAN log is.
+// Responses of another length than their stream's usual one are left out
+// of analysis, as frames with an odd DLC are.
+const responderStreams = (byHeader, timestampSource, badLines) => {
+  const frames = [];
+  const diagnostics = [];
+  byHeader.forEach((messages, header) => {
+    const settled = settleMessages(messages, timestampSource, badLines);
+    diagnostics.push(...settled.diagnostics);
+    frames.push(...settled.samples.map(({ bytes, time, line }) => ({ id: header, bus: '0', timestamp: time, data: bytes, line })));
+  });
+  const streams = groupFramesById(frames).map(stream => ({ ...stream, request: requestOf(byHeader.get(stream.id)) }));
+  const dropped = new Set(streams.flatMap(stream => stream.frames
+    .filter(frame => frame.data.length !== stream.dlc)
+    .map(frame => frame.line)));
+  return {
+    streams,
+    diagnostics: diagnostics.map(d => (dropped.has(d.line) ? { ...d, skipped: true } : d)),
+  };
+};
+
+/**
+ * Turn hex lines or adapter output into one sample per line or response.
+ * Lines that can't be read in full, and payloads of another length than
+ * most, are reported per line; their readable bytes are kept or the line
+ * is skipped. Adapter output with responses from several ECUs comes back
+ * as one stream per response header instead, each with its request.
+ *
+ * @param {string} input - Capture without annotation markers
+ * @param {Object} options
+ * @param {string} options.inputFormat - 'hex' or 'elm327'
+ * @param {string} options.timestampSource - 'none', 'prefix' or 'column'
+ * @param {number} options.timestampColumn
+ * @param {'keep'|'skip'} [options.badLines='keep']
+ * @param {function(number)} [onProgress] - Share of lines parsed
+ * @returns {{samples: Array<{bytes: number[], time: ?number, line: number}>,
+ *   request: {header: string, command: string},
+ *   diagnostics: Array<{line: number, reason: string, skipped: boolean}>}
+ *   | {streams: Object[], diagnostics: Array} | {error: string}}
+ */
+export const parseSamples = (input, { inputFormat, timestampSource, timestampColumn, badLines = 'keep' }, onProgress = () => {}) => {
+  if (inputFormat === 'elm327') {
+    const { messages, problems } = parseElm327(input, { timestamps: timestampSource !== 'none' });
+    if (messages.length === 0) {
+      return { error: 'No ECU responses found in the input' };
+    }
+    const skipped = problems.map(p => ({ ...p, skipped: true }));
+    const byHeader = new Map();
+    messages.forEach(m => {
+      if (!byHeader.has(m.header)) byHeader.set(m.header, []);
+      byHeader.get(m.header).push(m);
+    });
+    if (byHeader.size > 1 && !byHeader.has(null)) {
+      const { streams, diagnostics } = responderStreams(byHeader, timestampSource, badLines);
+      return { streams, diagnostics: [...skipped, ...diagnostics].sort((a, b) => a.line - b.line) };
+    }
+
+    const { samples, diagnostics } = settleMessages(messages, timestampSource, badLines);
+    return {
+      samples,
+      request: requestOf(messages),
+      diagnostics: [...skipped, ...diagnostics].sort((a, b) => a.line - b.line),
+    };
+  }
+
+  const lines = input.trim().split('\n');
+  // Line numbers are needed to place annotation markers
+  const firstLine = input.slice(0, input.length - input.trimStart().length).split('\n').length;
+  if (!lines[0]) {
+    return { error: 'No data provided' };
+  }
+
+  const timed = timestampSource !== 'none';
+  const entries = [];
+  let anyTime = false;
+  lines.forEach((text, idx) => {
+    if (idx % PROGRESS_LINES === 0) onProgress(idx / lines.length);
+    if (!text.trim()) return;
+    const { time, rest } = timed ? extractTimestamp(text, timestampSource, timestampColumn) : { time: null, rest: text };
+    const { bytes, problem } = readHexLine(rest);
+    if (time !== null) anyTime = true;
+    entries.push({
+      bytes,
+      time,
+      line: firstLine + idx,
+      problem: problem || (timed && time === null ? 'No timestamp' : null),
+    });
+  });
+  if (timed && !anyTime) {
+    return { error: 'No timestamps found. Check the timestamp source and column.' };
+  }
+
+  const { samples, diagnostics } = settleLines(entries, badLines);
+  if (!samples.length) {
+    return {
+      error: diagnostics.length
+        ? `No readable hex lines. Line ${diagnostics[0].line}: ${diagnostics[0].reason}`
+        : 'No data provided',
+    };
+  }
+  return { samples, request: { header: '', command: '' }, diagnostics };
+};
+
+/**
+ * Parse a capture in any input format, pulling out annotation markers.
+ * CAN logs and adapter output from several ECUs come back split into
+ * streams, other captures as samples.
+ *
+ * @param {string} input
+ * @param {Object} options - See parseSamples
+ * @param {function(number)} [onProgress]
+ * @returns {{markers: Array, streams: Object[]} | {markers: Array, samples: Object[], request: Object} | {error: string}}
+ */
+export const parseCapture = (input, options, onProgress) => {
+  const { text, markers } = extractMarkers(input);
+  const parseLog = CAN_LOG_PARSERS[options.inputFormat];
+  if (parseLog) {
+    const { frames } = parseLog(text);
+    if (frames.length === 0) return { error: 'No CAN frames found in the input' };
+    return { markers, streams: groupFramesById(frames) };
+  }
+  const parsed = parseSamples(text, options, onProgress);
+  return parsed.error ? parsed : { markers, ...parsed };
+};
+
+// Frames of a CAN stream at its usual length, and their samples
+export const streamFrames = (stream) => stream.frames.filter(frame => frame.data.length === stream.dlc);
+export const framesToSamples = (frames) => frames.map(frame => ({ bytes: frame.data, time: frame.timestamp, line: frame.line }));
+
+// Payload bytes of a data row, in order
+export const rowBytes = (row) => {
+  const bytes = [];
+  for (let i = 0; row[`byte${i}`] !== undefined; i++) {
+    bytes.push(row[`byte${i}`]);
+  }
+  return bytes;
+};
+
+/**
+ * Value of a byte group for one data row. Groups over adjacent bytes or
+ * bits are bit fields; groups of scattered bytes combine them in byte order.
+ *
+ * @param {Object} group - { bytes, field } or { bytes, byteOrder, signed }
+ * @param {Object} row - Data row with byteN fields
+ * @returns {?number}
+ */
+export const groupValue = (group, row) => {
+  if (group.field) {
+    return extractField(rowBytes(row), group.field);
+  }
+  return combineBytes(group.bytes.map(b => row[`byte${b}`]), group);
+};
+
+/**
+ * Data row for a parsed sample: its index, time when known, every byte as
+ * byteN and every group as group<id>.
+ *
+ * @param {{bytes: number[], time: ?number}} sample
+ * @param {number} index
+ * @param {Object[]} groups
+ * @returns {Object}
+ */
+export const sampleRow = (sample, index, groups) => {
+  const row = { index };
+  if (sample.time !== undefined && sample.time !== null) {
+    row.time = sample.time;
+  }
+  sample.bytes.forEach((byteValue, i) => {
+    row[`byte${i}`] = byteValue;
+  });
+  groups.forEach(group => {
+    row[`group${group.id}`] = groupValue(group, row);
+  });
+  return row;
+};
+
+/**
+ * Byte columns of data rows, for handing to the worker.
+ *
+ * @param {Object[]} rows - Data rows with byteN fields
+ * @param {number} numBytes
+ * @returns {Int16Array[]}
+ */
+export const toColumns = (rows, numBytes) => Array.from({ length: numBytes }, (_, byteNum) => {
+  const column = new Int16Array(rows.length);
+  const key = `byte${byteNum}`;
+  rows.forEach((row, i) => {
+    column[i] = row[key] === undefined ? MISSING : row[key];
+  });
+  return column;
+});
+
+// Values at a byte, or at a bit when shift is given, or of a signal passed
+// with its values, with missing ones dropped
+const positionValues = (columns, { byte, shift, values: signal }) => {
+  if (signal) return Array.from(signal).filter(value => !Number.isNaN(value));
+  const values = [];
+  columns[byte].forEach(value => {
+    if (value === MISSING) return;
+    values.push(shift === undefined ? value : (value >> shift) & 1);
+  });
+  return values;
+};
+
+/**
+ * Shannon entropy of a list of values, in bits.
+ *
+ * @param {Array} values
+ * @returns {number}
+ */
+export const calculateEntropy = (values) => {
+  const counts = new Map();
+  for (let i = 0; i < values.length; i++) {
+    counts.set(values[i], (counts.get(values[i]) || 0) + 1);
+  }
+  let entropy = 0;
+  counts.forEach(count => {
+    const p = count / values.length;
+    entropy -= p * Math.log2(p);
+  });
+  return entropy;
+};
+
+/**
+ * Pearson correlation of array1[t] with array2[t + lag], over the samples
+ * where both have a value (NaN marks a missing one). 0 when either is
+ * constant.
+ *
+ * @param {ArrayLike<number>} array1
+ * @param {ArrayLike<number>} array2
+ * @param {number} lag - Samples array2 trails array1 by; negative when it leads
+ * @returns {number}
+ */
+export const laggedCorrelation = (array1, array2, lag) => {
+  const start = Math.max(0, -lag);
+  const end = Math.min(array1.length, array2.length - lag);
+  let n = 0;
+  let sum1 = 0;
+  let sum2 = 0;
+  for (let t = start; t < end; t++) {
+    const x = array1[t];
+    const y = array2[t + lag];
+    if (Number.isNaN(x) || Number.isNaN(y)) continue;
+    n++;
+    sum1 += x;
+    sum2 += y;
+  }
+  if (n < 2) return 0;
+  const mean1 = sum1 / n;
+  const mean2 = sum2 / n;
+
+  let covariance = 0;
+  let variance1 = 0;
+  let variance2 = 0;
+  for (let t = start; t < end; t++) {
+    const x = array1[t];
+    const y = array2[t + lag];
+    if (Number.isNaN(x) || Number.isNaN(y)) continue;
+    const d1 = x - mean1;
+    const d2 = y - mean2;
+    covariance += d1 * d2;
+    variance1 += d1 * d1;
+    variance2 += d2 * d2;
+  }
+  const sqrtProduct = Math.sqrt(variance1 * variance2);
+  return sqrtProduct === 0 ? 0 : covariance / sqrtProduct;
+};
+
+/**
+ * Pearson correlation of two equally long arrays; 0 when either is constant.
+ *
+ * @param {ArrayLike<number>} array1
+ * @param {ArrayLike<number>} array2
+ * @returns {number}
+ */
+export const calculateCorrelation = (array1, array2) => laggedCorrelation(array1, array2, 0);
+
+/**
+ * Range, mean and standard deviation of every byte position, and how many
+ * samples reach it.
+ *
+ * @param {Int16Array[]} columns
+ * @param {function(number)} [onProgress] - Share of bytes done
+ * @returns {Object<string, {min: number, max: number, mean: number, stdDev: number, count: number}>}
+ *   Keyed byteN; positions no sample reaches are left out
+ */
+export const computeByteStats = (columns, onProgress = () => {}) => {
+  const stats = {};
+  columns.forEach((column, byteNum) => {
+    onProgress(byteNum / columns.length);
+    let count = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    column.forEach(value => {
+      if (value === MISSING) return;
+      count++;
+      sum += value;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    });
+    if (!count) return;
+
+    const mean = sum / count;
+    let squares = 0;
+    column.forEach(value => {
+      if (value !== MISSING) squares += (value - mean) * (value - mean);
+    });
+    stats[`byte${byteNum}`] = { min, max, mean, stdDev: Math.sqrt(squares / count), count };
+  });
+  return stats;
+};
+
+/**
+ * Entropy of each position and, for several, of their combined values.
+ *
+ * @param {Int16Array[]} columns
+ * @param {Array<{key: string, label: string, byte: number, shift: ?number, values: ?Float64Array}>} positions -
+ *   shift selects a bit of the byte, counted from the least significant;
+ *   groups and derived channels come with their values instead, NaN where
+ *   a sample has none
+ * @returns {?{byteEntropies: Array<{key: string, label: string, entropy: number}>, jointEntropy: ?number}}
+ *   null without samples or positions
+ */
+export const computeEntropy = (columns, positions) => {
+  if (!positions.length || !columns.length || !columns[0].length) return null;
+
+  const byteEntropies = positions.map(({ key, label, ...position }) => ({
+    key,
+    label,
+    entropy: calculateEntropy(positionValues(columns, position)),
+  }));
+
+  let jointEntropy = null;
+  if (positions.length > 1) {
+    const jointValues = Array.from(columns[0], (_, i) => positions
+      .map(({ byte, shift, values }) => {
+        if (values) return Number.isNaN(values[i]) ? MISSING : values[i];
+        const value = columns[byte][i];
+        return value === MISSING || shift === undefined ? value : (value >> shift) & 1;
+      })
+      .join(','));
+    jointEntropy = calculateEntropy(jointValues);
+  }
+
+  return { byteEntropies, jointEntropy };
+};
+
+/**
+ * Correlation of every pair of byte positions and extra signals (groups),
+ * plus the lag at which each pair is most strongly correlated.
+ *
+ * @param {Int16Array[]} columns
+ * @param {Array<{key: string, label: string, values: Float64Array}>} extra -
+ *   Further signals, NaN where a sample has no value
+ * @param {Object} [options]
+ * @param {number} [options.maxLag=0] - Largest lag tried, in samples
+ * @param {number[]} [options.excludeBytes] - Byte positions left out
+ * @param {function(number)} [options.onProgress] - Share of pairs done
+ * @returns {{signals: Array<{key: string, label: string}>, matrix: number[][],
+ *   pairs: Array<{a: number, b: number, correlation: number, lag: number, lagCorrelation: number}>}}
+ *   matrix holds the correlation without lag. For each pair (a < b, indices
+ *   into signals), lag is how many samples b trails a by at the strongest
+ *   correlation, lagCorrelation that correlation; both come from the first
+ *   LAG_SAMPLE_LIMIT samples.
+ */
+export const computeCorrelationMatrix = (columns, extra, { maxLag = 0, excludeBytes = [], onProgress = () => {} } = {}) => {
+  const signals = [
+    ...columns.flatMap((column, byteNum) => (excludeBytes.includes(byteNum) ? [] : [{
+      key: `byte${byteNum}`,
+      label: `Byte ${byteNum}`,
+      values: Float64Array.from(column, value => (value === MISSING ? NaN : value)),
+    }])),
+    ...extra,
+  ];
+  const matrix = signals.map((_, i) => signals.map((__, j) => (i === j ? 1 : 0)));
+  const total = (signals.length * (signals.length - 1)) / 2;
+  const pairs = [];
+
+  for (let a = 0; a < signals.length; a++) {
+    for (let b = a + 1; b < signals.length; b++) {
+      onProgress(pairs.length / total);
+      const values1 = signals[a].values;
+      const values2 = signals[b].values;
+      const correlation = laggedCorrelation(values1, values2, 0);
+      matrix[a][b] = correlation;
+      matrix[b][a] = correlation;
+
+      const window1 = values1.subarray(0, LAG_SAMPLE_LIMIT);
+      const window2 = values2.subarray(0, LAG_SAMPLE_LIMIT);
+      let best = { lag: 0, lagCorrelation: laggedCorrelation(window1, window2, 0) };
+      for (let lag = -maxLag; lag <= maxLag; lag++) {
+        if (lag === 0) continue;
+        const r = laggedCorrelation(window1, window2, lag);
+        if (Math.abs(r) > Math.abs(best.lagCorrelation)) best = { lag, lagCorrelation: r };
+      }
+      pairs.push({ a, b, correlation, ...best });
+    }
+  }
+
+  return { signals: signals.map(({ key, label }) => ({ key, label })), matrix, pairs };
+};
+
+/**
+ * Mutual information, conditional entropies and Pearson and Spearman
+ * correlation of every pair of byte positions, bits and extra signals.
+ *
+ * @param {Int16Array[]} columns
+ * @param {Array<{key: string, label: string, values: Float64Array}>} extra -
+ *   Further signals, NaN where a sample has no value
+ * @param {Object} [options]
+ * @param {Array<{key: string, label: string, byte: number, shift: number}>} [options.bits] -
+ *   Bits to include, shift counted from the least significant
+ * @param {number[]} [options.excludeBytes] - Byte positions left out
+ * @param {function(number)} [options.onProgress] - Share of pairs done
+ * @returns {{signals: Array<{key: string, label: string, entropy: number}>,
+ *   pairs: Array<{a: number, b: number, mutualInformation: number, normalized: number,
+ *   jointEntropy: number, conditionalA: number, conditionalB: number, pearson: number, spearman: number}>}}
+ *   entropy is of the discretized signal, as the mutual information uses it
+ */
+export const computeDependencies = (columns, extra, { bits = [], excludeBytes = [], onProgress = () => {} } = {}) => {
+  const fromColumn = (column, shift) => Float64Array.from(column, value => {
+    if (value === MISSING) return NaN;
+    return shift === undefined ? value : (value >> shift) & 1;
+  });
+  const signals = [
+    ...columns.flatMap((column, byteNum) => (excludeBytes.includes(byteNum) ? [] : [{
+      key: `byte${byteNum}`,
+      label: `Byte ${byteNum}`,
+      values: fromColumn(column),
+    }])),
+    ...bits.map(({ key, label, byte, shift }) => ({ key, label, values: fromColumn(columns[byte], shift) })),
+    ...extra,
+  ];
+  const levels = levelsFor(columns.length ? columns[0].length : 0);
+  const discrete = signals.map(signal => discretize(signal.values, levels));
+  const ranks = signals.map(signal => rankValues(signal.values));
+  const total = (signals.length * (signals.length - 1)) / 2;
+  const pairs = [];
+
+  for (let a = 0; a < signals.length; a++) {
+    for (let b = a + 1; b < signals.length; b++) {
+      onProgress(pairs.length / total);
+      const { entropyA, entropyB, ...measures } = informationMeasures(discrete[a], discrete[b]);
+      pairs.push({
+        a,
+        b,
+        ...measures,
+        pearson: laggedCorrelation(signals[a].values, signals[b].values, 0),
+        spearman: laggedCorrelation(ranks[a], ranks[b], 0),
+      });
+    }
+  }
+
+  return {
+    signals: signals.map(({ key, label }, i) => ({ key, label, entropy: discreteEntropy(discrete[i]) })),
+    pairs,
+  };
+};
+
+// Tasks the worker runs, by message type
+export const ANALYSIS_TASKS = {
+  parse: ({ input, options }, onProgress) => parseCapture(input, options, onProgress),
+  byteStats: ({ columns }, onProgress) => computeByteStats(columns, onProgress),
+  entropy: ({ columns, positions }) => computeEntropy(columns, positions),
+  correlation: ({ columns, extra, maxLag, excludeBytes }, onProgress) =>
+    computeCorrelationMatrix(columns, extra, { maxLag, excludeBytes, onProgress }),
+  dependencies: ({ columns, extra, bits, excludeBytes }, onProgress) =>
+    computeDependencies(columns, extra, { bits, excludeBytes, onProgress }),
+  classify: ({ columns }) => classifyBytes(columns),
+  search: ({ payloads, metric, reference, maxLength, excludeBytes }) =>
+    searchFields(payloads, { metric, reference, maxLength, excludeBytes: new Set(excludeBytes) }),
+};
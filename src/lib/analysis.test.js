@@ -0,0 +1,144 @@
+import {
+  parseCapture,
+  readHexLine,
+  toColumns,
+  calculateEntropy,
+  calculateCorrelation,
+  computeByteStats,
+  computeEntropy,
+  laggedCorrelation,
+  computeCorrelationMatrix,
+  streamFrames,
+  framesToSamples,
+} from './analysis';
+
+const HEX = { inputFormat: 'hex', timestampSource: 'none', timestampColumn: 0 };
+
+test('parses hex lines into samples and markers', () => {
+  const parsed = parseCapture('0102\n# press\n0304\n', HEX);
+  expect(parsed.samples.map(s => s.bytes)).toEqual([[1, 2], [3, 4]]);
+  expect(parsed.samples.map(s => s.line)).toEqual([1, 2]);
+  expect(parsed.markers).toEqual([{ text: 'press', line: 2 }]);
+  expect(parseCapture('zz\nGG', HEX).error).toMatch(/Line 1: "z" is not a hex digit/);
+});
+
+test('reads hex lines with separators and reports what it cannot read', () => {
+  expect(readHexLine('01 02 0A')).toEqual({ bytes: [1, 2, 10], problem: null });
+  expect(readHexLine('01:02:0a')).toEqual({ bytes: [1, 2, 10], problem: null });
+  expect(readHexLine('01,2,0304')).toEqual({ bytes: [1, 2, 3, 4], problem: null });
+  expect(readHexLine('01020')).toEqual({ bytes: [1, 2], problem: expect.stringMatching(/Odd number/) });
+  expect(readHexLine('01 0G 03')).toEqual({ bytes: [1], problem: '"G" is not a hex digit' });
+});
+
+test('keeps or skips bad lines and treats short payloads as missing bytes', () => {
+  const input = '010203\n0102\n0102035\n010203\nxyz';
+  const kept = parseCapture(input, HEX);
+  expect(kept.samples.map(s => s.bytes)).toEqual([[1, 2, 3], [1, 2], [1, 2, 3], [1, 2, 3]]);
+  expect(kept.diagnostics).toEqual([
+    { line: 2, reason: '2 bytes instead of the usual 3', skipped: false },
+    { line: 3, reason: 'Odd number of hex digits, the last one is dropped', skipped: false },
+    { line: 5, reason: '"x" is not a hex digit', skipped: true },
+  ]);
+
+  const skipped = parseCapture(input, { ...HEX, badLines: 'skip' });
+  expect(skipped.samples.map(s => s.line)).toEqual([1, 4]);
+  expect(skipped.diagnostics.every(d => d.skipped)).toBe(true);
+
+  const columns = toColumns(kept.samples.map(s => Object.fromEntries(s.bytes.map((b, i) => [`byte${i}`, b]))), 3);
+  expect(computeByteStats(columns).byte2.count).toBe(3);
+});
+
+test('reports lines without the expected timestamp', () => {
+  const parsed = parseCapture('0.1 0102\n0103\n0.3 0104', { ...HEX, timestampSource: 'prefix' });
+  expect(parsed.samples.map(s => s.time)).toEqual([0.1, null, 0.3]);
+  expect(parsed.diagnostics).toEqual([{ line: 2, reason: 'No timestamp', skipped: false }]);
+
+  // Without headers the first data byte mustn't be taken for the time
+  const elm = parseCapture('0.1 41 0C 1A F8\n41 0C 1B 02', { ...HEX, inputFormat: 'elm327', timestampSource: 'prefix' });
+  expect(elm.samples.map(s => s.bytes)).toEqual([[0x1A, 0xF8], [0x1B, 0x02]]);
+  expect(elm.diagnostics).toEqual([{ line: 2, reason: 'No timestamp', skipped: false }]);
+});
+
+test('splits CAN logs into streams', () => {
+  const parsed = parseCapture('(1.0) can0 123#0102\n(1.1) can0 456#03', { ...HEX, inputFormat: 'candump' });
+  expect(parsed.streams.map(s => s.id)).toEqual(['123', '456']);
+  expect(parseCapture('nothing', { ...HEX, inputFormat: 'candump' }).error).toMatch(/No CAN frames/);
+});
+
+test('splits adapter output from several ECUs into a stream per header', () => {
+  const input = [
+    '>010C',
+    '7E8 04 41 0C 1A F8',
+    '7E9 03 41 0C 12',
+    '>010C',
+    '7E9 03 41 0C 13',
+    '7E8 04 41 0C 1B 02',
+    '7E8 03 41 0C 1C',
+  ].join('\n');
+  const parsed = parseCapture(input, { ...HEX, inputFormat: 'elm327' });
+  expect(parsed.samples).toBeUndefined();
+  expect(parsed.streams.map(s => s.id)).toEqual(['7E8', '7E9']);
+  expect(parsed.streams.map(s => s.request)).toEqual([
+    { header: '7E0', command: '010C' },
+    { header: '7E1', command: '010C' },
+  ]);
+  expect(parsed.streams.map(s => framesToSamples(streamFrames(s)).map(sample => sample.bytes))).toEqual([
+    [[0x1A, 0xF8], [0x1B, 0x02]],
+    [[0x12], [0x13]],
+  ]);
+  expect(parsed.diagnostics).toEqual([{ line: 7, reason: '1 byte instead of the usual 2', skipped: true }]);
+
+  const single = parseCapture('7E8 04 41 0C 1A F8\n7E8 04 41 0C 1B 02', { ...HEX, inputFormat: 'elm327' });
+  expect(single.streams).toBeUndefined();
+  expect(single.request).toEqual({ header: '7E0', command: '010C' });
+});
+
+test('computes byte statistics from columns', () => {
+  const rows = [{ byte0: 1, byte1: 7 }, { byte0: 3, byte1: 7 }, { byte0: 5 }];
+  const stats = computeByteStats(toColumns(rows, 2));
+  expect(stats.byte0).toEqual({ min: 1, max: 5, mean: 3, stdDev: Math.sqrt(8 / 3), count: 3 });
+  expect(stats.byte1).toEqual({ min: 7, max: 7, mean: 7, stdDev: 0, count: 2 });
+});
+
+test('computes entropy and correlation', () => {
+  expect(calculateEntropy([0, 1, 0, 1])).toBe(1);
+  expect(calculateEntropy([5, 5])).toBe(0);
+  expect(calculateCorrelation([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+  expect(calculateCorrelation([1, 2, 3], [1, 1, 1])).toBe(0);
+
+  const columns = toColumns([{ byte0: 0x80, byte1: 1 }, { byte0: 0x00, byte1: 2 }], 2);
+  const info = computeEntropy(columns, [
+    { key: 'byte1', label: 'Byte 1', byte: 1 },
+    { key: 'bit0', label: 'Bit 0.7', byte: 0, shift: 7 },
+  ]);
+  expect(info.byteEntropies.map(e => e.entropy)).toEqual([1, 1]);
+  expect(info.jointEntropy).toBe(1);
+});
+
+test('computes entropy of signals passed with their values', () => {
+  const columns = toColumns([{ byte0: 1 }, { byte0: 1 }, { byte0: 2 }, { byte0: 2 }], 1);
+  const info = computeEntropy(columns, [
+    { key: 'byte0', label: 'Byte 0', byte: 0 },
+    { key: 'derived0', label: 'Rate', values: Float64Array.from([NaN, 0.5, 1.5, 2.5]) },
+  ]);
+  expect(info.byteEntropies[1].entropy).toBeCloseTo(Math.log2(3));
+  expect(info.jointEntropy).toBe(2);
+});
+
+test('finds signals that follow each other with a delay', () => {
+  // Byte 1 repeats byte 0 three samples later; the group mirrors byte 0
+  const wave = Array.from({ length: 200 }, (_, i) => Math.round(100 + 80 * Math.sin(i / 5)));
+  const rows = wave.map((value, i) => ({ byte0: value, byte1: i >= 3 ? wave[i - 3] : 100 }));
+  const group = { key: 'group0', label: 'Mirror', values: Float64Array.from(wave, v => 255 - v) };
+
+  expect(laggedCorrelation(wave, [0, 0, 0, ...wave], 3)).toBeCloseTo(1);
+  const { signals, matrix, pairs } = computeCorrelationMatrix(toColumns(rows, 2), [group], { maxLag: 5 });
+  expect(signals.map(s => s.key)).toEqual(['byte0', 'byte1', 'group0']);
+  expect(matrix[0][2]).toBeCloseTo(-1);
+  expect(matrix[1][1]).toBe(1);
+
+  const delayed = pairs.find(p => p.a === 0 && p.b === 1);
+  expect(delayed.lag).toBe(3);
+  expect(delayed.lagCorrelation).toBeCloseTo(1);
+  expect(Math.abs(delayed.correlation)).toBeLessThan(0.95);
+});
@@ -0,0 +1,17 @@
+/* global globalThis */
+// Entry point of the analysis worker started by runAnalysis.js. Each
+// message names a task from analysis.js; progress and the result are posted
+// back under the message's id.
+
+import { ANALYSIS_TASKS } from './analysis';
+
+const scope = globalThis;
+
+scope.onmessage = ({ data: { id, type, payload } }) => {
+  try {
+    const result = ANALYSIS_TASKS[type](payload, (progress) => scope.postMessage({ id, progress }));
+    scope.postMessage({ id, result });
+  } catch (err) {
+    scope.postMessage({ id, error: err.message });
+  }
+};
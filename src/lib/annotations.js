@@ -0,0 +1,162 @@
+// Event annotations: labeled sample ranges marking when something was done
+// to the vehicle ("brake pressed", "door open"), and a ranking of the bytes
+// and bits that change at those moments.
+//
+// Annotations can be written into a capture as comment lines. A line
+// starting with `#` opens an event at the next sample; `# end` closes the
+// most recent open event (or `# end <label>` a specific one). Events that
+// are never closed mark a single sample.
+//
+//   # brake pressed
+//   7E8 04 41 0C 1A F8
+//   7E8 04 41 0C 1B 02
+//   # end
+
+import { bitLabel, readBitValue } from './bits';
+
+const MARKER_PATTERN = /^\s*#\s*(.*)$/;
+const END_PATTERN = /^end\b\s*(.*)$/i;
+
+/**
+ * @typedef {Object} Annotation
+ * @property {number} id
+ * @property {string} label
+ * @property {number} start - First sample index
+ * @property {number} end - Last sample index, inclusive
+ */
+
+/**
+ * Pull marker lines out of a capture.
+ *
+ * @param {string} input
+ * @returns {{ text: string, markers: Array<{text: string, line: number}> }}
+ *   text is the input without marker lines; each marker's line is the
+ *   1-based line of text it precedes
+ */
+export const extractMarkers = (input) => {
+  const kept = [];
+  const markers = [];
+  input.split('\n').forEach(line => {
+    const match = line.match(MARKER_PATTERN);
+    if (match) markers.push({ text: match[1].trim(), line: kept.length + 1 });
+    else kept.push(line);
+  });
+  return { text: kept.join('\n'), markers };
+};
+
+/**
+ * Turn markers into annotations over the parsed samples.
+ *
+ * @param {Array<{text: string, line: number}>} markers
+ * @param {number[]} sampleLines - Source line of every sample, ascending
+ * @returns {Annotation[]}
+ */
+export const markersToAnnotations = (markers, sampleLines) => {
+  const firstSampleFrom = (line) => sampleLines.findIndex(l => l >= line);
+  const annotations = [];
+  const open = [];
+
+  markers.forEach(({ text, line }) => {
+    const end = text.match(END_PATTERN);
+    if (end) {
+      const label = end[1].trim();
+      const idx = label ? open.map(a => a.label).lastIndexOf(label) : open.length - 1;
+      if (idx === -1) return;
+      const [annotation] = open.splice(idx, 1);
+      const next = firstSampleFrom(line);
+      annotation.end = Math.max(annotation.start, (next === -1 ? sampleLines.length : next) - 1);
+      return;
+    }
+
+    const start = firstSampleFrom(line);
+    if (start === -1) return;
+    const annotation = { id: annotations.length + 1, label: text || `Event ${annotations.length + 1}`, start, end: start };
+    annotations.push(annotation);
+    open.push(annotation);
+  });
+
+  return annotations;
+};
+
+export const nextAnnotationId = (annotations) =>
+  annotations.reduce((max, a) => Math.max(max, a.id), 0) + 1;
+
+// Prefix sums of value changes between consecutive samples, so the number
+// of changes in any window is a subtraction
+const changePrefix = (values) => {
+  const prefix = new Int32Array(values.length + 1);
+  for (let t = 0; t < values.length; t++) {
+    const changed = t > 0 && values[t] !== values[t - 1] ? 1 : 0;
+    prefix[t + 1] = prefix[t] + changed;
+  }
+  return prefix;
+};
+
+/**
+ * Rank bytes and bits by how consistently they change at annotated events
+ * compared with the rest of the capture.
+ *
+ * A position "hits" an event when its value changes within `window` samples
+ * of the event's start or end. Its baseline is the share of equally sized
+ * windows away from any event that contain a change. The score is the hit
+ * rate minus the baseline, so bits that toggle constantly score low even
+ * though they hit every event.
+ *
+ * @param {Object[]} rows - Data rows with byteN fields
+ * @param {Annotation[]} annotations
+ * @param {number} numBytes
+ * @param {Object} [options]
+ * @param {number} [options.window=2] - Samples either side of an event edge
+ * @param {number} [options.limit=20]
+ * @returns {Array<{key: string, kind: ('byte'|'bit'), index: number, label: string, hits: number, hitRate: number, baseline: number, score: number}>}
+ *   index is the byte number or bit position
+ */
+export const rankEventChanges = (rows, annotations, numBytes, { window = 2, limit = 20 } = {}) => {
+  const n = rows.length;
+  const events = annotations.filter(a => a.start < n);
+  if (!events.length || n < 2) return [];
+
+  // Event edges, and which samples are near one
+  const edges = events.flatMap(a => (a.end > a.start ? [a.start, Math.min(a.end + 1, n - 1)] : [a.start]));
+  const nearEvent = new Uint8Array(n);
+  edges.forEach(edge => {
+    for (let t = Math.max(0, edge - 2 * window); t <= Math.min(n - 1, edge + 2 * window); t++) nearEvent[t] = 1;
+  });
+
+  // Changes in (t - window, t + window], i.e. transitions touching that span
+  const changesAround = (prefix, t) =>
+    prefix[Math.min(n, t + window + 1)] - prefix[Math.max(1, t - window + 1)];
+
+  const score = (kind, index, label, values) => {
+    const prefix = changePrefix(values);
+    const hits = events.filter(a => {
+      const atStart = changesAround(prefix, a.start) > 0;
+      return atStart || (a.end > a.start && changesAround(prefix, Math.min(a.end + 1, n - 1)) > 0);
+    }).length;
+
+    let windows = 0;
+    let changed = 0;
+    for (let t = 0; t < n; t++) {
+      if (nearEvent[t]) continue;
+      windows++;
+      if (changesAround(prefix, t) > 0) changed++;
+    }
+
+    const hitRate = hits / events.length;
+    const baseline = windows ? changed / windows : 0;
+    return { key: `${kind}${index}`, kind, index, label, hits, hitRate, baseline, score: hitRate - baseline };
+  };
+
+  const results = [];
+  for (let byteNum = 0; byteNum < numBytes; byteNum++) {
+    results.push(score('byte', byteNum, `Byte ${byteNum}`, rows.map(row => row[`byte${byteNum}`])));
+    for (let position = byteNum * 8; position < byteNum * 8 + 8; position++) {
+      results.push(score('bit', position, bitLabel(position), rows.map(row => readBitValue(row, position))));
+    }
+  }
+
+  return results
+    .filter(r => r.hits > 0)
+    .sort((a, b) => b.score - a.score || b.hits - a.hits)
+    .slice(0, limit);
+};
@@ -0,0 +1,48 @@
+import { extractMarkers, markersToAnnotations, rankEventChanges } from './annotations';
+
+test('turns marker lines into annotations', () => {
+  const input = [
+    '0A00',
+    '# brake',
+    '0A01',
+    '0A01',
+    '# end',
+    '0A00',
+    '# door',
+    '0A00',
+  ].join('\n');
+
+  const { text, markers } = extractMarkers(input);
+  expect(text).toBe('0A00\n0A01\n0A01\n0A00\n0A00');
+  expect(markers).toEqual([
+    { text: 'brake', line: 2 },
+    { text: 'end', line: 4 },
+    { text: 'door', line: 5 },
+  ]);
+
+  expect(markersToAnnotations(markers, [1, 2, 3, 4, 5])).toEqual([
+    { id: 1, label: 'brake', start: 1, end: 2 },
+    { id: 2, label: 'door', start: 4, end: 4 },
+  ]);
+});
+
+test('ranks bits that change at events above ones that always toggle', () => {
+  // Byte 0 bit 0 (LSB) follows the brake; byte 1 is a free-running counter
+  const rows = Array.from({ length: 100 }, (_, i) => ({
+    index: i,
+    byte0: (i >= 20 && i < 30) || (i >= 60 && i < 70) ? 1 : 0,
+    byte1: i % 256,
+  }));
+  const annotations = [
+    { id: 1, label: 'brake', start: 20, end: 29 },
+    { id: 2, label: 'brake', start: 60, end: 69 },
+  ];
+
+  const ranking = rankEventChanges(rows, annotations, 2, { window: 1 });
+  expect(ranking[0]).toMatchObject({ kind: 'byte', index: 0, hits: 2, baseline: 0 });
+  expect(ranking.slice(0, 2).map(r => r.key).sort()).toEqual(['bit7', 'byte0']);
+
+  const counter = ranking.find(r => r.key === 'byte1');
+  expect(counter.hitRate).toBe(1);
+  expect(counter.score).toBeCloseTo(0);
+});
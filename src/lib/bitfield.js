@@ -0,0 +1,173 @@
+// Bit field extraction. Start bits follow the usual CAN database conventions:
+//
+// - big endian (Motorola): bits are numbered MSB-first across the payload, so
+//   bit 0 is the MSB of byte 0 and a field reads `length` bits forwards from
+//   its start bit. This matches the `bix` offsets OBDb signal definitions use.
+// - little endian (Intel): bits are numbered LSB-first within each byte, so
+//   bit 0 is the LSB of byte 0, and the start bit is the field's LSB.
+//
+// Fields are up to 64 bits wide. Anything wider than a double's 53-bit
+// mantissa is assembled as a BigInt and only converted at the end, so the
+// bit layout is never mangled by 32-bit operators.
+
+/* global BigInt */
+
+export const MAX_FIELD_LENGTH = 64;
+const MAX_SAFE_BITS = 53;
+
+/**
+ * @typedef {Object} BitField
+ * @property {number} startBit
+ * @property {number} length - Width in bits
+ * @property {'big'|'little'} byteOrder
+ * @property {boolean} signed - Two's complement
+ */
+
+// Payload bit (in MSB-first numbering) holding field bit `k` of an Intel field
+export const intelBitPosition = (startBit, k) => {
+  const bit = startBit + k;
+  return (bit >> 3) * 8 + (7 - (bit & 7));
+};
+
+const readBit = (bytes, position) => {
+  const byte = bytes[position >> 3];
+  if (byte === undefined) return null;
+  return (byte >> (7 - (position & 7))) & 1;
+};
+
+/**
+ * Start bit that keeps a field on the same bytes when its byte order
+ * changes. The two orders number bits differently, so the same start bit
+ * would read other bits. The field's least significant bit keeps its place
+ * within its byte; it moves from the last byte (big endian) to the first
+ * (little endian) or back. A field within one byte covers the same bits.
+ *
+ * @param {BitField} field
+ * @param {'big'|'little'} byteOrder - Order being switched to
+ * @returns {number}
+ */
+export const convertStartBit = ({ startBit, length, byteOrder: from }, byteOrder) => {
+  if (from === byteOrder) return startBit;
+  if (byteOrder === 'little') {
+    const lsb = startBit + length - 1;
+    return (startBit >> 3) * 8 + (7 - (lsb & 7));
+  }
+  const lastByte = (startBit + length - 1) >> 3;
+  return lastByte * 8 + (7 - (startBit & 7)) - length + 1;
+};
+
+/**
+ * Bytes a field touches, in ascending order.
+ *
+ * @param {BitField} field
+ * @returns {number[]}
+ */
+export const fieldBytes = ({ startBit, length, byteOrder }) => {
+  const bytes = new Set();
+  for (let k = 0; k < length; k++) {
+    const position = byteOrder === 'little' ? intelBitPosition(startBit, k) : startBit + k;
+    bytes.add(position >> 3);
+  }
+  return Array.from(bytes).sort((a, b) => a - b);
+};
+
+// Reinterpret an unsigned value as two's complement
+export const toSigned = (value, length) => {
+  const half = Math.pow(2, length - 1);
+  return value >= half ? value - half * 2 : value;
+};
+
+/**
+ * Read a field from a payload as an exact BigInt.
+ *
+ * @param {number[]} bytes
+ * @param {BitField} field
+ * @returns {?bigint} null when the field runs past the end of the payload
+ */
+export const extractFieldBigInt = (bytes, { startBit, length, byteOrder, signed }) => {
+  let value = BigInt(0);
+  for (let k = 0; k < length; k++) {
+    const position = byteOrder === 'little' ? intelBitPosition(startBit, k) : startBit + k;
+    const bit = readBit(bytes, position);
+    if (bit === null) return null;
+    value = byteOrder === 'little'
+      ? value | (BigInt(bit) << BigInt(k))
+      : (value << BigInt(1)) | BigInt(bit);
+  }
+  return signed ? BigInt.asIntN(length, value) : value;
+};
+
+/**
+ * Read a field from a payload. Values wider than 53 bits are rounded to the
+ * nearest double; use extractFieldBigInt for the exact value.
+ *
+ * @param {number[]} bytes
+ * @param {BitField} field
+ * @returns {?number} null when the field runs past the end of the payload
+ */
+export const extractField = (bytes, field) => {
+  const { startBit, length, byteOrder, signed } = field;
+  if (length > MAX_SAFE_BITS) {
+    const value = extractFieldBigInt(bytes, field);
+    return value === null ? null : Number(value);
+  }
+
+  let value = 0;
+  for (let k = 0; k < length; k++) {
+    if (byteOrder === 'little') {
+      const bit = readBit(bytes, intelBitPosition(startBit, k));
+      if (bit === null) return null;
+      value += bit * Math.pow(2, k);
+    } else {
+      const bit = readBit(bytes, startBit + k);
+      if (bit === null) return null;
+      value = value * 2 + bit;
+    }
+  }
+  return signed ? toSigned(value, length) : value;
+};
+
+/**
+ * Combine whole bytes (not necessarily adjacent in the payload) into one
+ * value, in the order given or reversed for little endian.
+ *
+ * @param {number[]} byteValues
+ * @param {{byteOrder: ('big'|'little'), signed: boolean}} [options]
+ * @returns {?number} null when a byte is missing
+ */
+export const combineBytes = (byteValues, { byteOrder = 'big', signed = false } = {}) => {
+  const ordered = byteOrder === 'little' ? [...byteValues].reverse() : byteValues;
+  if (ordered.some(v => v === undefined || v === null)) return null;
+
+  const length = ordered.length * 8;
+  if (length > MAX_SAFE_BITS) {
+    const value = ordered.reduce((acc, v) => (acc << BigInt(8)) | BigInt(v), BigInt(0));
+    return Number(signed ? BigInt.asIntN(length, value) : value);
+  }
+
+  const value = ordered.reduce((acc, v) => acc * 256 + v, 0);
+  return signed ? toSigned(value, length) : value;
+};
+
+/**
+ * Field covering a run of whole bytes
+ *
+ * @param {number} firstByte
+ * @param {number} count
+ * @returns {BitField}
+ */
+export const byteRangeField = (firstByte, count, byteOrder = 'big', signed = false) => ({
+  startBit: firstByte * 8,
+  length: count * 8,
+  byteOrder,
+  signed,
+});
+
+/**
+ * Short human-readable description, e.g. "B2.7 16b BE u"
+ */
+export const describeField = ({ startBit, length, byteOrder, signed }) => {
+  const byte = startBit >> 3;
+  const bit = byteOrder === 'little' ? startBit & 7 : 7 - (startBit & 7);
+  return `B${byte}.${bit} ${length}b ${byteOrder === 'little' ? 'LE' : 'BE'} ${signed ? 's' : 'u'}`;
+};
@@ -0,0 +1,67 @@
+/* global BigInt */
+import {
+  extractField,
+  extractFieldBigInt,
+  combineBytes,
+  fieldBytes,
+  describeField,
+  convertStartBit,
+} from './bitfield';
+
+const payload = [0x12, 0x34, 0x56, 0x78];
+
+test('reads big and little endian fields', () => {
+  expect(extractField(payload, { startBit: 8, length: 16, byteOrder: 'big', signed: false })).toBe(0x3456);
+  expect(extractField(payload, { startBit: 8, length: 16, byteOrder: 'little', signed: false })).toBe(0x5634);
+  expect(extractField(payload, { startBit: 4, length: 4, byteOrder: 'big', signed: false })).toBe(0x2);
+  expect(extractField(payload, { startBit: 4, length: 4, byteOrder: 'little', signed: false })).toBe(0x1);
+});
+
+test('reads signed fields and has no value past the payload', () => {
+  const bytes = [0x12, 0x34, 0xF0];
+  expect(extractField(bytes, { startBit: 0, length: 16, byteOrder: 'big', signed: false })).toBe(0x1234);
+  expect(extractField(bytes, { startBit: 0, length: 16, byteOrder: 'little', signed: false })).toBe(0x3412);
+  expect(extractField(bytes, { startBit: 4, length: 8, byteOrder: 'big', signed: false })).toBe(0x23);
+  expect(extractField(bytes, { startBit: 16, length: 8, byteOrder: 'big', signed: true })).toBe(-16);
+  expect(extractField(bytes, { startBit: 20, length: 8, byteOrder: 'big', signed: false })).toBeNull();
+
+  expect(fieldBytes({ startBit: 4, length: 8, byteOrder: 'big' })).toEqual([0, 1]);
+  expect(describeField({ startBit: 8, length: 16, byteOrder: 'little', signed: true })).toBe('B1.0 16b LE s');
+});
+
+test('combines wide values without 32-bit overflow', () => {
+  expect(combineBytes([0xFF, 0xFF, 0xFF, 0xFE])).toBe(0xFFFFFFFE);
+  expect(combineBytes([0xFF, 0xFF, 0xFF, 0xFE], { signed: true })).toBe(-2);
+  expect(combineBytes([0x01, 0x02], { byteOrder: 'little' })).toBe(0x0201);
+  expect(combineBytes([0x01, undefined])).toBeNull();
+
+  const bytes = [0x80, 0, 0, 0, 0, 0, 0, 0x01];
+  const field = { startBit: 0, length: 64, byteOrder: 'big', signed: false };
+  expect(extractFieldBigInt(bytes, field)).toBe(BigInt('0x8000000000000001'));
+  expect(extractFieldBigInt(bytes, { ...field, signed: true })).toBe(BigInt('-9223372036854775807'));
+  expect(extractField(bytes, field)).toBe(2 ** 63);
+});
+
+test('keeps a field on its bytes when the byte order changes', () => {
+  const aligned = { startBit: 8, length: 16, byteOrder: 'big', signed: false };
+  expect(convertStartBit(aligned, 'little')).toBe(8);
+
+  // The low nibble of byte 0 is bits 4-7 big endian but bits 0-3 little endian
+  const nibble = { startBit: 4, length: 4, byteOrder: 'big', signed: false };
+  const swapped = { ...nibble, byteOrder: 'little', startBit: convertStartBit(nibble, 'little') };
+  expect(swapped.startBit).toBe(0);
+  expect(extractField(payload, swapped)).toBe(extractField(payload, nibble));
+
+  expect(convertStartBit(nibble, 'big')).toBe(4);
+});
+
+test('converts start bits back and forth without moving fields off their bytes', () => {
+  for (let length = 1; length <= 24; length++) {
+    for (let startBit = 0; startBit + length <= 32; startBit++) {
+      const big = { startBit, length, byteOrder: 'big', signed: false };
+      const little = { ...big, byteOrder: 'little', startBit: convertStartBit(big, 'little') };
+      expect(fieldBytes(little)).toEqual(fieldBytes(big));
+      expect(convertStartBit(little, 'big')).toBe(startBit);
+    }
+  }
+});
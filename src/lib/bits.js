@@ -0,0 +1,64 @@
+// Per-bit activity statistics for the bit-level explorer. Bit positions use
+// the MSB-first payload numbering from bitfield.js: position 0 is bit 7 of
+// byte 0.
+
+// Points in each bit's sparkline
+const SPARKLINE_POINTS = 32;
+
+export const bitKey = (position) => `bit${position}`;
+
+export const bitLabel = (position) => `Bit ${position >> 3}.${7 - (position & 7)}`;
+
+export const readBitValue = (row, position) => {
+  const byte = row[`byte${position >> 3}`];
+  return byte === undefined ? undefined : (byte >> (7 - (position & 7))) & 1;
+};
+
+/**
+ * Toggle rate, duty cycle and a downsampled activity trace for every bit.
+ *
+ * @param {Object[]} rows - Data rows with byteN fields
+ * @param {number} numBytes
+ * @returns {Array<{toggleRate: number, duty: number, sparkline: number[]}>}
+ *   Indexed by bit position
+ */
+export const computeBitStats = (rows, numBytes) => {
+  const numBits = numBytes * 8;
+  const n = rows.length;
+  const bucketSize = Math.max(1, Math.ceil(n / SPARKLINE_POINTS));
+
+  return Array.from({ length: numBits }, (_, position) => {
+    let count = 0;
+    let ones = 0;
+    let toggles = 0;
+    let previous = null;
+    const sparkline = [];
+    let bucketOnes = 0;
+    let bucketCount = 0;
+
+    rows.forEach(row => {
+      const bit = readBitValue(row, position);
+      if (bit === undefined) return;
+      count++;
+      ones += bit;
+      if (previous !== null && bit !== previous) toggles++;
+      previous = bit;
+
+      // Sparkline points are the duty cycle within each bucket
+      bucketOnes += bit;
+      bucketCount++;
+      if (bucketCount === bucketSize) {
+        sparkline.push(bucketOnes / bucketCount);
+        bucketOnes = 0;
+        bucketCount = 0;
+      }
+    });
+    if (bucketCount > 0) sparkline.push(bucketOnes / bucketCount);
+
+    return {
+      toggleRate: count > 1 ? toggles / (count - 1) : 0,
+      duty: count > 0 ? ones / count : 0,
+      sparkline,
+    };
+  });
+};
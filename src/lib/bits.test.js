@@ -0,0 +1,32 @@
+import { bitKey, bitLabel, readBitValue, computeBitStats } from './bits';
+
+test('numbers bits MSB first across the payload', () => {
+  const row = { byte0: 0x80, byte1: 0x01 };
+  expect(readBitValue(row, 0)).toBe(1);
+  expect(readBitValue(row, 7)).toBe(0);
+  expect(readBitValue(row, 8)).toBe(0);
+  expect(readBitValue(row, 15)).toBe(1);
+  expect(bitLabel(0)).toBe('Bit 0.7');
+  expect(bitLabel(15)).toBe('Bit 1.0');
+  expect(bitKey(15)).toBe('bit15');
+});
+
+test('has no value for bits of missing bytes', () => {
+  expect(readBitValue({ byte0: 0xFF }, 8)).toBeUndefined();
+});
+
+test('gives constant bits no toggles and toggling bits a full rate', () => {
+  const rows = [0x01, 0x00, 0x01, 0x00].map(value => ({ byte0: 0x80 | value }));
+  const stats = computeBitStats(rows, 1);
+  expect(stats).toHaveLength(8);
+  expect(stats[0]).toEqual({ toggleRate: 0, duty: 1, sparkline: [1, 1, 1, 1] });
+  expect(stats[1]).toEqual({ toggleRate: 0, duty: 0, sparkline: [0, 0, 0, 0] });
+  expect(stats[7]).toEqual({ toggleRate: 1, duty: 0.5, sparkline: [1, 0, 1, 0] });
+});
+
+test('skips samples that lack the byte', () => {
+  const rows = [{ byte0: 0, byte1: 0xFF }, { byte0: 0 }, { byte0: 0, byte1: 0xFF }];
+  const stats = computeBitStats(rows, 2);
+  expect(stats[8]).toEqual({ toggleRate: 0, duty: 1, sparkline: [1, 1] });
+  expect(computeBitStats([], 1)[0]).toEqual({ toggleRate: 0, duty: 0, sparkline: [] });
+});
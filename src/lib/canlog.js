@@ -0,0 +1,187 @@
+// Parsers for raw CAN bus logs (SocketCAN candump and SavvyCAN/GVRET CSV).
+// Both produce a flat list of frames that can be split into one stream per
+// arbitration ID.
+
+import _ from 'lodash';
+
+const formatId = (id, extended) =>
+  id.toString(16).toUpperCase().padStart(extended || id > 0x7FF ? 8 : 3, '0');
+
+const parseDataHex = (hex) => {
+  const clean = hex.replace(/[.\s]/g, '');
+  if (clean.length % 2 !== 0 || !/^[0-9A-Fa-f]*$/.test(clean)) return null;
+  const bytes = [];
+  for (let i = 0; i < clean.length; i += 2) {
+    bytes.push(parseInt(clean.slice(i, i + 2), 16));
+  }
+  return bytes;
+};
+
+// `(1436509052.249713) can0 123#DEADBEEF`, including CAN FD (`123##1...`)
+// and remote (`123#R`) frames
+const CANDUMP_LOG_PATTERN = /^\((\d+(?:\.\d+)?)\)\s+(\S+)\s+([0-9A-Fa-f]{1,8})#(.*)$/;
+
+// Default candump output, optionally with an absolute timestamp:
+// `(1436509052.249713)  can0  123   [4]  DE AD BE EF`
+const CANDUMP_PATTERN = /^(?:\((\d+(?:\.\d+)?)\)\s+)?(\S+)\s+([0-9A-Fa-f]{1,8})\s+\[(\d+)\]\s*((?:[0-9A-Fa-f]{2}\s*)*)$/;
+
+/**
+ * Parse `candump -L` (or plain candump) output.
+ *
+ * @param {string} input
+ * @returns {{ frames: Array<{id: string, bus: string, timestamp: ?number, data: number[], line: number}>, skipped: number }}
+ *   line is the 1-based input line the frame came from
+ */
+export const parseCandump = (input) => {
+  const frames = [];
+  let skipped = 0;
+
+  input.split(/\r?\n/).forEach((rawLine, lineIdx) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const logMatch = line.match(CANDUMP_LOG_PATTERN);
+    if (logMatch) {
+      const [, timestamp, bus, idHex, rest] = logMatch;
+      if (rest.startsWith('R')) return;
+      // CAN FD frames carry one flags nibble after the double '#'
+      const data = parseDataHex(rest.startsWith('#') ? rest.slice(2) : rest);
+      if (!data) {
+        skipped++;
+        return;
+      }
+      frames.push({
+        id: formatId(parseInt(idHex, 16), idHex.length > 3),
+        bus,
+        timestamp: parseFloat(timestamp),
+        data,
+        line: lineIdx + 1,
+      });
+      return;
+    }
+
+    const match = line.match(CANDUMP_PATTERN);
+    if (match) {
+      const [, timestamp, bus, idHex, , dataHex] = match;
+      frames.push({
+        id: formatId(parseInt(idHex, 16), idHex.length > 3),
+        bus,
+        timestamp: timestamp !== undefined ? parseFloat(timestamp) : null,
+        data: parseDataHex(dataHex),
+        line: lineIdx + 1,
+      });
+      return;
+    }
+
+    skipped++;
+  });
+
+  return { frames, skipped };
+};
+
+/**
+ * Parse a SavvyCAN / GVRET CSV export. Columns are located by header name so
+ * both the SavvyCAN layout (with `Dir`) and the older GVRET layout work.
+ * Timestamps are stored in microseconds and returned in seconds.
+ *
+ * @param {string} input
+ * @returns {{ frames: Array<{id: string, bus: string, timestamp: ?number, data: number[], line: number}>, skipped: number }}
+ */
+export const parseSavvyCsv = (input) => {
+  const lines = input.split(/\r?\n/)
+    .map((text, idx) => ({ text, number: idx + 1 }))
+    .filter(line => line.text.trim());
+  if (!lines.length) return { frames: [], skipped: 0 };
+
+  const header = lines[0].text.split(',').map(col => col.trim().toLowerCase());
+  const column = (...names) => header.findIndex(col => names.includes(col));
+  const timeCol = column('time stamp', 'timestamp', 'time');
+  const idCol = column('id');
+  const extendedCol = column('extended');
+  const busCol = column('bus');
+  const lenCol = column('len', 'dlc', 'length');
+  const dataCols = header
+    .map((col, idx) => ({ match: col.match(/^d(\d+)$/), idx }))
+    .filter(({ match }) => match)
+    .sort((a, b) => parseInt(a.match[1], 10) - parseInt(b.match[1], 10))
+    .map(({ idx }) => idx);
+  const dataCol = column('data');
+
+  if (idCol === -1 || (!dataCols.length && dataCol === -1)) {
+    return { frames: [], skipped: lines.length };
+  }
+
+  const frames = [];
+  let skipped = 0;
+
+  lines.slice(1).forEach(({ text, number }) => {
+    const cells = text.split(',').map(cell => cell.trim());
+    const id = parseInt(cells[idCol]?.replace(/^0x/i, ''), 16);
+    if (Number.isNaN(id)) {
+      skipped++;
+      return;
+    }
+
+    let data;
+    if (dataCols.length) {
+      const length = lenCol !== -1 ? parseInt(cells[lenCol], 10) : dataCols.length;
+      data = dataCols.slice(0, length).map(idx => parseInt(cells[idx], 16));
+    } else {
+      data = parseDataHex(cells[dataCol] || '');
+    }
+    if (!data || data.some(Number.isNaN)) {
+      skipped++;
+      return;
+    }
+
+    const timestamp = timeCol !== -1 ? parseFloat(cells[timeCol]) / 1e6 : null;
+    frames.push({
+      id: formatId(id, extendedCol !== -1 && cells[extendedCol].toLowerCase() === 'true'),
+      bus: busCol !== -1 ? cells[busCol] : '0',
+      timestamp: Number.isNaN(timestamp) ? null : timestamp,
+      data,
+      line: number,
+    });
+  });
+
+  return { frames, skipped };
+};
+
+/**
+ * Split a frame list into one stream per arbitration ID. When the log spans
+ * several buses the stream key includes the bus, since the same ID on two
+ * buses is usually a different message.
+ *
+ * @returns {Array<{id: string, frames: Object[], count: number, dlcs: number[], dlc: number, rate: ?number, share: number}>}
+ */
+export const groupFramesById = (frames) => {
+  const multiBus = new Set(frames.map(f => f.bus)).size > 1;
+  const byId = new Map();
+
+  frames.forEach(frame => {
+    const key = multiBus ? `${frame.bus}:${frame.id}` : frame.id;
+    if (!byId.has(key)) byId.set(key, []);
+    byId.get(key).push(frame);
+  });
+
+  return Array.from(byId.entries())
+    .map(([id, streamFrames]) => {
+      const timestamps = streamFrames.map(f => f.timestamp).filter(t => t !== null);
+      const dlcCounts = _.countBy(streamFrames, f => f.data.length);
+      const duration = timestamps.length > 1
+        ? timestamps[timestamps.length - 1] - timestamps[0]
+        : 0;
+
+      return {
+        id,
+        frames: streamFrames,
+        count: streamFrames.length,
+        dlcs: Object.keys(dlcCounts).map(Number).sort((a, b) => a - b),
+        // Most common length; the odd frame with another DLC is left out of analysis
+        dlc: Number(_.maxBy(Object.keys(dlcCounts), len => dlcCounts[len])),
+        rate: duration > 0 ? (timestamps.length - 1) / duration : null,
+        share: streamFrames.length / frames.length,
+      };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+};
@@ -0,0 +1,58 @@
+import { parseCandump, parseSavvyCsv, groupFramesById } from './canlog';
+
+test('parses candump -L frames and skips remote frames', () => {
+  const input = [
+    '(1436509052.249713) vcan0 044#2A366C2BBA',
+    '(1436509052.449847) vcan0 12345678#DEADBEEF',
+    '(1436509052.650004) vcan0 044#R',
+    '(1436509052.850136) vcan0 7E8##1112233',
+    'garbage',
+  ].join('\n');
+
+  const { frames, skipped } = parseCandump(input);
+  expect(skipped).toBe(1);
+  expect(frames).toHaveLength(3);
+  expect(frames[0]).toEqual({
+    id: '044',
+    bus: 'vcan0',
+    timestamp: 1436509052.249713,
+    data: [0x2A, 0x36, 0x6C, 0x2B, 0xBA],
+    line: 1,
+  });
+  expect(frames[1].id).toBe('12345678');
+  expect(frames[2].line).toBe(4);
+  expect(frames[2].data).toEqual([0x11, 0x22, 0x33]);
+});
+
+test('parses SavvyCAN CSV by header name', () => {
+  const input = [
+    'Time Stamp,ID,Extended,Dir,Bus,LEN,D1,D2,D3,D4,D5,D6,D7,D8',
+    '1000000,000007E8,false,Rx,0,2,0A,FF,,,,,,',
+    '1500000,18DAF110,true,Rx,0,3,01,02,03,,,,,',
+  ].join('\n');
+
+  const { frames, skipped } = parseSavvyCsv(input);
+  expect(skipped).toBe(0);
+  expect(frames).toEqual([
+    { id: '7E8', bus: '0', timestamp: 1, data: [0x0A, 0xFF], line: 2 },
+    { id: '18DAF110', bus: '0', timestamp: 1.5, data: [1, 2, 3], line: 3 },
+  ]);
+});
+
+test('groups frames into streams with rate and DLC', () => {
+  const frames = [
+    { id: '100', bus: 'can0', timestamp: 0, data: [1, 2] },
+    { id: '200', bus: 'can0', timestamp: 0.05, data: [1] },
+    { id: '100', bus: 'can0', timestamp: 0.1, data: [3, 4] },
+    { id: '100', bus: 'can0', timestamp: 0.2, data: [5] },
+  ];
+
+  const streams = groupFramesById(frames);
+  expect(streams.map(s => s.id)).toEqual(['100', '200']);
+  expect(streams[0].count).toBe(3);
+  expect(streams[0].dlcs).toEqual([1, 2]);
+  expect(streams[0].dlc).toBe(2);
+  expect(streams[0].rate).toBeCloseTo(10);
+  expect(streams[0].share).toBeCloseTo(0.75);
+  expect(streams[1].rate).toBeNull();
+});
@@ -0,0 +1,213 @@
+// Classification of byte and nibble positions, so alive counters and
+// checksums can be recognized and kept out of the analysis. Each position
+// is constant, a rolling counter, a checksum over the rest of the payload,
+// an enum of a few values, or continuous.
+
+// Samples classified, from the start of the capture; counters need them
+// consecutive
+const CLASSIFY_SAMPLE_LIMIT = 20000;
+
+// Share of samples a checksum must match, allowing for a few bad frames
+const CHECKSUM_MATCH = 0.95;
+
+// Share of value changes that must be the counter's step
+const COUNTER_MATCH = 0.9;
+
+// Most distinct values an enum may take
+const ENUM_MAX_VALUES = 8;
+
+const MISSING = -1;
+
+/**
+ * Table-driven CRC-8 without reflection.
+ *
+ * @param {number} poly
+ * @param {number} init
+ * @param {number} xorOut
+ * @returns {function(number[]): number}
+ */
+export const crc8 = (poly, init, xorOut) => {
+  const table = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ poly) & 0xFF : (crc << 1) & 0xFF;
+    }
+    table[i] = crc;
+  }
+  return (bytes) => {
+    let crc = init;
+    for (let i = 0; i < bytes.length; i++) crc = table[crc ^ bytes[i]];
+    return crc ^ xorOut;
+  };
+};
+
+const xorAll = (values) => values.reduce((acc, v) => acc ^ v, 0);
+const sumAll = (values) => values.reduce((acc, v) => acc + v, 0);
+
+// Checksums over the other bytes of the payload, in order
+export const CHECKSUMS = {
+  xor: { label: 'XOR', compute: xorAll },
+  sum: { label: 'Sum', compute: (bytes) => sumAll(bytes) & 0xFF },
+  'crc8-j1850': { label: 'CRC-8 SAE J1850', compute: crc8(0x1D, 0xFF, 0xFF) },
+  'crc8-autosar': { label: 'CRC-8 AUTOSAR', compute: crc8(0x2F, 0xFF, 0xFF) },
+  crc8: { label: 'CRC-8', compute: crc8(0x07, 0x00, 0x00) },
+};
+
+// Checksums over the other nibbles of the payload
+const NIBBLE_CHECKSUMS = {
+  xor: xorAll,
+  sum: (nibbles) => sumAll(nibbles) & 0x0F,
+};
+
+/**
+ * @typedef {Object} PositionClass
+ * @property {('constant'|'counter'|'checksum'|'enum'|'continuous')} type
+ * @property {number} [value] - Constant value
+ * @property {number} [modulus] - Counter: values it cycles through
+ * @property {number} [step] - Counter: increment per sample
+ * @property {string} [algorithm] - Checksum: key of CHECKSUMS
+ * @property {number[]} [values] - Enum values
+ */
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// A counter steps by a fixed amount modulo its range, wraps around at least
+// once (a slow ramp doesn't) and visits every value of its cycle. Counters
+// that count down have a step above half the modulus.
+const detectCounter = (values, distinct) => {
+  if (distinct.size < 3) return null;
+  const min = Math.min(...distinct);
+  const max = Math.max(...distinct);
+  const modulus = max - min + 1;
+  const diffAt = (t) => (((values[t] - values[t - 1]) % modulus) + modulus) % modulus;
+
+  const steps = new Map();
+  let changes = 0;
+  for (let t = 1; t < values.length; t++) {
+    const diff = diffAt(t);
+    if (!diff) continue;
+    changes++;
+    steps.set(diff, (steps.get(diff) || 0) + 1);
+  }
+  // Counters may repeat a value a few times, but mostly move
+  if (changes < (values.length - 1) / 4) return null;
+
+  const [step, count] = Array.from(steps).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  if (count < changes * COUNTER_MATCH) return null;
+  if (distinct.size < modulus / gcd(step, modulus)) return null;
+
+  const forward = step <= modulus / 2 ? step : step - modulus;
+  let wrapped = false;
+  for (let t = 1; t < values.length && !wrapped; t++) {
+    wrapped = diffAt(t) === step && values[t] - values[t - 1] !== forward;
+  }
+  return wrapped ? { type: 'counter', modulus, step } : null;
+};
+
+const classifyValues = (values, checksumOf) => {
+  const distinct = new Set(values);
+  if (distinct.size === 0) return { type: 'continuous' };
+  if (distinct.size === 1) return { type: 'constant', value: values[0] };
+
+  const algorithm = checksumOf();
+  if (algorithm) return { type: 'checksum', algorithm };
+
+  const counter = detectCounter(values, distinct);
+  if (counter) return counter;
+
+  if (distinct.size <= ENUM_MAX_VALUES) {
+    return { type: 'enum', values: Array.from(distinct).sort((a, b) => a - b) };
+  }
+  return { type: 'continuous' };
+};
+
+// First checksum that the position matches in nearly every sample
+const matchChecksum = (rows, target, checksums, othersOf) => {
+  if (rows.length < 8) return null;
+  const allowedMisses = rows.length * (1 - CHECKSUM_MATCH);
+  return Object.keys(checksums).find(algorithm => {
+    const compute = checksums[algorithm];
+    let misses = 0;
+    for (let t = 0; t < rows.length && misses <= allowedMisses; t++) {
+      if (compute(othersOf(rows[t])) !== target(rows[t])) misses++;
+    }
+    return misses <= allowedMisses;
+  }) || null;
+};
+
+// When a payload XORs to a constant every position equals the XOR of the
+// others, so only the last match is taken to be the checksum
+const keepLastXor = (classes, reclassify) => {
+  const matches = classes
+    .map((positionClass, i) => (positionClass.type === 'checksum' && positionClass.algorithm === 'xor' ? i : -1))
+    .filter(i => i !== -1);
+  matches.slice(0, -1).forEach(i => {
+    classes[i] = reclassify(i);
+  });
+  return classes;
+};
+
+/**
+ * Classify every byte of the payload and both of its nibbles.
+ *
+ * @param {Int16Array[]} columns - One per byte, -1 where a sample lacks it
+ * @returns {Array<{byte: PositionClass, nibbles: PositionClass[]}>}
+ *   Indexed by byte number; nibbles are [high, low]
+ */
+export const classifyBytes = (columns) => {
+  const n = Math.min(CLASSIFY_SAMPLE_LIMIT, columns.length ? columns[0].length : 0);
+  // Complete payloads only, so checksums see every byte
+  const rows = [];
+  for (let t = 0; t < n; t++) {
+    const row = columns.map(column => column[t]);
+    if (!row.includes(MISSING)) rows.push(row);
+  }
+  const nibbleRows = rows.map(row => row.flatMap(value => [value >> 4, value & 0x0F]));
+  const checksumFns = Object.fromEntries(Object.entries(CHECKSUMS).map(([key, { compute }]) => [key, compute]));
+  const without = (row, index) => row.filter((_, i) => i !== index);
+
+  const classify = (payloads, checksums) => (index, withChecksums = true) => classifyValues(
+    payloads.map(row => row[index]),
+    () => withChecksums && matchChecksum(payloads, row => row[index], checksums, row => without(row, index))
+  );
+  const classifyByte = classify(rows, checksumFns);
+  const classifyNibble = classify(nibbleRows, NIBBLE_CHECKSUMS);
+
+  const bytes = keepLastXor(columns.map((_, i) => classifyByte(i)), i => classifyByte(i, false));
+  const nibbles = keepLastXor(
+    Array.from({ length: columns.length * 2 }, (_, i) => classifyNibble(i)),
+    i => classifyNibble(i, false)
+  );
+  return bytes.map((byte, byteNum) => ({ byte, nibbles: nibbles.slice(byteNum * 2, byteNum * 2 + 2) }));
+};
+
+/**
+ * Whether a class marks a position as bookkeeping rather than a signal.
+ *
+ * @param {PositionClass} positionClass
+ * @returns {boolean}
+ */
+export const isCounterOrChecksum = (positionClass) =>
+  positionClass.type === 'counter' || positionClass.type === 'checksum';
+
+/**
+ * Short badge text for a class.
+ *
+ * @param {PositionClass} positionClass
+ * @returns {string}
+ */
+export const describeClass = (positionClass) => {
+  switch (positionClass.type) {
+    case 'constant':
+      return 'constant';
+    case 'counter':
+      return `counter /${positionClass.modulus}${positionClass.step !== 1 ? ` +${positionClass.step}` : ''}`;
+    case 'checksum':
+      return CHECKSUMS[positionClass.algorithm].label;
+    case 'enum':
+      return `enum ×${positionClass.values.length}`;
+    default:
+      return 'continuous';
+  }
+};
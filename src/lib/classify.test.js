@@ -0,0 +1,59 @@
+import { crc8, CHECKSUMS, classifyBytes, describeClass, isCounterOrChecksum } from './classify';
+import { toColumns } from './analysis';
+
+const CHECK_INPUT = Array.from('123456789', c => c.charCodeAt(0));
+
+const columnsOf = (payloads) => toColumns(
+  payloads.map(bytes => Object.fromEntries(bytes.map((value, i) => [`byte${i}`, value]))),
+  payloads[0].length
+);
+
+test('computes the standard CRC-8 check values', () => {
+  expect(CHECKSUMS['crc8-j1850'].compute(CHECK_INPUT)).toBe(0x4B);
+  expect(CHECKSUMS['crc8-autosar'].compute(CHECK_INPUT)).toBe(0xDF);
+  expect(crc8(0x07, 0x00, 0x00)(CHECK_INPUT)).toBe(0xF4);
+});
+
+test('classifies constants, counters, checksums, enums and continuous bytes', () => {
+  const j1850 = CHECKSUMS['crc8-j1850'].compute;
+  const payloads = Array.from({ length: 200 }, (_, t) => {
+    const body = [
+      0x42,
+      0x30 | (t % 16),
+      [0, 1, 2][Math.floor(t / 20) % 3],
+      Math.round(128 + 100 * Math.sin(t / 7)),
+    ];
+    return [...body, j1850(body)];
+  });
+
+  const classes = classifyBytes(columnsOf(payloads));
+  expect(classes[0].byte).toEqual({ type: 'constant', value: 0x42 });
+  expect(classes[1].byte).toEqual({ type: 'counter', modulus: 16, step: 1 });
+  expect(classes[1].nibbles).toEqual([{ type: 'constant', value: 3 }, { type: 'counter', modulus: 16, step: 1 }]);
+  expect(classes[2].byte).toEqual({ type: 'enum', values: [0, 1, 2] });
+  expect(classes[3].byte.type).toBe('continuous');
+  expect(classes[4].byte).toEqual({ type: 'checksum', algorithm: 'crc8-j1850' });
+  expect(isCounterOrChecksum(classes[4].byte)).toBe(true);
+  expect(describeClass(classes[1].byte)).toBe('counter /16');
+});
+
+test('finds XOR and sum checksums', () => {
+  const bodies = Array.from({ length: 50 }, (_, t) => [t % 8, (t * 37) % 256]);
+  const xored = classifyBytes(columnsOf(bodies.map(body => [...body, body[0] ^ body[1]])));
+  expect(xored.map(c => c.byte.type)).toEqual(['counter', 'continuous', 'checksum']);
+  expect(xored[2].byte.algorithm).toBe('xor');
+  const summed = classifyBytes(columnsOf(bodies.map(body => [...body, (body[0] + body[1]) & 0xFF])));
+  expect(summed[2].byte).toEqual({ type: 'checksum', algorithm: 'sum' });
+});
+
+test('does not mistake a slow ramp for a counter', () => {
+  const payloads = Array.from({ length: 100 }, (_, t) => [50 + Math.floor(t / 3)]);
+  expect(classifyBytes(columnsOf(payloads))[0].byte.type).toBe('continuous');
+});
+
+test('finds counters that count down or skip values', () => {
+  const down = Array.from({ length: 64 }, (_, t) => [15 - (t % 16)]);
+  expect(classifyBytes(columnsOf(down))[0].byte).toEqual({ type: 'counter', modulus: 16, step: 15 });
+  const byTwo = Array.from({ length: 64 }, (_, t) => [(t * 2) % 256]);
+  expect(classifyBytes(columnsOf(byTwo))[0].byte.type).toBe('continuous');
+});
@@ -0,0 +1,103 @@
+// Side-by-side comparison of captures of the same PID, e.g. one with a
+// feature off and one with it on. Every byte and bit is compared between
+// the baseline (first) capture and each of the others.
+
+import _ from 'lodash';
+import { bitLabel, readBitValue } from './bits';
+import { summarize } from './stats';
+
+// Values listed per capture as "only seen here"
+const MAX_UNIQUE_VALUES = 8;
+
+/**
+ * Two-sample Kolmogorov-Smirnov statistic: the largest gap between the two
+ * empirical CDFs. 0 for identical distributions, 1 when they don't overlap.
+ *
+ * @param {Array<?number>} a
+ * @param {Array<?number>} b
+ * @returns {number}
+ */
+export const ksStatistic = (a, b) => {
+  const x = a.filter(v => v !== null && v !== undefined).sort((p, q) => p - q);
+  const y = b.filter(v => v !== null && v !== undefined).sort((p, q) => p - q);
+  if (!x.length || !y.length) return 0;
+
+  let i = 0;
+  let j = 0;
+  let max = 0;
+  while (i < x.length && j < y.length) {
+    const value = Math.min(x[i], y[j]);
+    while (i < x.length && x[i] === value) i++;
+    while (j < y.length && y[j] === value) j++;
+    max = Math.max(max, Math.abs(i / x.length - j / y.length));
+  }
+  return max;
+};
+
+/**
+ * Data rows (byteN fields) from raw payloads
+ */
+export const payloadRows = (payloads) => payloads.map((bytes, index) => {
+  const row = { index };
+  bytes.forEach((value, i) => {
+    row[`byte${i}`] = value;
+  });
+  return row;
+});
+
+/**
+ * Compare every byte and bit across captures.
+ *
+ * @param {Array<{name: string, rows: Object[]}>} captures - Baseline first
+ * @param {number} numBytes
+ * @param {Object} options
+ * @param {function(Array): number} options.entropy - Entropy of a value list
+ * @returns {Array<{key: string, kind: ('byte'|'bit'), index: number, label: string,
+ *   captures: Array<{mean: ?number, entropy: number, onlyHere: number[], onlyHereCount: number}>,
+ *   ks: number, meanShift: number, entropyChange: number}>}
+ *   ks, meanShift and entropyChange are the largest differences from the
+ *   baseline over the other captures
+ */
+export const compareCaptures = (captures, numBytes, { entropy }) => {
+  const compare = (kind, index, label, valueLists) => {
+    const present = valueLists.map(values => values.filter(v => v !== null && v !== undefined));
+    const seen = present.map(values => new Set(values));
+
+    const perCapture = present.map((values, c) => {
+      const others = seen.filter((_set, o) => o !== c);
+      const onlyHere = Array.from(seen[c])
+        .filter(v => others.every(set => !set.has(v)))
+        .sort((a, b) => a - b);
+      return {
+        mean: summarize(values)?.mean ?? null,
+        entropy: values.length ? entropy(values) : 0,
+        onlyHere: onlyHere.slice(0, MAX_UNIQUE_VALUES),
+        onlyHereCount: onlyHere.length,
+      };
+    });
+
+    const [baseline, ...others] = perCapture;
+    const largest = (diff) => _.maxBy(others.map(diff), Math.abs) || 0;
+    return {
+      key: `${kind}${index}`,
+      kind,
+      index,
+      label,
+      captures: perCapture,
+      ks: _.max(present.slice(1).map(values => ksStatistic(present[0], values))) || 0,
+      meanShift: largest(c => (c.mean === null || baseline.mean === null ? 0 : c.mean - baseline.mean)),
+      entropyChange: largest(c => c.entropy - baseline.entropy),
+    };
+  };
+
+  const results = [];
+  for (let byteNum = 0; byteNum < numBytes; byteNum++) {
+    results.push(compare('byte', byteNum, `Byte ${byteNum}`,
+      captures.map(c => c.rows.map(row => row[`byte${byteNum}`]))));
+    for (let position = byteNum * 8; position < byteNum * 8 + 8; position++) {
+      results.push(compare('bit', position, bitLabel(position),
+        captures.map(c => c.rows.map(row => readBitValue(row, position)))));
+    }
+  }
+  return results;
+};
@@ -0,0 +1,36 @@
+import { ksStatistic, payloadRows, compareCaptures } from './compare';
+
+const entropy = (values) => {
+  const counts = {};
+  values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+  return -Object.values(counts).reduce((sum, c) => sum + (c / values.length) * Math.log2(c / values.length), 0);
+};
+
+test('computes the KS statistic for discrete values', () => {
+  expect(ksStatistic([1, 2, 3], [1, 2, 3])).toBe(0);
+  expect(ksStatistic([0, 0, 1], [5, 6])).toBe(1);
+  expect(ksStatistic([0, 0, 1, 1], [0, 1, 1, 1])).toBeCloseTo(0.25);
+  expect(ksStatistic([], [1])).toBe(0);
+});
+
+test('finds bytes and bits that differ between captures', () => {
+  // Byte 0 is a counter in both captures; byte 1 bit 0 is set in the action capture
+  const baseline = payloadRows(Array.from({ length: 20 }, (_, i) => [i, 0x10]));
+  const action = payloadRows(Array.from({ length: 20 }, (_, i) => [i, 0x11]));
+
+  const results = compareCaptures(
+    [{ name: 'off', rows: baseline }, { name: 'on', rows: action }],
+    2,
+    { entropy }
+  );
+  const byKey = Object.fromEntries(results.map(r => [r.key, r]));
+
+  expect(byKey.byte0.ks).toBe(0);
+  expect(byKey.byte1.ks).toBe(1);
+  expect(byKey.byte1.meanShift).toBe(1);
+  expect(byKey.byte1.captures[0].onlyHere).toEqual([0x10]);
+  expect(byKey.byte1.captures[1].onlyHere).toEqual([0x11]);
+  expect(byKey.bit15.ks).toBe(1);
+  expect(byKey.bit14.ks).toBe(0);
+  expect(byKey.byte0.entropyChange).toBe(0);
+});
@@ -0,0 +1,5 @@
+// Kept apart from runAnalysis.js because the test runner can't load
+// `import.meta`; this module is only imported where workers exist.
+const createAnalysisWorker = () => new Worker(new URL('./analysis.worker.js', import.meta.url));
+
+export default createAnalysisWorker;
@@ -0,0 +1,202 @@
+// Derived channels: signals worked out from bytes, groups and other derived
+// channels, such as a smoothed byte, a counter's rate or the difference
+// between two wheel speeds. A channel is
+//
+//   { id, name, operation, inputs: [key] or [keyA, keyB], window, wrap }
+//
+// where inputs are data row keys (byteN, groupN, derivedN). Channels may
+// only use channels defined before them, and their values go into the data
+// rows under derivedN.
+
+// Longest filter window, in samples
+export const MAX_WINDOW = 1001;
+
+export const DERIVED_OPERATIONS = {
+  movingAverage: { label: 'Moving average', inputs: 1, window: true },
+  median: { label: 'Median filter', inputs: 1, window: true },
+  derivative: { label: 'Rate of change', inputs: 1, wrap: true },
+  delta: { label: 'Delta', inputs: 1, wrap: true },
+  integral: { label: 'Integral', inputs: 1 },
+  add: { label: 'A + B', inputs: 2 },
+  subtract: { label: 'A − B', inputs: 2 },
+  multiply: { label: 'A × B', inputs: 2 },
+  divide: { label: 'A ÷ B', inputs: 2 },
+};
+
+export const derivedKey = (id) => `derived${id}`;
+
+const present = (v) => v !== null && v !== undefined && Number.isFinite(v);
+
+/**
+ * Mean over a window centered on each sample, of the values present in it.
+ *
+ * @param {Array<?number>} values
+ * @param {number} window - Samples, odd
+ * @returns {Array<?number>} null where the sample has no value
+ */
+export const movingAverage = (values, window) => {
+  const sums = new Float64Array(values.length + 1);
+  const counts = new Uint32Array(values.length + 1);
+  values.forEach((v, i) => {
+    sums[i + 1] = sums[i] + (present(v) ? v : 0);
+    counts[i + 1] = counts[i] + (present(v) ? 1 : 0);
+  });
+  const half = Math.floor(window / 2);
+  return values.map((v, i) => {
+    if (!present(v)) return null;
+    const from = Math.max(0, i - half);
+    const to = Math.min(values.length, i + half + 1);
+    return (sums[to] - sums[from]) / (counts[to] - counts[from]);
+  });
+};
+
+/**
+ * Median over a window centered on each sample, of the values present in
+ * it. Removes spikes a moving average would smear.
+ *
+ * @param {Array<?number>} values
+ * @param {number} window - Samples, odd
+ * @returns {Array<?number>}
+ */
+export const medianFilter = (values, window) => {
+  const half = Math.floor(window / 2);
+  return values.map((v, i) => {
+    if (!present(v)) return null;
+    const around = values.slice(Math.max(0, i - half), i + half + 1).filter(present).sort((a, b) => a - b);
+    const mid = around.length >> 1;
+    return around.length % 2 ? around[mid] : (around[mid - 1] + around[mid]) / 2;
+  });
+};
+
+/**
+ * Change from the previous sample with a value, optionally divided by the
+ * x step between them. With wrap, a drop is taken as the value wrapping
+ * around, as counters and odometers do.
+ *
+ * @param {Array<?number>} values
+ * @param {number[]} xs - Sample number or time of each value
+ * @param {Object} [options]
+ * @param {boolean} [options.perX=false] - Divide by the x step
+ * @param {number} [options.wrap=0] - Values the signal cycles through, 0 if it doesn't
+ * @returns {Array<?number>} null for the first value and where x doesn't advance
+ */
+export const differences = (values, xs, { perX = false, wrap = 0 } = {}) => {
+  let previous = -1;
+  return values.map((v, i) => {
+    if (!present(v)) return null;
+    const last = previous;
+    previous = i;
+    if (last === -1) return null;
+    let change = v - values[last];
+    if (wrap > 0 && change < 0) change += wrap;
+    if (!perX) return change;
+    const step = xs[i] - xs[last];
+    return step > 0 ? change / step : null;
+  });
+};
+
+/**
+ * Running integral over x by the trapezoid rule, from zero at the first
+ * value.
+ *
+ * @param {Array<?number>} values
+ * @param {number[]} xs
+ * @returns {Array<?number>}
+ */
+export const integral = (values, xs) => {
+  let total = 0;
+  let previous = -1;
+  return values.map((v, i) => {
+    if (!present(v)) return null;
+    if (previous !== -1) total += ((v + values[previous]) / 2) * (xs[i] - xs[previous]);
+    previous = i;
+    return total;
+  });
+};
+
+const ARITHMETIC = {
+  add: (a, b) => a + b,
+  subtract: (a, b) => a - b,
+  multiply: (a, b) => a * b,
+  divide: (a, b) => (b === 0 ? null : a / b),
+};
+
+/**
+ * Values of one derived channel.
+ *
+ * @param {Object} channel
+ * @param {function(string): Array<?number>} valuesOf - Values of an input key
+ * @param {number[]} xs - Sample number or time of each row
+ * @returns {Array<?number>} One per row
+ */
+export const computeDerived = (channel, valuesOf, xs) => {
+  const [a, b] = channel.inputs.map(valuesOf);
+  const window = Math.min(MAX_WINDOW, Math.max(1, channel.window || 1));
+  switch (channel.operation) {
+    case 'movingAverage':
+      return movingAverage(a, window);
+    case 'median':
+      return medianFilter(a, window);
+    case 'derivative':
+      return differences(a, xs, { perX: true, wrap: channel.wrap });
+    case 'delta':
+      return differences(a, xs, { wrap: channel.wrap });
+    case 'integral':
+      return integral(a, xs);
+    default: {
+      const combine = ARITHMETIC[channel.operation];
+      if (!combine || !b) return a.map(() => null);
+      return a.map((v, i) => (present(v) && present(b[i]) ? combine(v, b[i]) : null));
+    }
+  }
+};
+
+/**
+ * Data rows with every derived channel's values added.
+ *
+ * @param {Object[]} rows
+ * @param {Object[]} channels - In definition order
+ * @param {string} xKey - 'index' or 'time'
+ * @returns {Object[]} rows itself when there are no channels
+ */
+export const addDerivedValues = (rows, channels, xKey) => {
+  if (!channels.length || !rows.length) return rows;
+  const computed = new Map();
+  const valuesOf = (key) => computed.get(key) || rows.map(row => row[key]);
+  const xs = rows.map(row => row[xKey]);
+  channels.forEach(channel => {
+    computed.set(derivedKey(channel.id), computeDerived(channel, valuesOf, xs));
+  });
+  return rows.map((row, i) => {
+    const extra = {};
+    computed.forEach((values, key) => {
+      extra[key] = values[i];
+    });
+    return { ...row, ...extra };
+  });
+};
+
+/**
+ * Channels left after removing an input, dropping every channel that uses
+ * it directly or through another channel.
+ *
+ * @param {Object[]} channels
+ * @param {string} key - Removed byte, group or channel key
+ * @returns {Object[]}
+ */
+export const withoutDependents = (channels, key) => {
+  const removed = new Set([key]);
+  return channels.filter(channel => {
+    if (!removed.has(derivedKey(channel.id)) && !channel.inputs.some(input => removed.has(input))) return true;
+    removed.add(derivedKey(channel.id));
+    return false;
+  });
+};
+
+/**
+ * Id for a new channel.
+ *
+ * @param {Object[]} channels
+ * @returns {number}
+ */
+export const nextDerivedId = (channels) => channels.reduce((next, c) => Math.max(next, c.id + 1), 0);
@@ -0,0 +1,54 @@
+import {
+  movingAverage,
+  medianFilter,
+  differences,
+  integral,
+  addDerivedValues,
+  withoutDependents,
+} from './derived';
+
+test('smooths with a centered moving average and median filter', () => {
+  expect(movingAverage([1, 2, 3, 4, 5], 3)).toEqual([1.5, 2, 3, 4, 4.5]);
+  expect(movingAverage([1, null, 3, 5], 3)).toEqual([1, null, 4, 4]);
+  expect(medianFilter([1, 1, 90, 1, 1], 3)).toEqual([1, 1, 1, 1, 1]);
+  expect(medianFilter([1, 5], 3)).toEqual([3, 3]);
+});
+
+test('takes differences with wrap-around and rates per x step', () => {
+  expect(differences([250, 253, 1, null, 4], [0, 1, 2, 3, 4], { wrap: 256 })).toEqual([null, 3, 4, null, 3]);
+  expect(differences([0, 10, 30], [0, 0.5, 1], { perX: true })).toEqual([null, 20, 40]);
+  expect(differences([0, 10], [1, 1], { perX: true })).toEqual([null, null]);
+});
+
+test('integrates by the trapezoid rule', () => {
+  expect(integral([2, 2, 4], [0, 1, 3])).toEqual([0, 2, 8]);
+});
+
+test('adds derived channels to rows, chaining on earlier ones', () => {
+  const rows = [
+    { index: 0, byte0: 10, group0: 4 },
+    { index: 1, byte0: 12, group0: 0 },
+    { index: 2, byte0: 15, group0: 5 },
+  ];
+  const channels = [
+    { id: 0, name: 'Difference', operation: 'subtract', inputs: ['byte0', 'group0'] },
+    { id: 1, name: 'Ratio', operation: 'divide', inputs: ['byte0', 'group0'] },
+    { id: 2, name: 'Change', operation: 'delta', inputs: ['derived0'] },
+  ];
+  const derived = addDerivedValues(rows, channels, 'index');
+  expect(derived.map(r => r.derived0)).toEqual([6, 12, 10]);
+  expect(derived.map(r => r.derived1)).toEqual([2.5, null, 3]);
+  expect(derived.map(r => r.derived2)).toEqual([null, 6, -2]);
+  expect(derived[0].byte0).toBe(10);
+  expect(addDerivedValues(rows, [], 'index')).toBe(rows);
+});
+
+test('drops channels that depend on a removed input', () => {
+  const channels = [
+    { id: 0, operation: 'median', inputs: ['group1'] },
+    { id: 1, operation: 'delta', inputs: ['derived0'] },
+    { id: 2, operation: 'delta', inputs: ['byte0'] },
+  ];
+  expect(withoutDependents(channels, 'group1').map(c => c.id)).toEqual([2]);
+  expect(withoutDependents(channels, 'derived1').map(c => c.id)).toEqual([0, 2]);
+});
@@ -0,0 +1,127 @@
+// Value distributions for the histogram and scatter views: counts per value,
+// pairs thinned to a density grid the chart can draw, and the average
+// response per input value that shows up lookup tables and piecewise
+// encodings a straight fit misses.
+
+const isNumber = (v) => v !== null && v !== undefined && Number.isFinite(v);
+
+/**
+ * Count values in bins covering [min, max]. Integer ranges of at most
+ * maxBins values get one bin per value.
+ *
+ * @param {Array<?number>} values
+ * @param {Object} [options]
+ * @param {number} [options.min] - Defaults to the smallest value
+ * @param {number} [options.max] - Defaults to the largest value
+ * @param {number} [options.maxBins=256]
+ * @returns {Array<{start: number, end: number, count: number}>}
+ *   end is exclusive, except for the last bin
+ */
+export const histogram = (values, { min, max, maxBins = 256 } = {}) => {
+  const present = values.filter(isNumber);
+  if (!present.length) return [];
+  const low = min ?? present.reduce((a, b) => Math.min(a, b), Infinity);
+  const high = max ?? present.reduce((a, b) => Math.max(a, b), -Infinity);
+
+  const integral = Number.isInteger(low) && Number.isInteger(high) && present.every(Number.isInteger);
+  const binCount = integral && high - low + 1 <= maxBins
+    ? high - low + 1
+    : Math.max(1, Math.min(maxBins, Math.ceil(Math.sqrt(present.length))));
+  const width = integral && binCount === high - low + 1 ? 1 : (high - low) / binCount || 1;
+
+  const bins = Array.from({ length: binCount }, (_, i) => ({ start: low + i * width, end: low + (i + 1) * width, count: 0 }));
+  present.forEach(value => {
+    if (value < low || value > high) return;
+    bins[Math.min(binCount - 1, Math.floor((value - low) / width))].count++;
+  });
+  return bins;
+};
+
+/**
+ * Pairs of values with how often each occurs. Exact pairs are kept when
+ * there are few enough; otherwise pairs are pooled on a grid and each cell
+ * is drawn at the mean of its points.
+ *
+ * @param {Array<?number>} xs
+ * @param {Array<?number>} ys - Aligned with xs
+ * @param {number} [maxPoints=4000]
+ * @returns {Array<{x: number, y: number, count: number}>}
+ */
+export const densityPoints = (xs, ys, maxPoints = 4000) => {
+  const pairs = [];
+  xs.forEach((x, i) => {
+    if (isNumber(x) && isNumber(ys[i])) pairs.push([x, ys[i]]);
+  });
+
+  const exact = new Map();
+  for (let i = 0; i < pairs.length && exact.size <= maxPoints; i++) {
+    const key = `${pairs[i][0]},${pairs[i][1]}`;
+    const point = exact.get(key);
+    if (point) point.count++;
+    else exact.set(key, { x: pairs[i][0], y: pairs[i][1], count: 1 });
+  }
+  if (exact.size <= maxPoints) return Array.from(exact.values());
+
+  const cells = Math.floor(Math.sqrt(maxPoints));
+  const [minX, maxX, minY, maxY] = pairs.reduce(
+    ([x0, x1, y0, y1], [x, y]) => [Math.min(x0, x), Math.max(x1, x), Math.min(y0, y), Math.max(y1, y)],
+    [Infinity, -Infinity, Infinity, -Infinity]
+  );
+  const cellOf = (value, low, high) => (high > low ? Math.min(cells - 1, Math.floor(((value - low) / (high - low)) * cells)) : 0);
+
+  const grid = new Map();
+  pairs.forEach(([x, y]) => {
+    const key = cellOf(x, minX, maxX) * cells + cellOf(y, minY, maxY);
+    const cell = grid.get(key);
+    if (cell) {
+      cell.sumX += x;
+      cell.sumY += y;
+      cell.count++;
+    } else {
+      grid.set(key, { sumX: x, sumY: y, count: 1 });
+    }
+  });
+  return Array.from(grid.values(), cell => ({ x: cell.sumX / cell.count, y: cell.sumY / cell.count, count: cell.count }));
+};
+
+/**
+ * Mean of ys for each value of xs, or for each of maxPoints equal slices
+ * of the x range when xs takes more values than that.
+ *
+ * @param {Array<?number>} xs
+ * @param {Array<?number>} ys - Aligned with xs
+ * @param {number} [maxPoints=256]
+ * @returns {Array<{x: number, y: number}>} Ascending by x
+ */
+export const meanByX = (xs, ys, maxPoints = 256) => {
+  const groups = new Map();
+  xs.forEach((x, i) => {
+    if (!isNumber(x) || !isNumber(ys[i])) return;
+    const group = groups.get(x) || { sumX: 0, sumY: 0, count: 0 };
+    group.sumX += x;
+    group.sumY += ys[i];
+    group.count++;
+    groups.set(x, group);
+  });
+
+  let pooled = Array.from(groups.values());
+  if (pooled.length > maxPoints) {
+    const keys = Array.from(groups.keys());
+    const low = keys.reduce((a, b) => Math.min(a, b), Infinity);
+    const width = (keys.reduce((a, b) => Math.max(a, b), -Infinity) - low) / maxPoints;
+    const slices = new Map();
+    groups.forEach((group, x) => {
+      const slice = Math.min(maxPoints - 1, Math.floor((x - low) / width));
+      const merged = slices.get(slice) || { sumX: 0, sumY: 0, count: 0 };
+      merged.sumX += group.sumX;
+      merged.sumY += group.sumY;
+      merged.count += group.count;
+      slices.set(slice, merged);
+    });
+    pooled = Array.from(slices.values());
+  }
+
+  return pooled
+    .map(group => ({ x: group.sumX / group.count, y: group.sumY / group.count }))
+    .sort((a, b) => a.x - b.x);
+};
@@ -0,0 +1,36 @@
+import { histogram, densityPoints, meanByX } from './distribution';
+
+test('counts byte values one bin per value', () => {
+  const bins = histogram([0, 2, 2, null, 255], { min: 0, max: 255 });
+  expect(bins).toHaveLength(256);
+  expect(bins[2]).toEqual({ start: 2, end: 3, count: 2 });
+  expect(bins[255].count).toBe(1);
+  expect(bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(4);
+});
+
+test('bins wide or fractional ranges', () => {
+  const values = Array.from({ length: 10000 }, (_, i) => i * 6.5);
+  const bins = histogram(values);
+  expect(bins).toHaveLength(100);
+  expect(bins[0].start).toBe(0);
+  expect(bins[99].end).toBeCloseTo(9999 * 6.5);
+  expect(bins.every(bin => bin.count === 100)).toBe(true);
+});
+
+test('keeps exact pairs with their counts', () => {
+  const points = densityPoints([1, 1, 2, null], [5, 5, 6, 7]);
+  expect(points).toEqual([{ x: 1, y: 5, count: 2 }, { x: 2, y: 6, count: 1 }]);
+});
+
+test('pools many pairs on a grid', () => {
+  const xs = Array.from({ length: 20000 }, (_, i) => i);
+  const points = densityPoints(xs, xs.map(x => x * 2), 100);
+  expect(points.length).toBeLessThanOrEqual(100);
+  expect(points.reduce((sum, p) => sum + p.count, 0)).toBe(20000);
+});
+
+test('averages the response to each input value', () => {
+  expect(meanByX([3, 1, 3, 1], [10, 0, 20, 2])).toEqual([{ x: 1, y: 1 }, { x: 3, y: 15 }]);
+  const xs = Array.from({ length: 1000 }, (_, i) => i);
+  expect(meanByX(xs, xs, 10)).toHaveLength(10);
+});
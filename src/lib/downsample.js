@@ -0,0 +1,140 @@
+// Thinning chart rows to about as many points as the chart has pixels, so
+// recharts stays responsive on long captures while peaks and steps survive.
+
+const present = (value) => value !== null && value !== undefined && !Number.isNaN(value);
+
+/**
+ * Largest-Triangle-Three-Buckets: picks `threshold` points that keep the
+ * visual shape of a single series. The first and last points are kept.
+ *
+ * @param {number[]} xs
+ * @param {Array<?number>} ys
+ * @param {number} threshold - Points to keep, at least 3
+ * @returns {number[]} Kept indices, ascending
+ */
+export const lttbIndices = (xs, ys, threshold) => {
+  const n = xs.length;
+  if (threshold >= n || threshold < 3) return Array.from({ length: n }, (_, i) => i);
+
+  const kept = [0];
+  const bucketSize = (n - 2) / (threshold - 2);
+  let previous = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.floor((bucket + 1) * bucketSize) + 1;
+
+    // Average of the next bucket is the third corner of the triangle
+    const nextStart = end;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, n);
+    let avgX = 0;
+    let avgY = 0;
+    let count = 0;
+    for (let i = nextStart; i < nextEnd; i++) {
+      if (!present(ys[i])) continue;
+      avgX += xs[i];
+      avgY += ys[i];
+      count++;
+    }
+    if (count) {
+      avgX /= count;
+      avgY /= count;
+    } else {
+      avgX = xs[n - 1];
+      avgY = present(ys[n - 1]) ? ys[n - 1] : 0;
+    }
+
+    const px = xs[previous];
+    const py = present(ys[previous]) ? ys[previous] : avgY;
+    let best = start;
+    let bestArea = -1;
+    for (let i = start; i < end; i++) {
+      if (!present(ys[i])) continue;
+      const area = Math.abs((px - avgX) * (ys[i] - py) - (px - xs[i]) * (avgY - py));
+      if (area > bestArea) {
+        bestArea = area;
+        best = i;
+      }
+    }
+    kept.push(best);
+    previous = best;
+  }
+
+  kept.push(n - 1);
+  return kept;
+};
+
+/**
+ * Min-max bucketing over several series: each bucket keeps the rows where
+ * any series is at its lowest or highest, so no spike is lost. The result
+ * can exceed two points per bucket when series peak at different rows.
+ *
+ * @param {Array<Array<?number>>} seriesValues - One value list per series
+ * @param {number} buckets
+ * @returns {number[]} Kept indices, ascending
+ */
+export const minMaxIndices = (seriesValues, buckets) => {
+  const n = seriesValues.length ? seriesValues[0].length : 0;
+  if (!n) return [];
+  if (buckets * 2 >= n) return Array.from({ length: n }, (_, i) => i);
+
+  const kept = new Set([0, n - 1]);
+  const bucketSize = n / buckets;
+  for (let bucket = 0; bucket < buckets; bucket++) {
+    const start = Math.floor(bucket * bucketSize);
+    const end = Math.min(n, Math.floor((bucket + 1) * bucketSize));
+    seriesValues.forEach(values => {
+      let minIdx = -1;
+      let maxIdx = -1;
+      for (let i = start; i < end; i++) {
+        if (!present(values[i])) continue;
+        if (minIdx === -1 || values[i] < values[minIdx]) minIdx = i;
+        if (maxIdx === -1 || values[i] > values[maxIdx]) maxIdx = i;
+      }
+      if (minIdx !== -1) kept.add(minIdx);
+      if (maxIdx !== -1) kept.add(maxIdx);
+    });
+  }
+  return Array.from(kept).sort((a, b) => a - b);
+};
+
+const thin = (rows, keys, xKey, maxPoints) => {
+  if (rows.length <= maxPoints) return rows;
+  const indices = keys.length === 1
+    ? lttbIndices(rows.map(row => row[xKey]), rows.map(row => row[keys[0]]), maxPoints)
+    : minMaxIndices(keys.map(key => rows.map(row => row[key])), Math.floor(maxPoints / 2));
+  return indices.map(i => rows[i]);
+};
+
+/**
+ * Thin chart rows to roughly maxPoints: LTTB for a single series, min-max
+ * when several share the rows. Gap markers (rows with `gap` set) are kept,
+ * and the runs between them share the point budget by length.
+ *
+ * @param {Object[]} rows - Sorted by xKey
+ * @param {string[]} keys - Plotted fields
+ * @param {string} xKey
+ * @param {number} maxPoints
+ * @returns {Object[]} A subset of rows, in order
+ */
+export const downsampleRows = (rows, keys, xKey, maxPoints) => {
+  if (rows.length <= maxPoints || !keys.length) return rows;
+
+  const result = [];
+  let run = [];
+  const flush = () => {
+    const budget = Math.max(3, Math.round((maxPoints * run.length) / rows.length));
+    thin(run, keys, xKey, budget).forEach(row => result.push(row));
+    run = [];
+  };
+  rows.forEach(row => {
+    if (row.gap) {
+      flush();
+      result.push(row);
+    } else {
+      run.push(row);
+    }
+  });
+  flush();
+  return result;
+};
@@ -0,0 +1,45 @@
+import { lttbIndices, minMaxIndices, downsampleRows } from './downsample';
+
+test('keeps every point when under the threshold', () => {
+  expect(lttbIndices([0, 1, 2], [5, 6, 7], 10)).toEqual([0, 1, 2]);
+  expect(downsampleRows([{ index: 0, a: 1 }], ['a'], 'index', 10)).toHaveLength(1);
+});
+
+test('LTTB keeps the ends and a lone spike', () => {
+  const xs = Array.from({ length: 1000 }, (_, i) => i);
+  const ys = xs.map(x => (x === 437 ? 100 : 0));
+  const kept = lttbIndices(xs, ys, 50);
+  expect(kept).toHaveLength(50);
+  expect(kept[0]).toBe(0);
+  expect(kept[kept.length - 1]).toBe(999);
+  expect(kept).toContain(437);
+});
+
+test('min-max keeps the extremes of every series', () => {
+  const a = Array.from({ length: 1000 }, (_, i) => (i === 10 ? -5 : 0));
+  const b = Array.from({ length: 1000 }, (_, i) => (i === 900 ? 9 : null));
+  const kept = minMaxIndices([a, b], 20);
+  expect(kept).toContain(10);
+  expect(kept).toContain(900);
+  expect(kept.length).toBeLessThan(100);
+  expect(kept).toEqual([...kept].sort((x, y) => x - y));
+});
+
+test('downsamples rows of several series', () => {
+  const rows = Array.from({ length: 5000 }, (_, i) => ({ index: i, byte0: i % 256, byte1: i === 1234 ? 255 : 0 }));
+  const thinned = downsampleRows(rows, ['byte0', 'byte1'], 'index', 500);
+  expect(thinned.length).toBeLessThan(rows.length);
+  expect(thinned.find(row => row.index === 1234)).toBeDefined();
+});
+
+test('keeps gap markers between thinned runs', () => {
+  const rows = [
+    ...Array.from({ length: 1000 }, (_, i) => ({ time: i, byte0: i % 7 })),
+    { time: 1500, gap: true },
+    ...Array.from({ length: 1000 }, (_, i) => ({ time: 2000 + i, byte0: i % 5 })),
+  ];
+  const thinned = downsampleRows(rows, ['byte0'], 'time', 100);
+  expect(thinned.length).toBeLessThanOrEqual(101);
+  expect(thinned.filter(row => row.gap)).toHaveLength(1);
+  expect(thinned.map(row => row.time)).toEqual([...thinned.map(row => row.time)].sort((a, b) => a - b));
+});
@@ -0,0 +1,261 @@
+// Parser for raw ELM327 / STN adapter output. Accepts what a terminal session
+// actually looks like (prompts, echoed commands, status lines, CAN headers,
+// ISO-TP multi-frame responses) and returns one payload per ECU response.
+
+import { extractTimestamp } from './timestamps';
+
+// Status lines the adapter prints in between responses
+const NOISE_PATTERNS = [
+  /^SEARCHING\.*$/,
+  /^NO DATA$/,
+  /^OK$/,
+  /^\?$/,
+  /^STOPPED$/,
+  /^BUS INIT.*$/,
+  /^BUS BUSY$/,
+  /^BUS ERROR$/,
+  /^CAN ERROR$/,
+  /^DATA ERROR$/,
+  /^BUFFER FULL$/,
+  /^FB ERROR$/,
+  /^UNABLE TO CONNECT$/,
+  /^ACT ALERT$/,
+  /^LV RESET$/,
+  /^LP ALERT$/,
+  /^ERR\d+$/,
+  /^<RX ERROR$/,
+  /^<DATA ERROR$/,
+  /^ELM327.*$/,
+  /^STN\d+.*$/,
+];
+
+// Length of the positive-response prefix (SID + PID/DID echo) keyed by the
+// response SID, used when no echoed command tells us the exact length.
+const RESPONSE_PREFIX_LENGTHS = {
+  0x41: 2, // Mode 01: SID + PID
+  0x42: 3, // Mode 02: SID + PID + frame number
+  0x49: 2, // Mode 09: SID + PID
+  0x61: 2, // Mode 21: SID + local identifier
+  0x62: 3, // Mode 22: SID + 16-bit DID
+};
+
+const NEGATIVE_RESPONSE_SID = 0x7F;
+
+const isHex = (str) => /^[0-9A-F]+$/.test(str);
+
+const hexToBytes = (hex) => {
+  const bytes = [];
+  for (let i = 0; i + 1 < hex.length; i += 2) {
+    bytes.push(parseInt(hex.slice(i, i + 2), 16));
+  }
+  return bytes;
+};
+
+// Echoed requests are either AT/ST commands or OBD requests, whose SID is
+// always below the 0x40 positive-response offset.
+const parseCommand = (compact) => {
+  if (/^(AT|ST)/.test(compact)) return { isAdapterCommand: true };
+  if (!isHex(compact) || compact.length < 2 || compact.length > 9) return null;
+  const bytes = hexToBytes(compact);
+  if (bytes[0] >= 0x40) return null;
+  return { isAdapterCommand: false, bytes };
+};
+
+// Split a frame line into its CAN header (if any) and data bytes
+const splitHeader = (tokens, compact) => {
+  if (tokens.length > 1) {
+    if (tokens[0].length === 3) {
+      return { header: tokens[0], hex: tokens.slice(1).join('') };
+    }
+    if (tokens[0].length === 8) {
+      return { header: tokens[0], hex: tokens.slice(1).join('') };
+    }
+    if (tokens[0] === '18' && (tokens[1] === 'DA' || tokens[1] === 'DB') && tokens.length > 4) {
+      return { header: tokens.slice(0, 4).join(''), hex: tokens.slice(4).join('') };
+    }
+    return { header: null, hex: compact };
+  }
+  if (compact.length % 2 === 1 && compact.length > 3) {
+    return { header: compact.slice(0, 3), hex: compact.slice(3) };
+  }
+  if (/^18D[AB]/.test(compact) && compact.length > 10) {
+    return { header: compact.slice(0, 8), hex: compact.slice(8) };
+  }
+  return { header: null, hex: compact };
+};
+
+// Request a positive response answers, recovered from its SID/PID echo
+const requestFor = (payload) => {
+  const prefixLength = RESPONSE_PREFIX_LENGTHS[payload[0]];
+  return prefixLength ? [payload[0] - 0x40, ...payload.slice(1, prefixLength)] : null;
+};
+
+/**
+ * Remove the positive-response prefix so byte 0 is the first data byte.
+ * Returns null for negative responses.
+ */
+export const stripResponsePrefix = (payload, command) => {
+  if (!payload.length || payload[0] === NEGATIVE_RESPONSE_SID) return null;
+
+  if (command && command.length && payload[0] === command[0] + 0x40) {
+    return payload.slice(command.length);
+  }
+
+  const prefixLength = RESPONSE_PREFIX_LENGTHS[payload[0]];
+  return prefixLength ? payload.slice(prefixLength) : payload;
+};
+
+/**
+ * Parse raw adapter output into complete responses.
+ *
+ * @param {string} input - Text copied from a terminal or adapter log
+ * @param {Object} [options]
+ * @param {boolean} [options.stripPrefix=true] - Drop the SID/PID echo from each response
+ * @param {boolean} [options.timestamps=false] - Lines start with a timestamp
+ *   written by the logger; a response takes the time of its first frame
+ * @returns {{ messages: Array<{header: ?string, command: ?number[], data: number[], line: number, time: ?number}>,
+ *   skipped: number, problems: Array<{line: number, reason: string}> }}
+ *   command is the echoed OBD request the response answers, or the one
+ *   implied by its SID/PID echo; problems says why each skipped line or
+ *   response was dropped
+ */
+export const parseElm327 = (input, { stripPrefix = true, timestamps = false } = {}) => {
+  const messages = [];
+  const pending = new Map();
+  let lastCommand = null;
+  const problems = [];
+  const skip = (line, reason) => problems.push({ line, reason });
+
+  // Multi-frame responses without headers: a byte count line followed by
+  // "0:", "1:", ... continuation lines
+  let indexed = null;
+
+  const emit = (header, payload, line, time) => {
+    const data = stripPrefix ? stripResponsePrefix(payload, lastCommand) : payload;
+    if (data === null) {
+      skip(line, payload.length ? 'Negative response' : 'Empty response');
+      return;
+    }
+    messages.push({ header, command: lastCommand || requestFor(payload), data, line, time });
+  };
+
+  const flushIndexed = () => {
+    if (indexed && indexed.bytes.length >= indexed.length) {
+      emit(null, indexed.bytes.slice(0, indexed.length), indexed.line, indexed.time);
+    } else if (indexed) {
+      skip(indexed.line, `Multi-frame response cut short at ${indexed.bytes.length} of ${indexed.length} bytes`);
+    }
+    indexed = null;
+  };
+
+  const handleFrame = (header, bytes, line, time) => {
+    const pci = bytes[0] >> 4;
+    switch (pci) {
+      case 0x0: {
+        const length = bytes[0] & 0x0F;
+        if (length === 0 || length > bytes.length - 1) {
+          skip(line, 'Single frame shorter than its length byte');
+          return;
+        }
+        emit(header, bytes.slice(1, 1 + length), line, time);
+        return;
+      }
+      case 0x1: {
+        if (pending.has(header)) skip(pending.get(header).line, 'Multi-frame response cut short by the next one');
+        pending.set(header, {
+          length: ((bytes[0] & 0x0F) << 8) | bytes[1],
+          bytes: bytes.slice(2),
+          nextSeq: 1,
+          line,
+          time,
+        });
+        return;
+      }
+      case 0x2: {
+        const message = pending.get(header);
+        if (!message || (bytes[0] & 0x0F) !== message.nextSeq) {
+          // Out-of-order or orphaned consecutive frame: drop the whole message
+          if (message) pending.delete(header);
+          skip(line, message ? 'Consecutive frame out of sequence' : 'Consecutive frame without a first frame');
+          return;
+        }
+        message.bytes.push(...bytes.slice(1));
+        message.nextSeq = (message.nextSeq + 1) & 0x0F;
+        if (message.bytes.length >= message.length) {
+          pending.delete(header);
+          emit(header, message.bytes.slice(0, message.length), message.line, message.time);
+        }
+        return;
+      }
+      case 0x3:
+        // Flow control frames are sent by the tester, not the ECU
+        return;
+      default:
+        skip(line, 'Not an ISO-TP frame');
+    }
+  };
+
+  input.split(/\r?\n|\r/).forEach((rawLine, idx) => {
+    const lineNumber = idx + 1;
+    const { time, rest } = timestamps
+      ? extractTimestamp(rawLine, 'prefix')
+      : { time: null, rest: rawLine };
+    const line = rest.replace(/^>+/, '').trim().toUpperCase();
+    if (!line) return;
+
+    if (NOISE_PATTERNS.some(pattern => pattern.test(line))) {
+      return;
+    }
+
+    const compact = line.replace(/\s+/g, '');
+    const tokens = line.split(/\s+/);
+
+    const indexedMatch = line.match(/^([0-9A-F]):\s*(.*)$/);
+    if (indexedMatch) {
+      const hex = indexedMatch[2].replace(/\s+/g, '');
+      if (!indexed || !isHex(hex)) {
+        skip(lineNumber, indexed ? 'Not hex' : 'Continuation line without a byte count');
+        return;
+      }
+      indexed.bytes.push(...hexToBytes(hex));
+      if (indexed.bytes.length >= indexed.length) flushIndexed();
+      return;
+    }
+
+    if (tokens.length === 1 && compact.length === 3 && isHex(compact)) {
+      flushIndexed();
+      indexed = { length: parseInt(compact, 16), bytes: [], line: lineNumber, time };
+      return;
+    }
+
+    const command = parseCommand(compact);
+    if (command) {
+      flushIndexed();
+      if (!command.isAdapterCommand) lastCommand = command.bytes;
+      return;
+    }
+
+    if (!isHex(compact)) {
+      skip(lineNumber, 'Not hex');
+      return;
+    }
+
+    const { header, hex } = splitHeader(tokens, compact);
+    const bytes = hexToBytes(hex);
+    if (!bytes.length) {
+      skip(lineNumber, 'No data bytes');
+      return;
+    }
+
+    if (header) {
+      handleFrame(header, bytes, lineNumber, time);
+    } else {
+      emit(null, bytes, lineNumber, time);
+    }
+  });
+
+  flushIndexed();
+  pending.forEach(message => skip(message.line, `Multi-frame response cut short at ${message.bytes.length} of ${message.length} bytes`));
+
+  return { messages, skipped: problems.length, problems };
+};
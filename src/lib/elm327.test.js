@@ -0,0 +1,84 @@
+import { parseElm327, stripResponsePrefix } from './elm327';
+
+test('reassembles ISO-TP multi-frame responses with CAN headers', () => {
+  const input = [
+    '>22F190',
+    'SEARCHING...',
+    '7E8 10 14 62 F1 90 57 30 4C',
+    '7E8 21 30 30 30 30 34 33',
+    '7E8 22 4D 42 35 34 31 33',
+    '7E8 23 32 36 AA AA AA AA',
+    '',
+    '>',
+  ].join('\n');
+
+  const { messages, skipped } = parseElm327(input);
+  expect(skipped).toBe(0);
+  expect(messages).toHaveLength(1);
+  expect(messages[0].header).toBe('7E8');
+  expect(messages[0].command).toEqual([0x22, 0xF1, 0x90]);
+  expect(messages[0].line).toBe(3);
+  expect(messages[0].data).toEqual([
+    0x57, 0x30, 0x4C, 0x30, 0x30, 0x30, 0x30, 0x34, 0x33,
+    0x4D, 0x42, 0x35, 0x34, 0x31, 0x33, 0x32, 0x36,
+  ]);
+});
+
+test('handles single frames, NO DATA and headerless responses', () => {
+  const input = [
+    '010C',
+    '7E8 04 41 0C 1A F8',
+    '010C',
+    'NO DATA',
+    '010C',
+    '41 0C 1B 02',
+    '18DAF110 04 41 0C 1B 10',
+  ].join('\n');
+
+  const { messages } = parseElm327(input);
+  expect(messages.map(m => m.data)).toEqual([
+    [0x1A, 0xF8],
+    [0x1B, 0x02],
+    [0x1B, 0x10],
+  ]);
+  expect(messages[2].header).toBe('18DAF110');
+  expect(messages[2].command).toEqual([0x01, 0x0C]);
+});
+
+test('reassembles headerless multi-frame responses', () => {
+  const input = [
+    '0902',
+    '014',
+    '0: 49 02 01 57 30 4C',
+    '1: 30 30 30 30 34 33 4D',
+    '2: 42 35 34 31 33 32 36',
+  ].join('\n');
+
+  const { messages } = parseElm327(input);
+  expect(messages).toHaveLength(1);
+  // Mode 09 prefix is SID + PID; the message count byte is data
+  expect(messages[0].data[0]).toBe(0x01);
+  expect(messages[0].data).toHaveLength(18);
+});
+
+test('drops negative responses and broken multi-frame sequences', () => {
+  const input = [
+    '7E8 03 7F 22 31',
+    '7E8 10 0A 62 F1 90 01 02 03',
+    '7E8 22 04 05 06 07 08 09',
+  ].join('\n');
+
+  const { messages, skipped, problems } = parseElm327(input);
+  expect(messages).toHaveLength(0);
+  expect(skipped).toBe(2);
+  expect(problems).toEqual([
+    { line: 1, reason: 'Negative response' },
+    { line: 3, reason: 'Consecutive frame out of sequence' },
+  ]);
+});
+
+test('stripResponsePrefix prefers the echoed command length', () => {
+  expect(stripResponsePrefix([0x62, 0x12, 0x34, 0x01], [0x22, 0x12, 0x34])).toEqual([0x01]);
+  expect(stripResponsePrefix([0x41, 0x0D, 0x32], null)).toEqual([0x32]);
+  expect(stripResponsePrefix([0x7F, 0x22, 0x31], null)).toBeNull();
+});
@@ -0,0 +1,116 @@
+// Least-squares fitting of raw values against a reference quantity, producing
+// the `value = raw * mul / div + add` form OBDb signal definitions use.
+
+const isNumber = (v) => v !== null && v !== undefined && Number.isFinite(v);
+
+/**
+ * Ordinary least-squares fit of ys against xs. Pairs where either side is
+ * missing are ignored.
+ *
+ * @param {Array<?number>} xs - Raw values
+ * @param {Array<?number>} ys - Reference values, aligned with xs
+ * @returns {?{slope: number, intercept: number, r2: number, n: number, residuals: Array<?number>}}
+ *   null when there are fewer than two pairs or the raw value never changes
+ */
+export const linearFit = (xs, ys) => {
+  let n = 0;
+  let sumX = 0;
+  let sumY = 0;
+  xs.forEach((x, i) => {
+    if (isNumber(x) && isNumber(ys[i])) {
+      n++;
+      sumX += x;
+      sumY += ys[i];
+    }
+  });
+  if (n < 2) return null;
+
+  const meanX = sumX / n;
+  const meanY = sumY / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    if (isNumber(x) && isNumber(ys[i])) {
+      sxx += (x - meanX) * (x - meanX);
+      sxy += (x - meanX) * (ys[i] - meanY);
+      syy += (ys[i] - meanY) * (ys[i] - meanY);
+    }
+  });
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  let ssRes = 0;
+  const residuals = xs.map((x, i) => {
+    if (!isNumber(x) || !isNumber(ys[i])) return null;
+    const residual = ys[i] - (slope * x + intercept);
+    ssRes += residual * residual;
+    return residual;
+  });
+
+  return {
+    slope,
+    intercept,
+    r2: syy === 0 ? 1 : 1 - ssRes / syy,
+    n,
+    residuals,
+  };
+};
+
+/**
+ * Express a scale factor as mul/div with a small integer denominator, the way
+ * signal definitions are usually written (0.25 -> 1/4, 0.3921 -> 20/51).
+ * Falls back to a rounded decimal multiplier when no fraction is close enough.
+ *
+ * @param {number} value
+ * @param {number} [maxDenominator=1000]
+ * @param {number} [tolerance=1e-3] - Allowed relative error
+ * @returns {{mul: number, div: number}}
+ */
+export const toFraction = (value, maxDenominator = 1000, tolerance = 1e-3) => {
+  if (!Number.isFinite(value) || value === 0) return { mul: 0, div: 1 };
+
+  const sign = Math.sign(value);
+  const target = Math.abs(value);
+  let x = target;
+  let [h0, h1, k0, k1] = [0, 1, 1, 0];
+
+  // Walk the continued-fraction convergents until one is close enough
+  for (let i = 0; i < 32; i++) {
+    const a = Math.floor(x);
+    const h2 = a * h1 + h0;
+    const k2 = a * k1 + k0;
+    if (k2 > maxDenominator) break;
+    [h0, h1, k0, k1] = [h1, h2, k1, k2];
+    if (Math.abs(h1 / k1 - target) <= tolerance * target) {
+      return { mul: sign * h1, div: k1 };
+    }
+    const fraction = x - a;
+    if (fraction < 1e-12) break;
+    x = 1 / fraction;
+  }
+
+  return { mul: Number(value.toPrecision(6)), div: 1 };
+};
+
+/**
+ * Fit raw values against a reference and express the result as OBDb-style
+ * coefficients.
+ *
+ * @returns {?{mul: number, div: number, add: number, r2: number, n: number, residuals: Array<?number>}}
+ */
+export const fitScaleOffset = (raw, reference) => {
+  const fit = linearFit(raw, reference);
+  if (!fit) return null;
+
+  const { mul, div } = toFraction(fit.slope);
+  return {
+    mul,
+    div,
+    add: Number(fit.intercept.toPrecision(6)),
+    r2: fit.r2,
+    n: fit.n,
+    residuals: fit.residuals,
+  };
+};
@@ -0,0 +1,34 @@
+import { linearFit, toFraction, fitScaleOffset } from './fit';
+import { alignReference } from './reference';
+
+test('recovers scale and offset of a linear encoding', () => {
+  const raw = [0, 40, 80, 120, 200];
+  const reference = raw.map(x => x / 4 - 40);
+
+  const fit = fitScaleOffset(raw, reference);
+  expect(fit.mul).toBe(1);
+  expect(fit.div).toBe(4);
+  expect(fit.add).toBe(-40);
+  expect(fit.r2).toBeCloseTo(1);
+  expect(fit.residuals.every(r => Math.abs(r) < 1e-9)).toBe(true);
+});
+
+test('ignores missing pairs and rejects constant input', () => {
+  expect(linearFit([1, 2, null, 4], [2, 4, 6, null]).n).toBe(2);
+  expect(linearFit([3, 3, 3], [1, 2, 3])).toBeNull();
+});
+
+test('expresses scale factors as small fractions', () => {
+  expect(toFraction(0.25)).toEqual({ mul: 1, div: 4 });
+  expect(toFraction(100 / 255)).toEqual({ mul: 20, div: 51 });
+  expect(toFraction(-3)).toEqual({ mul: -3, div: 1 });
+});
+
+test('aligns reference points by index or interpolated time', () => {
+  const rows = [{ index: 0, time: 10 }, { index: 1, time: 10.5 }, { index: 2, time: 12 }];
+  const points = [{ time: 10, value: 0 }, { time: 11, value: 10 }];
+
+  expect(alignReference(rows, points, 'index')).toEqual([0, 10, null]);
+  expect(alignReference(rows, points, 'time')).toEqual([0, 5, null]);
+  expect(alignReference(rows, points, 'time', 1)).toEqual([null, null, 10]);
+});
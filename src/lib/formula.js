@@ -0,0 +1,216 @@
+// Physical-value conversions for signals. A conversion is either a linear
+// `raw * mul / div + add` or a formula in the usual OBD notation, where
+// A, B, C... are the signal's bytes in order and `x` (or `raw`) is its raw
+// value:
+//
+//   A - 40          (A * 256 + B) / 4          (x >> 4) & 0x0F
+//
+// Formulas are parsed into closures once, never passed to eval.
+
+export const DEFAULT_CONVERSION = {
+  name: '',
+  unit: '',
+  mode: 'formula',
+  formula: 'x',
+  mul: 1,
+  div: 1,
+  add: 0,
+};
+
+export class FormulaError extends Error {
+  constructor(message, position) {
+    super(position !== undefined ? `${message} (at character ${position + 1})` : message);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  sqrt: Math.sqrt,
+  pow: Math.pow,
+};
+
+const BINARY_OPERATORS = {
+  '|': (a, b) => a | b,
+  '&': (a, b) => a & b,
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >> b,
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+};
+
+// Operator precedence levels, loosest first
+const PRECEDENCE = [['|'], ['&'], ['<<', '>>'], ['+', '-'], ['*', '/', '%']];
+
+const TOKEN_PATTERN = /\s*(?:(0x[0-9a-fA-F]+|\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_]\w*)|(<<|>>|[-+*/%&|(),]))/y;
+
+const tokenize = (text) => {
+  const tokens = [];
+  let position = 0;
+  while (position < text.length) {
+    if (/^\s*$/.test(text.slice(position))) break;
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      const offset = position + text.slice(position).search(/\S/);
+      throw new FormulaError(`Unexpected character '${text[offset]}'`, offset);
+    }
+    const start = match.index + match[0].search(/\S/);
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]), position: start });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2], position: start });
+    else tokens.push({ type: 'op', value: match[3], position: start });
+    position = TOKEN_PATTERN.lastIndex;
+  }
+  return tokens;
+};
+
+const byteIndex = (name) => (/^[A-Z]$/.test(name) ? name.charCodeAt(0) - 65 : -1);
+
+/**
+ * Compile a formula.
+ *
+ * @param {string} text
+ * @returns {{ evaluate: function({raw: number, bytes: number[]}): number, byteCount: number }}
+ *   byteCount is the number of signal bytes the formula refers to
+ * @throws {FormulaError}
+ */
+export const compileFormula = (text) => {
+  const tokens = tokenize(text);
+  let pos = 0;
+  let byteCount = 0;
+
+  const peek = () => tokens[pos];
+  const expect = (value) => {
+    const token = tokens[pos];
+    if (!token || token.value !== value) {
+      throw new FormulaError(
+        token ? `Expected '${value}' but found '${token.value}'` : `Expected '${value}'`,
+        token ? token.position : text.length
+      );
+    }
+    pos++;
+  };
+
+  const parseBinary = (level) => {
+    if (level === PRECEDENCE.length) return parseUnary();
+    let left = parseBinary(level + 1);
+    while (peek() && peek().type === 'op' && PRECEDENCE[level].includes(peek().value)) {
+      const apply = BINARY_OPERATORS[tokens[pos++].value];
+      const lhs = left;
+      const rhs = parseBinary(level + 1);
+      left = (vars) => apply(lhs(vars), rhs(vars));
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === 'op' && (token.value === '-' || token.value === '+')) {
+      pos++;
+      const operand = parseUnary();
+      return token.value === '-' ? (vars) => -operand(vars) : operand;
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new FormulaError('Unexpected end of formula', text.length);
+
+    if (token.type === 'number') {
+      const { value } = token;
+      return () => value;
+    }
+
+    if (token.type === 'name') {
+      if (peek() && peek().value === '(') {
+        const fn = FUNCTIONS[token.value];
+        if (!fn) throw new FormulaError(`Unknown function '${token.value}'`, token.position);
+        pos++;
+        const args = [];
+        if (peek() && peek().value !== ')') {
+          args.push(parseBinary(0));
+          while (peek() && peek().value === ',') {
+            pos++;
+            args.push(parseBinary(0));
+          }
+        }
+        expect(')');
+        return (vars) => fn(...args.map(arg => arg(vars)));
+      }
+
+      if (token.value === 'x' || token.value === 'raw') {
+        return (vars) => vars.raw;
+      }
+      const index = byteIndex(token.value);
+      if (index === -1) throw new FormulaError(`Unknown variable '${token.value}'`, token.position);
+      byteCount = Math.max(byteCount, index + 1);
+      return (vars) => vars.bytes[index];
+    }
+
+    if (token.value === '(') {
+      const inner = parseBinary(0);
+      expect(')');
+      return inner;
+    }
+
+    throw new FormulaError(`Unexpected '${token.value}'`, token.position);
+  };
+
+  if (!tokens.length) throw new FormulaError('Formula is empty');
+  const evaluate = parseBinary(0);
+  if (pos < tokens.length) {
+    throw new FormulaError(`Unexpected '${tokens[pos].value}'`, tokens[pos].position);
+  }
+
+  return { evaluate, byteCount };
+};
+
+/**
+ * Build a converter from a conversion definition.
+ *
+ * @param {Object} conversion - { mode: 'formula', formula } or { mode: 'linear', mul, div, add }
+ * @param {number} signalBytes - Bytes available to the formula as A, B, ...
+ * @returns {{ convert: ?function(number, number[]): ?number, error: ?string }}
+ */
+export const createConverter = (conversion, signalBytes) => {
+  if (conversion.mode === 'linear') {
+    const { mul = 1, div = 1, add = 0 } = conversion;
+    if (!div) return { convert: null, error: 'div must not be zero' };
+    return {
+      convert: (raw) => (raw === null || raw === undefined ? null : raw * mul / div + add),
+      error: null,
+    };
+  }
+
+  try {
+    const { evaluate, byteCount } = compileFormula(conversion.formula || '');
+    if (byteCount > signalBytes) {
+      const letter = String.fromCharCode(64 + byteCount);
+      return {
+        convert: null,
+        error: `${letter} is out of range: this signal has ${signalBytes} byte${signalBytes === 1 ? '' : 's'}`,
+      };
+    }
+    return {
+      convert: (raw, bytes) => {
+        if (raw === null || raw === undefined || bytes.some(b => b === undefined)) return null;
+        const value = evaluate({ raw, bytes });
+        return Number.isFinite(value) ? value : null;
+      },
+      error: null,
+    };
+  } catch (err) {
+    if (err instanceof FormulaError) return { convert: null, error: err.message };
+    throw err;
+  }
+};
@@ -0,0 +1,40 @@
+import { compileFormula, createConverter, FormulaError } from './formula';
+
+const evaluate = (text, raw = 0, bytes = []) => compileFormula(text).evaluate({ raw, bytes });
+
+test('follows operator precedence', () => {
+  expect(evaluate('2 + 3 * 4')).toBe(14);
+  expect(evaluate('(2 + 3) * 4')).toBe(20);
+  expect(evaluate('-x + 1', 5)).toBe(-4);
+  expect(evaluate('x >> 4 & 0x0F', 0xAB)).toBe(0x0A);
+  expect(evaluate('max(x, 10) + abs(-2)', 3)).toBe(12);
+});
+
+test('reads signal bytes as A, B, ...', () => {
+  const { evaluate: fn, byteCount } = compileFormula('(A * 256 + B) / 4');
+  expect(byteCount).toBe(2);
+  expect(fn({ raw: 0, bytes: [0x1A, 0xF8] })).toBe(1726);
+});
+
+test('reports where a formula fails to parse', () => {
+  expect(() => compileFormula('A + * 2')).toThrow(FormulaError);
+  expect(() => compileFormula('A + * 2')).toThrow('at character 5');
+  expect(() => compileFormula('foo(1)')).toThrow("Unknown function 'foo'");
+  expect(() => compileFormula('(A + 1')).toThrow("Expected ')'");
+});
+
+test('converts linear encodings and formulas', () => {
+  const linear = createConverter({ mode: 'linear', mul: 1, div: 4, add: -40 }, 1);
+  expect(linear.convert(200, [200])).toBe(10);
+  expect(linear.convert(null, [])).toBeNull();
+
+  const formula = createConverter({ mode: 'formula', formula: '100 / A' }, 1);
+  expect(formula.convert(4, [4])).toBe(25);
+  expect(formula.convert(0, [0])).toBeNull();
+});
+
+test('rejects formulas that refer to bytes outside the signal', () => {
+  const { convert, error } = createConverter({ mode: 'formula', formula: 'A * 256 + B' }, 1);
+  expect(convert).toBeNull();
+  expect(error).toMatch(/B is out of range/);
+});
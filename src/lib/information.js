@@ -0,0 +1,190 @@
+// Information-theoretic measures between signals, for relationships that
+// Pearson correlation misses: bytes split into MSB and LSB, lookup-table
+// encodings, flags that gate another value. Signals are discretized into
+// codes first; a byte or bit keeps its own values, wide or fractional
+// signals are cut into equal-width bins.
+
+// Most levels a signal is discretized into. Fewer are used for short
+// captures, where many sparsely filled levels make unrelated signals look
+// informative about each other.
+export const MAX_LEVELS = 256;
+const MIN_LEVELS = 2;
+const SAMPLES_PER_LEVEL = 5;
+
+/**
+ * Levels to discretize signals into for a capture of a given length.
+ *
+ * @param {number} samples
+ * @returns {number}
+ */
+export const levelsFor = (samples) => Math.min(
+  MAX_LEVELS,
+  Math.max(MIN_LEVELS, Math.round(Math.sqrt(samples / SAMPLES_PER_LEVEL)))
+);
+
+/**
+ * Codes 0..levels-1 for a signal's values: one per distinct value when
+ * there are few enough, else equal-width bins over the range.
+ *
+ * @param {ArrayLike<number>} values - NaN where a sample has no value
+ * @param {number} maxLevels
+ * @returns {{codes: Int32Array, levels: number}} codes are -1 where missing
+ */
+export const discretize = (values, maxLevels) => {
+  const codes = new Int32Array(values.length).fill(-1);
+  const distinct = new Map();
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (Number.isNaN(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+    if (distinct.size <= maxLevels && !distinct.has(v)) distinct.set(v, distinct.size);
+  }
+
+  if (distinct.size <= maxLevels) {
+    // Codes in value order, so they read the same as the values
+    const sorted = Array.from(distinct.keys()).sort((a, b) => a - b);
+    const code = new Map(sorted.map((v, i) => [v, i]));
+    for (let i = 0; i < values.length; i++) {
+      if (!Number.isNaN(values[i])) codes[i] = code.get(values[i]);
+    }
+    return { codes, levels: sorted.length };
+  }
+
+  const width = (max - min) / maxLevels;
+  for (let i = 0; i < values.length; i++) {
+    if (!Number.isNaN(values[i])) codes[i] = Math.min(maxLevels - 1, Math.floor((values[i] - min) / width));
+  }
+  return { codes, levels: maxLevels };
+};
+
+const entropyOf = (counts, total) => {
+  let entropy = 0;
+  for (let i = 0; i < counts.length; i++) {
+    if (counts[i]) {
+      const p = counts[i] / total;
+      entropy -= p * Math.log2(p);
+    }
+  }
+  return entropy;
+};
+
+/**
+ * Entropy of a discretized signal, in bits.
+ *
+ * @param {{codes: Int32Array, levels: number}} signal
+ * @returns {number}
+ */
+export const discreteEntropy = ({ codes, levels }) => {
+  const counts = new Uint32Array(levels);
+  let total = 0;
+  codes.forEach(code => {
+    if (code === -1) return;
+    counts[code]++;
+    total++;
+  });
+  return total ? entropyOf(counts, total) : 0;
+};
+
+/**
+ * Entropies and mutual information of two discretized signals, over the
+ * samples where both have a value.
+ *
+ * @param {{codes: Int32Array, levels: number}} a
+ * @param {{codes: Int32Array, levels: number}} b
+ * @returns {{entropyA: number, entropyB: number, jointEntropy: number, mutualInformation: number,
+ *   normalized: number, conditionalA: number, conditionalB: number}} In bits. normalized is the
+ *   mutual information over the smaller entropy: 1 when the signal with less entropy is a
+ *   function of the other, 0 when they are independent. conditionalA is H(A|B), what is left
+ *   unknown about A once B is known; conditionalB is H(B|A).
+ */
+export const informationMeasures = (a, b) => {
+  const joint = new Uint32Array(a.levels * b.levels);
+  const countsA = new Uint32Array(a.levels);
+  const countsB = new Uint32Array(b.levels);
+  let total = 0;
+  const length = Math.min(a.codes.length, b.codes.length);
+  for (let i = 0; i < length; i++) {
+    const x = a.codes[i];
+    const y = b.codes[i];
+    if (x === -1 || y === -1) continue;
+    joint[x * b.levels + y]++;
+    countsA[x]++;
+    countsB[y]++;
+    total++;
+  }
+  if (!total) {
+    return { entropyA: 0, entropyB: 0, jointEntropy: 0, mutualInformation: 0, normalized: 0, conditionalA: 0, conditionalB: 0 };
+  }
+
+  const entropyA = entropyOf(countsA, total);
+  const entropyB = entropyOf(countsB, total);
+  const jointEntropy = entropyOf(joint, total);
+  // Rounding can leave a hair below zero for independent signals
+  const mutualInformation = Math.max(0, entropyA + entropyB - jointEntropy);
+  const smaller = Math.min(entropyA, entropyB);
+  return {
+    entropyA,
+    entropyB,
+    jointEntropy,
+    mutualInformation,
+    normalized: smaller > 0 ? Math.min(1, mutualInformation / smaller) : 0,
+    conditionalA: Math.max(0, jointEntropy - entropyB),
+    conditionalB: Math.max(0, jointEntropy - entropyA),
+  };
+};
+
+/**
+ * Rank of each value among the present ones, ties sharing their average
+ * rank, for Spearman correlation.
+ *
+ * @param {ArrayLike<number>} values - NaN where missing
+ * @returns {Float64Array} NaN where missing
+ */
+export const rankValues = (values) => {
+  const ranks = new Float64Array(values.length).fill(NaN);
+  const order = [];
+  for (let i = 0; i < values.length; i++) {
+    if (!Number.isNaN(values[i])) order.push(i);
+  }
+  order.sort((i, j) => values[i] - values[j]);
+  for (let start = 0; start < order.length;) {
+    let end = start + 1;
+    while (end < order.length && values[order[end]] === values[order[start]]) end++;
+    const rank = (start + end + 1) / 2;
+    for (let k = start; k < end; k++) ranks[order[k]] = rank;
+    start = end;
+  }
+  return ranks;
+};
+
+/**
+ * Signals ranked by how much they tell about a target.
+ *
+ * @param {Object} dependencies - As computeDependencies returns
+ * @param {string} targetKey
+ * @returns {Array<{key: string, label: string, mutualInformation: number, explained: number,
+ *   pearson: number, spearman: number}>} explained is the share of the target's entropy the
+ *   signal accounts for; empty when the target isn't among the signals
+ */
+export const rankInformative = ({ signals, pairs }, targetKey) => {
+  const target = signals.findIndex(s => s.key === targetKey);
+  if (target === -1) return [];
+  return pairs
+    .filter(pair => pair.a === target || pair.b === target)
+    .map(pair => {
+      const other = signals[pair.a === target ? pair.b : pair.a];
+      const entropy = signals[target].entropy;
+      return {
+        key: other.key,
+        label: other.label,
+        mutualInformation: pair.mutualInformation,
+        explained: entropy > 0 ? Math.min(1, pair.mutualInformation / entropy) : 0,
+        pearson: pair.pearson,
+        spearman: pair.spearman,
+      };
+    })
+    .sort((p, q) => q.mutualInformation - p.mutualInformation);
+};
@@ -0,0 +1,64 @@
+import {
+  levelsFor,
+  discretize,
+  discreteEntropy,
+  informationMeasures,
+  rankValues,
+  rankInformative,
+} from './information';
+import { computeDependencies } from './analysis';
+
+test('keeps few distinct values and bins the rest', () => {
+  expect(Array.from(discretize([5, NaN, 2, 5], 4).codes)).toEqual([1, -1, 0, 1]);
+  const binned = discretize([0, 1, 2, 3, 4, 5, 6, 7, 8, 9], 2);
+  expect(binned.levels).toBe(2);
+  expect(Array.from(binned.codes)).toEqual([0, 0, 0, 0, 0, 1, 1, 1, 1, 1]);
+  expect(levelsFor(20)).toBe(2);
+  expect(levelsFor(1e7)).toBe(256);
+});
+
+test('measures information shared by dependent and independent signals', () => {
+  const x = discretize([0, 1, 2, 3, 0, 1, 2, 3], 8);
+  const parity = discretize([0, 1, 0, 1, 0, 1, 0, 1], 8);
+  const independent = discretize([0, 0, 0, 0, 1, 1, 1, 1], 8);
+  expect(discreteEntropy(x)).toBe(2);
+
+  const dependent = informationMeasures(x, parity);
+  expect(dependent.mutualInformation).toBeCloseTo(1);
+  expect(dependent.normalized).toBeCloseTo(1);
+  expect(dependent.conditionalA).toBeCloseTo(1);
+  expect(dependent.conditionalB).toBeCloseTo(0);
+
+  const none = informationMeasures(parity, independent);
+  expect(none.mutualInformation).toBeCloseTo(0);
+  expect(none.jointEntropy).toBeCloseTo(2);
+});
+
+test('ranks with ties averaged', () => {
+  expect(Array.from(rankValues([10, 30, 20, 30, NaN]))).toEqual([1, 3.5, 2, 3.5, NaN]);
+});
+
+test('finds a nonlinear dependency Pearson misses and ranks signals by it', () => {
+  // Byte 1 is byte 0 squared around its middle: no linear correlation, but
+  // fully determined by byte 0
+  const a = Array.from({ length: 400 }, (_, i) => i % 9);
+  const columns = [
+    Int16Array.from(a),
+    Int16Array.from(a, v => (v - 4) * (v - 4)),
+    Int16Array.from(a, (_, i) => (i * 7919) % 13),
+  ];
+  const result = computeDependencies(columns, [], {
+    bits: [{ key: 'bit0', label: 'Byte 0 bit 7', byte: 0, shift: 0 }],
+  });
+  expect(result.signals.map(s => s.key)).toEqual(['byte0', 'byte1', 'byte2', 'bit0']);
+
+  const squared = result.pairs.find(p => p.a === 0 && p.b === 1);
+  expect(Math.abs(squared.pearson)).toBeLessThan(0.05);
+  expect(squared.normalized).toBeCloseTo(1);
+  expect(squared.spearman).toBeCloseTo(squared.pearson, 1);
+
+  const ranked = rankInformative(result, 'byte1');
+  expect(ranked[0].key).toBe('byte0');
+  expect(ranked[0].explained).toBeCloseTo(1);
+  expect(rankInformative(result, 'missing')).toEqual([]);
+});
@@ -0,0 +1,62 @@
+// Sample ranges that scope the statistics: the zoomed part of the chart,
+// minus ranges excluded from analysis such as key-off periods.
+
+/**
+ * Whether a sample falls in one of the ranges.
+ *
+ * @param {number} index - Sample number
+ * @param {Array<{start: number, end: number}>} ranges - Inclusive sample numbers
+ * @returns {boolean}
+ */
+export const inRanges = (index, ranges) => ranges.some(range => index >= range.start && index <= range.end);
+
+/**
+ * Samples the statistics should cover.
+ *
+ * @param {Object[]} rows - Data rows with `index` and the x key
+ * @param {string} xKey - 'index' or 'time'
+ * @param {?{start: number, end: number}} zoom - Visible x range, null for all
+ * @param {Array<{start: number, end: number}>} excluded - Sample ranges left out
+ * @returns {?number[]} Positions in rows, in order, or null when every
+ *   sample counts
+ */
+export const scopeIndices = (rows, xKey, zoom, excluded) => {
+  if (!zoom && !excluded.length) return null;
+  const indices = [];
+  rows.forEach((row, i) => {
+    if (zoom && !(row[xKey] >= zoom.start && row[xKey] <= zoom.end)) return;
+    if (excluded.length && inRanges(row.index, excluded)) return;
+    indices.push(i);
+  });
+  return indices;
+};
+
+/**
+ * Byte columns cut down to the given samples.
+ *
+ * @param {Int16Array[]} columns
+ * @param {number[]} indices
+ * @returns {Int16Array[]}
+ */
+export const selectSamples = (columns, indices) => columns.map(column => Int16Array.from(indices, i => column[i]));
+
+/**
+ * Add a range, merging it with any it overlaps or touches.
+ *
+ * @param {Array<{start: number, end: number}>} ranges - Sorted, disjoint
+ * @param {{start: number, end: number}} range
+ * @returns {Array<{start: number, end: number}>} Sorted, disjoint
+ */
+export const addRange = (ranges, range) => {
+  const merged = [];
+  let next = { start: Math.min(range.start, range.end), end: Math.max(range.start, range.end) };
+  ranges.forEach(existing => {
+    if (existing.end + 1 < next.start || existing.start > next.end + 1) {
+      merged.push(existing);
+    } else {
+      next = { start: Math.min(existing.start, next.start), end: Math.max(existing.end, next.end) };
+    }
+  });
+  merged.push(next);
+  return merged.sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,28 @@
+import { inRanges, scopeIndices, selectSamples, addRange } from './ranges';
+
+const rows = [0, 1, 2, 3, 4, 5].map(index => ({ index, time: 10 + index / 2 }));
+
+test('covers every sample without zoom or exclusions', () => {
+  expect(scopeIndices(rows, 'index', null, [])).toBeNull();
+});
+
+test('keeps zoomed samples outside excluded ranges', () => {
+  expect(scopeIndices(rows, 'index', { start: 1, end: 4 }, [])).toEqual([1, 2, 3, 4]);
+  expect(scopeIndices(rows, 'time', { start: 10.5, end: 12 }, [{ start: 2, end: 2 }])).toEqual([1, 3, 4]);
+  expect(scopeIndices(rows, 'index', null, [{ start: 0, end: 1 }, { start: 5, end: 9 }])).toEqual([2, 3, 4]);
+  expect(inRanges(7, [{ start: 5, end: 9 }])).toBe(true);
+});
+
+test('cuts columns down to the scoped samples', () => {
+  const columns = [Int16Array.from([5, 6, 7, -1]), Int16Array.from([1, 2, 3, 4])];
+  expect(selectSamples(columns, [1, 3]).map(c => Array.from(c))).toEqual([[6, -1], [2, 4]]);
+});
+
+test('merges overlapping and adjacent ranges', () => {
+  let ranges = addRange([], { start: 10, end: 5 });
+  expect(ranges).toEqual([{ start: 5, end: 10 }]);
+  ranges = addRange(ranges, { start: 20, end: 30 });
+  ranges = addRange(ranges, { start: 0, end: 2 });
+  expect(ranges).toEqual([{ start: 0, end: 2 }, { start: 5, end: 10 }, { start: 20, end: 30 }]);
+  expect(addRange(ranges, { start: 3, end: 19 })).toEqual([{ start: 0, end: 30 }]);
+});
@@ -0,0 +1,69 @@
+// Reference series (GPS speed, a standard PID, another log) used to identify
+// what an unknown byte encodes.
+
+import _ from 'lodash';
+import { parseTimestamp } from './timestamps';
+
+/**
+ * Parse a reference CSV. Two or more columns are read as time,value; a
+ * single column as one value per sample. A non-numeric first row is taken
+ * as the header and names the series.
+ *
+ * @param {string} text
+ * @returns {{ name: string, points: Array<{time: ?number, value: number}> }}
+ */
+export const parseReferenceCsv = (text) => {
+  const rows = text
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => line.split(/[,;\t]/).map(cell => cell.trim()));
+  if (!rows.length) return { name: 'Reference', points: [] };
+
+  let name = 'Reference';
+  if (Number.isNaN(parseFloat(_.last(rows[0])))) {
+    const header = rows.shift();
+    name = header[Math.min(1, header.length - 1)] || name;
+  }
+
+  const points = rows
+    .map(cells => cells.length >= 2
+      ? { time: parseTimestamp(cells[0]), value: parseFloat(cells[1]) }
+      : { time: null, value: parseFloat(cells[0]) })
+    .filter(point => Number.isFinite(point.value));
+
+  return { name, points };
+};
+
+/**
+ * Line a reference series up with the capture rows.
+ *
+ * @param {Object[]} rows - Capture rows with `index` and optional `time`
+ * @param {Object[]} points - Reference points
+ * @param {'index'|'time'} mode - Match by sample number, or interpolate at
+ *   each row's timestamp
+ * @param {number} [offset=0] - Seconds to add to reference timestamps
+ * @returns {Array<?number>} One value per row, null where the reference has no data
+ */
+export const alignReference = (rows, points, mode, offset = 0) => {
+  if (mode === 'index') {
+    return rows.map(row => (points[row.index] ? points[row.index].value : null));
+  }
+
+  const timed = _.sortBy(
+    points.filter(p => p.time !== null).map(p => ({ time: p.time + offset, value: p.value })),
+    'time'
+  );
+  if (!timed.length) return rows.map(() => null);
+
+  return rows.map(row => {
+    if (row.time === undefined || row.time === null) return null;
+    const idx = _.sortedIndexBy(timed, { time: row.time }, 'time');
+    if (idx < timed.length && timed[idx].time === row.time) return timed[idx].value;
+    if (idx === 0 || idx === timed.length) return null;
+
+    const before = timed[idx - 1];
+    const after = timed[idx];
+    const ratio = (row.time - before.time) / (after.time - before.time);
+    return before.value + (after.value - before.value) * ratio;
+  });
+};
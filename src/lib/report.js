@@ -0,0 +1,320 @@
+// Reports over whole captures for scripts and the command line
+// (bin/pidhunter-report.mjs): the byte statistics, entropy, classes and
+// correlations the explorer shows, plus fits against a reference series, as
+// plain data and as Markdown.
+
+import {
+  parseCapture,
+  toColumns,
+  sampleRow,
+  streamFrames,
+  framesToSamples,
+  computeByteStats,
+  computeEntropy,
+  computeCorrelationMatrix,
+} from './analysis';
+import { classifyBytes, describeClass, isCounterOrChecksum } from './classify';
+import { alignReference } from './reference';
+import { fitScaleOffset } from './fit';
+import { combineBytes } from './bitfield';
+import { formatNumber } from './stats';
+
+// Correlations at least this strong, with or without lag, are reported
+const CORRELATION_THRESHOLD = 0.8;
+
+// Reference fits reported per capture, best first
+const MAX_FITS = 10;
+
+// Parse problems listed in Markdown reports; JSON reports have them all
+const MAX_DIAGNOSTICS = 50;
+
+const NIBBLE_NAMES = ['high', 'low'];
+
+/**
+ * @typedef {Object} Analysis
+ * @property {number} samples
+ * @property {number} bytesPerSample
+ * @property {?number} duration - Seconds between first and last sample, null without timestamps
+ * @property {Array<{byte: number, min: number, max: number, mean: number, stdDev: number, count: number,
+ *   entropy: number, class: string, nibbles: string[]}>} bytes
+ * @property {Array<{position: string, value: number}>} constants
+ * @property {Array<{position: string, modulus: number, step: number}>} counters
+ * @property {Array<{position: string, algorithm: string}>} checksums
+ * @property {Array<{a: string, b: string, correlation: number, lag: number, lagCorrelation: number}>} correlations
+ * @property {?{name: string, fits: Array<{signal: string, mul: number, div: number, add: number, r2: number, n: number}>}} reference
+ */
+
+// Byte or nibble a class belongs to, e.g. "Byte 3" or "Byte 3 low nibble"
+const positionName = (byteNum, half) => (half === undefined
+  ? `Byte ${byteNum}`
+  : `Byte ${byteNum} ${NIBBLE_NAMES[half]} nibble`);
+
+// Every byte and nibble class, labeled, nibbles only where the whole byte
+// isn't already the same kind of position
+const classifiedPositions = (classes) => classes.flatMap((c, byteNum) => [
+  { position: positionName(byteNum), positionClass: c.byte },
+  ...c.nibbles
+    .map((nibble, half) => ({ position: positionName(byteNum, half), positionClass: nibble }))
+    .filter(({ positionClass }) => positionClass.type !== c.byte.type),
+]);
+
+// Candidate encodings fitted against the reference: every varying byte,
+// every pair of adjacent bytes as a 16-bit value in both byte orders, and
+// the groups
+const referenceCandidates = (rows, numBytes, classes, groups) => {
+  const varying = (byteNum) => classes[byteNum] && classes[byteNum].byte.type !== 'constant';
+  const candidates = [];
+  for (let byteNum = 0; byteNum < numBytes; byteNum++) {
+    if (!varying(byteNum)) continue;
+    candidates.push({ signal: positionName(byteNum), values: rows.map(row => row[`byte${byteNum}`] ?? null) });
+    if (byteNum + 1 < numBytes) {
+      ['big', 'little'].forEach(byteOrder => candidates.push({
+        signal: `Bytes ${byteNum}-${byteNum + 1} (${byteOrder} endian)`,
+        values: rows.map(row => combineBytes([row[`byte${byteNum}`], row[`byte${byteNum + 1}`]], { byteOrder })),
+      }));
+    }
+  }
+  groups.forEach(group => candidates.push({
+    signal: group.name || `Group ${group.id}`,
+    values: rows.map(row => row[`group${group.id}`]),
+  }));
+  return candidates;
+};
+
+/**
+ * Analyze parsed samples the way the explorer does.
+ *
+ * @param {Array<{bytes: number[], time: ?number}>} samples
+ * @param {Object} [options]
+ * @param {Object[]} [options.groups] - Byte groups, as in a workspace
+ * @param {?{name: string, points: Object[]}} [options.reference] - From parseReferenceCsv
+ * @param {'index'|'time'} [options.alignment='index'] - How the reference lines up
+ * @param {number} [options.offset=0] - Seconds added to reference timestamps
+ * @param {number} [options.maxLag=0] - Largest correlation lag tried, in samples
+ * @param {number} [options.correlationThreshold]
+ * @returns {Analysis}
+ */
+export const analyzeSamples = (samples, {
+  groups = [],
+  reference = null,
+  alignment = 'index',
+  offset = 0,
+  maxLag = 0,
+  correlationThreshold = CORRELATION_THRESHOLD,
+} = {}) => {
+  const rows = samples.map((sample, index) => sampleRow(sample, index, groups));
+  const numBytes = samples.reduce((max, sample) => Math.max(max, sample.bytes.length), 0);
+  const columns = toColumns(rows, numBytes);
+
+  const times = rows.map(row => row.time).filter(time => time !== undefined);
+  const duration = times.length > 1 ? times[times.length - 1] - times[0] : null;
+
+  const byteStats = computeByteStats(columns);
+  const positions = columns.map((_, byteNum) => ({ key: `byte${byteNum}`, label: positionName(byteNum), byte: byteNum }));
+  const entropy = computeEntropy(columns, positions);
+  const classes = classifyBytes(columns);
+
+  const bytes = columns.flatMap((_, byteNum) => (byteStats[`byte${byteNum}`] ? [{
+    byte: byteNum,
+    ...byteStats[`byte${byteNum}`],
+    entropy: entropy.byteEntropies[byteNum].entropy,
+    class: describeClass(classes[byteNum].byte),
+    nibbles: classes[byteNum].nibbles.map(describeClass),
+  }] : []));
+
+  const classified = classifiedPositions(classes);
+  const ofType = (type) => classified.filter(({ positionClass }) => positionClass.type === type);
+
+  // Counters, checksums and constants only correlate by accident
+  const excludeBytes = classes
+    .map((c, byteNum) => ([c.byte, ...c.nibbles].some(isCounterOrChecksum) || c.byte.type === 'constant' ? byteNum : -1))
+    .filter(byteNum => byteNum !== -1);
+  const extra = groups.map(group => ({
+    key: `group${group.id}`,
+    label: group.name || `Group ${group.id}`,
+    values: Float64Array.from(rows, row => row[`group${group.id}`] ?? NaN),
+  }));
+  const { signals, pairs } = computeCorrelationMatrix(columns, extra, { maxLag, excludeBytes });
+  const correlations = pairs
+    .filter(pair => Math.max(Math.abs(pair.correlation), Math.abs(pair.lagCorrelation)) >= correlationThreshold)
+    .sort((p, q) => Math.abs(q.lagCorrelation) - Math.abs(p.lagCorrelation))
+    .map(({ a, b, correlation, lag, lagCorrelation }) => ({
+      a: signals[a].label,
+      b: signals[b].label,
+      correlation,
+      lag,
+      lagCorrelation,
+    }));
+
+  let fits = null;
+  if (reference) {
+    const referenceValues = alignReference(rows, reference.points, alignment, offset);
+    fits = {
+      name: reference.name,
+      fits: referenceCandidates(rows, numBytes, classes, groups)
+        .map(({ signal, values }) => {
+          const fit = fitScaleOffset(values, referenceValues);
+          return fit && { signal, mul: fit.mul, div: fit.div, add: fit.add, r2: fit.r2, n: fit.n };
+        })
+        .filter(Boolean)
+        .sort((p, q) => q.r2 - p.r2)
+        .slice(0, MAX_FITS),
+    };
+  }
+
+  return {
+    samples: rows.length,
+    bytesPerSample: numBytes,
+    duration,
+    bytes,
+    constants: ofType('constant').map(({ position, positionClass }) => ({ position, value: positionClass.value })),
+    counters: ofType('counter').map(({ position, positionClass }) => ({
+      position,
+      modulus: positionClass.modulus,
+      step: positionClass.step,
+    })),
+    checksums: ofType('checksum').map(({ position, positionClass }) => ({
+      position,
+      algorithm: positionClass.algorithm,
+    })),
+    correlations,
+    reference: fits,
+  };
+};
+
+/**
+ * Parse a capture and analyze it. CAN logs get one analysis per
+ * arbitration ID and adapter output one per responding ECU, other
+ * captures a single one.
+ *
+ * @param {string} input - Capture text
+ * @param {Object} options - Parse options (see parseSamples) and analysis
+ *   options (see analyzeSamples)
+ * @returns {{markers: Array<{text: string, line: number}>,
+ *   diagnostics: Array<{line: number, reason: string, skipped: boolean}>,
+ *   streams: Array<{id: ?string, request: ?{header: string, command: string}} & Analysis>}
+ *   | {error: string}}
+ */
+export const createReport = (input, options) => {
+  const parsed = parseCapture(input, options);
+  if (parsed.error) return parsed;
+
+  if (parsed.streams) {
+    return {
+      markers: parsed.markers,
+      diagnostics: parsed.diagnostics || [],
+      streams: parsed.streams.map(stream => ({
+        id: stream.id,
+        request: stream.request || null,
+        ...analyzeSamples(framesToSamples(streamFrames(stream)), options),
+      })),
+    };
+  }
+  return {
+    markers: parsed.markers,
+    diagnostics: parsed.diagnostics,
+    streams: [{ id: null, request: parsed.request, ...analyzeSamples(parsed.samples, options) }],
+  };
+};
+
+/**
+ * Markdown table; cells are written as given.
+ *
+ * @param {string[]} headers
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export const markdownTable = (headers, rows) => [
+  `| ${headers.join(' | ')} |`,
+  `| ${headers.map(() => '---').join(' | ')} |`,
+  ...rows.map(cells => `| ${cells.join(' | ')} |`),
+].join('\n');
+
+const formatLag = (lag) => (lag ? `${lag > 0 ? '+' : ''}${lag}` : '0');
+
+const formatStream = (stream) => {
+  const heading = stream.id
+    ? `## ID ${stream.id}`
+    : `## ${stream.request && stream.request.command ? `${stream.request.header} ${stream.request.command}`.trim() : 'Capture'}`;
+  const sections = [
+    heading,
+    `${stream.samples} samples of ${stream.bytesPerSample} bytes`
+      + (stream.duration !== null ? ` over ${formatNumber(stream.duration)} s` : ''),
+    '### Bytes',
+    markdownTable(
+      ['Byte', 'Samples', 'Min', 'Max', 'Mean', 'Std dev', 'Entropy', 'Class', 'Nibbles'],
+      stream.bytes.map(b => [
+        b.byte,
+        b.count,
+        b.min,
+        b.max,
+        formatNumber(b.mean),
+        formatNumber(b.stdDev),
+        b.entropy.toFixed(2),
+        b.class,
+        b.nibbles.join(', '),
+      ])
+    ),
+  ];
+
+  if (stream.constants.length) {
+    sections.push('### Constants', stream.constants
+      .map(c => `- ${c.position}: 0x${c.value.toString(16).toUpperCase().padStart(2, '0')}`)
+      .join('\n'));
+  }
+  if (stream.counters.length || stream.checksums.length) {
+    sections.push('### Counters and checksums', [
+      ...stream.counters.map(c => `- ${c.position}: counter /${c.modulus}${c.step !== 1 ? ` +${c.step}` : ''}`),
+      ...stream.checksums.map(c => `- ${c.position}: checksum (${c.algorithm})`),
+    ].join('\n'));
+  }
+  sections.push('### Correlations', stream.correlations.length
+    ? markdownTable(
+      ['Signal', 'Signal', 'r', 'Best lag', 'r at lag'],
+      stream.correlations.map(c => [c.a, c.b, c.correlation.toFixed(3), formatLag(c.lag), c.lagCorrelation.toFixed(3)])
+    )
+    : '_No strongly correlated signals_');
+  if (stream.reference) {
+    sections.push(`### Fits against ${stream.reference.name}`, stream.reference.fits.length
+      ? markdownTable(
+        ['Signal', 'Formula', 'R²', 'Samples'],
+        stream.reference.fits.map(f => [
+          f.signal,
+          `x × ${f.mul} / ${f.div} ${f.add < 0 ? '−' : '+'} ${formatNumber(Math.abs(f.add))}`,
+          f.r2.toFixed(4),
+          f.n,
+        ])
+      )
+      : '_No samples line up with the reference_');
+  }
+  return sections.join('\n\n');
+};
+
+/**
+ * Render a report as Markdown.
+ *
+ * @param {Object} report - From createReport
+ * @param {string} [title='PID report']
+ * @returns {string}
+ */
+export const formatReportMarkdown = (report, title = 'PID report') => {
+  const sections = [`# ${title}`];
+  if (report.error) {
+    sections.push(`Could not analyze the capture: ${report.error}`);
+  } else {
+    if (report.markers.length) {
+      sections.push(report.markers.map(m => `- Line ${m.line}: ${m.text}`).join('\n'));
+    }
+    if (report.diagnostics.length) {
+      const skipped = report.diagnostics.filter(d => d.skipped).length;
+      sections.push(`## Problems\n\n${report.diagnostics.length} lines with problems, ${skipped} skipped`, [
+        ...report.diagnostics
+          .slice(0, MAX_DIAGNOSTICS)
+          .map(d => `- Line ${d.line}: ${d.reason}${d.skipped ? ' (skipped)' : ''}`),
+        ...(report.diagnostics.length > MAX_DIAGNOSTICS ? [`- …and ${report.diagnostics.length - MAX_DIAGNOSTICS} more`] : []),
+      ].join('\n'));
+    }
+    sections.push(...report.streams.map(formatStream));
+  }
+  return `${sections.join('\n\n')}\n`;
+};
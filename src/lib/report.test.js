@@ -0,0 +1,63 @@
+import { analyzeSamples, createReport, formatReportMarkdown } from './report';
+
+const HEX = { inputFormat: 'hex', timestampSource: 'none', timestampColumn: 0 };
+
+// Byte 0 constant, byte 1 a counter, bytes 2-3 a 16-bit ramp, byte 4 tracking byte 2
+const captureLines = (n) => Array.from({ length: n }, (_, i) => {
+  const value = 1000 + i * 37;
+  return [0x41, i % 16, value >> 8, value & 0xFF, (value >> 8) * 2 + 1]
+    .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
+    .join('');
+});
+
+test('reports statistics, constants, counters and correlations', () => {
+  const report = createReport(captureLines(40).join('\n'), HEX);
+  expect(report.streams).toHaveLength(1);
+  const [stream] = report.streams;
+  expect(stream.samples).toBe(40);
+  expect(stream.bytesPerSample).toBe(5);
+  expect(stream.duration).toBeNull();
+  expect(stream.bytes[0]).toMatchObject({ byte: 0, min: 0x41, max: 0x41, entropy: 0, class: 'constant' });
+  expect(stream.constants).toContainEqual({ position: 'Byte 0', value: 0x41 });
+  expect(stream.counters).toContainEqual({ position: 'Byte 1', modulus: 16, step: 1 });
+  expect(stream.correlations.some(c => c.a === 'Byte 2' && c.b === 'Byte 4')).toBe(true);
+  expect(stream.reference).toBeNull();
+});
+
+test('fits bytes and byte pairs against a reference', () => {
+  const samples = captureLines(40).map(line => ({
+    bytes: line.match(/../g).map(h => parseInt(h, 16)),
+    time: null,
+  }));
+  const points = samples.map(s => ({ time: null, value: ((s.bytes[2] << 8) | s.bytes[3]) / 4 - 40 }));
+  const { reference } = analyzeSamples(samples, { reference: { name: 'Speed', points } });
+  expect(reference.name).toBe('Speed');
+  expect(reference.fits[0]).toMatchObject({ signal: 'Bytes 2-3 (big endian)', mul: 1, div: 4, add: -40 });
+  expect(reference.fits[0].r2).toBeCloseTo(1);
+});
+
+test('reports each CAN stream separately', () => {
+  const log = [
+    '(1.00) can0 123#0102',
+    '(1.01) can0 456#AA',
+    '(1.10) can0 123#0103',
+    '(1.11) can0 456#AA',
+  ].join('\n');
+  const report = createReport(log, { ...HEX, inputFormat: 'candump' });
+  expect(report.streams.map(s => s.id)).toEqual(['123', '456']);
+  expect(report.streams[0].duration).toBeCloseTo(0.1);
+  expect(report.streams[1].constants).toContainEqual({ position: 'Byte 0', value: 0xAA });
+});
+
+test('renders reports and errors as Markdown', () => {
+  const markdown = formatReportMarkdown(createReport(`# ignition on\n${captureLines(20).join('\n')}`, HEX), 'trip.txt');
+  expect(markdown).toMatch(/^# trip\.txt/);
+  expect(markdown).toContain('- Line 1: ignition on');
+  expect(markdown).toContain('| Byte | Samples | Min | Max |');
+  expect(markdown).toContain('- Byte 1: counter /16');
+  expect(formatReportMarkdown(createReport('zz', HEX))).toContain('Could not analyze the capture');
+
+  const truncated = createReport(`${captureLines(20).join('\n')}\n41`, HEX);
+  expect(truncated.diagnostics).toEqual([{ line: 21, reason: '1 byte instead of the usual 5', skipped: false }]);
+  expect(formatReportMarkdown(truncated)).toContain('- Line 21: 1 byte instead of the usual 5');
+});
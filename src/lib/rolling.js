@@ -0,0 +1,120 @@
+// Statistics over the last N samples of a live stream. Per-byte value counts
+// are kept up to date as samples arrive and leave the window, so byte
+// statistics and entropy never rescan it.
+
+import { calculateEntropy } from './analysis';
+
+const entropyOfCounts = (counts, total) => {
+  let entropy = 0;
+  counts.forEach(count => {
+    if (!count) return;
+    const p = count / total;
+    entropy -= p * Math.log2(p);
+  });
+  return entropy;
+};
+
+/**
+ * @param {number} size - Samples kept; older ones are evicted
+ * @returns {{
+ *   push: function(Array<{bytes: number[], time: ?number}>),
+ *   samples: function(): Array<{bytes: number[], time: ?number, seq: number}>,
+ *   numBytes: function(): number,
+ *   byteStats: function(): Object<string, {min: number, max: number, mean: number, stdDev: number, count: number}>,
+ *   entropy: function(Array<{key: string, label: string, byte: number, shift?: number}>): ?Object
+ * }}
+ *   seq numbers samples in arrival order, counting evicted ones
+ */
+export const createRollingWindow = (size) => {
+  const window = [];
+  // Per byte position: how often each value occurs, and running sums
+  const counts = [];
+  const sums = [];
+  const squares = [];
+  let received = 0;
+
+  const track = (bytes, direction) => {
+    bytes.forEach((value, byteNum) => {
+      if (!counts[byteNum]) {
+        counts[byteNum] = new Uint32Array(256);
+        sums[byteNum] = 0;
+        squares[byteNum] = 0;
+      }
+      counts[byteNum][value] += direction;
+      sums[byteNum] += direction * value;
+      squares[byteNum] += direction * value * value;
+    });
+  };
+
+  const countOf = (byteNum) => (counts[byteNum] ? counts[byteNum].reduce((acc, c) => acc + c, 0) : 0);
+
+  return {
+    push(samples) {
+      samples.forEach(sample => {
+        window.push({ bytes: sample.bytes, time: sample.time, seq: received++ });
+        track(sample.bytes, 1);
+      });
+      const overflow = window.length - size;
+      if (overflow > 0) {
+        window.splice(0, overflow).forEach(sample => track(sample.bytes, -1));
+      }
+    },
+
+    samples: () => window.slice(),
+
+    numBytes: () => counts.length,
+
+    // Same shape as computeByteStats
+    byteStats() {
+      const stats = {};
+      counts.forEach((valueCounts, byteNum) => {
+        const count = countOf(byteNum);
+        if (!count) return;
+        const mean = sums[byteNum] / count;
+        const variance = Math.max(0, squares[byteNum] / count - mean * mean);
+        stats[`byte${byteNum}`] = {
+          min: valueCounts.findIndex(c => c > 0),
+          max: 255 - valueCounts.slice().reverse().findIndex(c => c > 0),
+          mean,
+          stdDev: Math.sqrt(variance),
+          count,
+        };
+      });
+      return stats;
+    },
+
+    // Same shape as computeEntropy. Single positions come from the value
+    // counts; the joint entropy of several is worked out over the window.
+    // Signals passed with values must line up with samples().
+    entropy(positions) {
+      if (!positions.length || !window.length) return null;
+
+      const byteEntropies = positions.map(({ key, label, byte, shift, values }) => {
+        if (values) return { key, label, entropy: calculateEntropy(Array.from(values).filter(v => !Number.isNaN(v))) };
+        const valueCounts = counts[byte];
+        if (!valueCounts) return { key, label, entropy: 0 };
+        const total = countOf(byte);
+        if (shift === undefined) return { key, label, entropy: entropyOfCounts(valueCounts, total) };
+        let ones = 0;
+        valueCounts.forEach((c, value) => {
+          if ((value >> shift) & 1) ones += c;
+        });
+        return { key, label, entropy: entropyOfCounts([ones, total - ones], total) };
+      });
+
+      let jointEntropy = null;
+      if (positions.length > 1) {
+        jointEntropy = calculateEntropy(window.map((sample, i) => positions
+          .map(({ byte, shift, values }) => {
+            if (values) return Number.isNaN(values[i]) ? -1 : values[i];
+            const value = sample.bytes[byte];
+            if (value === undefined) return -1;
+            return shift === undefined ? value : (value >> shift) & 1;
+          })
+          .join(',')));
+      }
+
+      return { byteEntropies, jointEntropy };
+    },
+  };
+};
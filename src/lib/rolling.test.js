@@ -0,0 +1,37 @@
+import { createRollingWindow } from './rolling';
+import { computeByteStats, computeEntropy, toColumns } from './analysis';
+
+const rowsOf = (samples) => samples.map(sample => Object.fromEntries(sample.bytes.map((b, i) => [`byte${i}`, b])));
+
+test('keeps only the last samples', () => {
+  const window = createRollingWindow(3);
+  window.push([{ bytes: [1] }, { bytes: [2] }]);
+  window.push([{ bytes: [3] }, { bytes: [4] }]);
+  expect(window.samples().map(s => s.bytes[0])).toEqual([2, 3, 4]);
+  expect(window.samples().map(s => s.seq)).toEqual([1, 2, 3]);
+});
+
+test('matches full statistics and entropy over the window', () => {
+  const all = Array.from({ length: 200 }, (_, i) => ({ bytes: [i % 7, (i * 37) & 0xFF, i < 150 ? 0x81 : 0x01] }));
+  const window = createRollingWindow(100);
+  all.forEach(sample => window.push([sample]));
+
+  const columns = toColumns(rowsOf(all.slice(100)), 3);
+  const expected = computeByteStats(columns);
+  const stats = window.byteStats();
+  Object.keys(expected).forEach(key => {
+    expect(stats[key].min).toBe(expected[key].min);
+    expect(stats[key].max).toBe(expected[key].max);
+    expect(stats[key].mean).toBeCloseTo(expected[key].mean);
+    expect(stats[key].stdDev).toBeCloseTo(expected[key].stdDev);
+  });
+
+  const positions = [
+    { key: 'byte0', label: 'Byte 0', byte: 0 },
+    { key: 'bit16', label: 'Byte 2 bit 7', byte: 2, shift: 7 },
+  ];
+  const info = window.entropy(positions);
+  const full = computeEntropy(columns, positions);
+  info.byteEntropies.forEach((entry, i) => expect(entry.entropy).toBeCloseTo(full.byteEntropies[i].entropy));
+  expect(info.jointEntropy).toBeCloseTo(full.jointEntropy);
+});
@@ -0,0 +1,62 @@
+// Runs the tasks in analysis.js on a Web Worker so long captures don't lock
+// up the page. Where workers are unavailable (e.g. under test) the task runs
+// inline instead, still returning a promise.
+
+import { ANALYSIS_TASKS } from './analysis';
+
+let workerPromise = null;
+let nextId = 0;
+const pending = new Map();
+
+const failAll = (message) => {
+  pending.forEach(task => task.reject(new Error(message)));
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (!workerPromise) {
+    workerPromise = import('./createAnalysisWorker').then(({ default: createAnalysisWorker }) => {
+      const worker = createAnalysisWorker();
+      worker.onmessage = ({ data: { id, progress, result, error } }) => {
+        const task = pending.get(id);
+        if (!task) return;
+        if (progress !== undefined) {
+          if (task.onProgress) task.onProgress(progress);
+          return;
+        }
+        pending.delete(id);
+        if (error !== undefined) task.reject(new Error(error));
+        else task.resolve(result);
+      };
+      // A crashed worker is replaced on the next task
+      worker.onerror = (event) => {
+        failAll(event.message || 'Analysis worker failed');
+        worker.terminate();
+        workerPromise = null;
+      };
+      return worker;
+    });
+  }
+  return workerPromise;
+};
+
+/**
+ * Run an analysis task off the main thread.
+ *
+ * @param {string} type - Key of ANALYSIS_TASKS
+ * @param {Object} payload - Structured-cloneable task input
+ * @param {Object} [options]
+ * @param {function(number)} [options.onProgress] - Share of the task done, 0 to 1
+ * @returns {Promise<*>} The task's result
+ */
+export const runAnalysis = async (type, payload, { onProgress } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return ANALYSIS_TASKS[type](payload, onProgress);
+  }
+  const worker = await getWorker();
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject, onProgress });
+    worker.postMessage({ id, type, payload });
+  });
+};
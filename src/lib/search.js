@@ -0,0 +1,190 @@
+// Brute-force search over every bit field in a payload, ranking candidates by
+// how much they look like a signal.
+
+import { intelBitPosition, toSigned, fieldBytes } from './bitfield';
+
+// Samples used for scoring; longer captures are thinned evenly
+export const SEARCH_SAMPLE_LIMIT = 2000;
+
+export const SEARCH_METRICS = {
+  correlation: 'Correlation with reference',
+  monotonicity: 'Monotonicity',
+  smoothness: 'Smoothness',
+};
+
+// Evenly spaced row indices, at most `limit` of them
+const thin = (indices, limit) => {
+  if (indices.length <= limit) return indices;
+  const step = indices.length / limit;
+  return Array.from({ length: limit }, (_, i) => indices[Math.floor(i * step)]);
+};
+
+// |Pearson r| against a reference whose deviations were precomputed
+const correlationScorer = (refDev, refNorm) => (values) => {
+  const n = values.length;
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += values[i];
+  const mean = sum / n;
+  let cross = 0;
+  let norm = 0;
+  for (let i = 0; i < n; i++) {
+    const dev = values[i] - mean;
+    cross += dev * refDev[i];
+    norm += dev * dev;
+  }
+  return norm === 0 || refNorm === 0 ? 0 : Math.abs(cross / Math.sqrt(norm * refNorm));
+};
+
+// Share of changes that go in the dominant direction
+const monotonicityScore = (values) => {
+  let up = 0;
+  let down = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] > values[i - 1]) up++;
+    else if (values[i] < values[i - 1]) down++;
+  }
+  return up + down === 0 ? 0 : Math.abs(up - down) / (up + down);
+};
+
+// Lag-1 autocorrelation, discounted for fields with few distinct values so
+// rarely-toggling flags don't crowd out continuous signals
+const smoothnessScore = (values) => {
+  const n = values.length;
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += values[i];
+  const mean = sum / n;
+  let variance = 0;
+  let lagged = 0;
+  for (let i = 0; i < n; i++) {
+    const dev = values[i] - mean;
+    variance += dev * dev;
+    if (i > 0) lagged += dev * (values[i - 1] - mean);
+  }
+  if (variance === 0) return 0;
+  const distinct = new Set(values).size;
+  return Math.max(0, lagged / variance) * Math.min(1, distinct / 16);
+};
+
+// Whether a payload has a byte: shorter payloads lack the last ones, and
+// byte columns mark missing bytes with -1
+const hasByte = (bytes, byteNum) => Number.isInteger(bytes[byteNum]) && bytes[byteNum] >= 0;
+
+/**
+ * Score every field of 1..maxLength bits at every start bit, in both byte
+ * orders and signednesses. Each field is scored over the samples that have
+ * all of its bytes.
+ *
+ * @param {number[][]} payloads - One byte array per sample, undefined or -1
+ *   where a byte is missing
+ * @param {Object} options
+ * @param {'correlation'|'monotonicity'|'smoothness'} options.metric
+ * @param {Array<?number>} [options.reference] - Reference values aligned with payloads
+ * @param {number} [options.maxLength=32]
+ * @param {number} [options.limit=50] - Number of results to return
+ * @param {Set<number>} [options.excludeBytes] - Byte positions to skip
+ * @returns {Array<{field: Object, score: number, min: number, max: number}>}
+ *   Best candidates first
+ */
+export const searchFields = (payloads, {
+  metric,
+  reference = null,
+  maxLength = 32,
+  limit = 50,
+  excludeBytes = new Set(),
+}) => {
+  let rows = payloads.map((_, i) => i);
+  if (metric === 'correlation') {
+    if (!reference) return [];
+    rows = rows.filter(i => reference[i] !== null && reference[i] !== undefined);
+  }
+  rows = thin(rows, SEARCH_SAMPLE_LIMIT);
+  if (rows.length < 2) return [];
+
+  const numBits = Math.max(...rows.map(i => payloads[i].length)) * 8;
+  const samples = rows.map(i => payloads[i]);
+  const bits = samples.map(bytes => {
+    const sampleBits = new Uint8Array(numBits);
+    for (let p = 0; p < numBits; p++) {
+      sampleBits[p] = (bytes[p >> 3] >> (7 - (p & 7))) & 1;
+    }
+    return sampleBits;
+  });
+
+  // Scorer over some of the samples, given by index
+  const scorer = (present) => {
+    if (metric !== 'correlation') return metric === 'monotonicity' ? monotonicityScore : smoothnessScore;
+    const refValues = present.map(s => reference[rows[s]]);
+    const refMean = refValues.reduce((a, b) => a + b, 0) / refValues.length;
+    const refDev = refValues.map(v => v - refMean);
+    const refNorm = refDev.reduce((a, d) => a + d * d, 0);
+    return correlationScorer(refDev, refNorm);
+  };
+
+  // Samples having every byte of a range, and the scorer over them, worked
+  // out once per range. present is null when all samples qualify.
+  const coverage = new Map();
+  const coverageOf = (bytes) => {
+    const key = `${bytes[0]}-${bytes[bytes.length - 1]}`;
+    if (!coverage.has(key)) {
+      const present = [];
+      samples.forEach((sample, s) => {
+        if (bytes.every(b => hasByte(sample, b))) present.push(s);
+      });
+      coverage.set(key, { present: present.length === samples.length ? null : present, score: scorer(present) });
+    }
+    return coverage.get(key);
+  };
+
+  const results = [];
+  const consider = (field, allValues) => {
+    const bytes = fieldBytes(field);
+    if (bytes.some(b => excludeBytes.has(b))) return;
+    const { present, score } = coverageOf(bytes);
+    const values = present ? present.map(s => allValues[s]) : allValues;
+    if (values.length < 2) return;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] < min) min = values[i];
+      if (values[i] > max) max = values[i];
+    }
+    if (min === max) return;
+    results.push({ field, score: score(values), min, max });
+  };
+
+  ['big', 'little'].forEach(byteOrder => {
+    for (let startBit = 0; startBit < numBits; startBit++) {
+      // Values are built one bit at a time so each length reuses the last
+      const unsigned = new Float64Array(samples.length);
+      for (let length = 1; length <= maxLength && startBit + length <= numBits; length++) {
+        const position = byteOrder === 'little'
+          ? intelBitPosition(startBit, length - 1)
+          : startBit + length - 1;
+        const weight = Math.pow(2, length - 1);
+        for (let s = 0; s < samples.length; s++) {
+          unsigned[s] = byteOrder === 'little'
+            ? unsigned[s] + bits[s][position] * weight
+            : unsigned[s] * 2 + bits[s][position];
+        }
+
+        // Little-endian fields inside one byte duplicate a big-endian field
+        const spansBytes = byteOrder === 'big' || (startBit & 7) + length > 8;
+        if (!spansBytes) continue;
+
+        const field = { startBit, length, byteOrder, signed: false };
+        consider(field, Array.from(unsigned));
+        if (length >= 2) {
+          consider({ ...field, signed: true }, Array.from(unsigned, v => toSigned(v, length)));
+        }
+      }
+    }
+  });
+
+  // Equal scores favour the narrowest unsigned field: padding a signal with
+  // constant bits doesn't change its score but isn't what the user wants
+  return results
+    .sort((a, b) => (Math.abs(b.score - a.score) > 1e-9
+      ? b.score - a.score
+      : a.field.length - b.field.length || a.field.signed - b.field.signed))
+    .slice(0, limit);
+};
@@ -0,0 +1,43 @@
+import { searchFields } from './search';
+import { runAnalysis } from './runAnalysis';
+
+test('finds a little-endian 12-bit field correlated with the reference', () => {
+  const speeds = Array.from({ length: 200 }, (_, i) => 50 + 40 * Math.sin(i / 15));
+  const payloads = speeds.map((speed, i) => {
+    const raw = Math.round(speed * 40);
+    // 12-bit LE value starting at byte 2's LSB, noise in byte 0
+    return [(i * 37) & 0xFF, 0x55, raw & 0xFF, (raw >> 8) & 0x0F, 0x00];
+  });
+
+  const [best] = searchFields(payloads, { metric: 'correlation', reference: speeds, maxLength: 16 });
+  expect(best.field.byteOrder).toBe('little');
+  expect(best.field.startBit).toBe(16);
+  expect(best.field.length).toBe(12);
+  expect(best.field.signed).toBe(false);
+  expect(best.score).toBeCloseTo(1, 3);
+});
+
+test('scores a field only over the samples that have its bytes', () => {
+  const speeds = Array.from({ length: 200 }, (_, i) => 50 + 40 * Math.sin(i / 15));
+  // Every third sample lacks byte 1, either cut short or marked missing
+  const payloads = speeds.map((speed, i) => {
+    if (i % 3) return [(i * 37) & 0xFF, Math.round(speed)];
+    return i % 2 ? [(i * 37) & 0xFF] : [(i * 37) & 0xFF, -1];
+  });
+
+  const [best] = searchFields(payloads, { metric: 'correlation', reference: speeds, maxLength: 8 });
+  expect(best.field).toEqual({ startBit: 9, length: 7, byteOrder: 'big', signed: false });
+  expect(best.score).toBeCloseTo(1, 3);
+  expect(best.min).toBeGreaterThanOrEqual(10);
+});
+
+test('skips excluded bytes', async () => {
+  const payloads = Array.from({ length: 50 }, (_, i) => [i, 0]);
+  const results = searchFields(payloads, { metric: 'monotonicity', excludeBytes: new Set([0]) });
+  expect(results).toEqual([]);
+
+  // The analysis task takes them as a list, which the worker can be sent
+  const task = { payloads, metric: 'monotonicity', reference: null, maxLength: 8 };
+  expect(await runAnalysis('search', { ...task, excludeBytes: [] })).not.toEqual([]);
+  expect(await runAnalysis('search', { ...task, excludeBytes: [0] })).toEqual([]);
+});
@@ -0,0 +1,263 @@
+// Session exports: what a hunting session found, as files to attach to an
+// OBDb pull request and a Markdown summary to paste into a GitHub issue.
+// Everything is worked out from the explorer's state as it stands, so the
+// statistics cover the same zoomed range the explorer shows.
+
+import { bytesToHex, rowBytes, computeEntropy } from './analysis';
+import { describeClass } from './classify';
+import { markdownTable } from './report';
+import { summarize, formatNumber } from './stats';
+
+// Quote a CSV cell when it holds a separator, quote or line break
+export const csvCell = (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (cells) => cells.map(csvCell).join(',');
+
+// Pipes would end a Markdown table cell early
+const mdCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+const formatLag = (lag) => (lag ? `${lag > 0 ? '+' : ''}${lag}` : '0');
+
+/**
+ * Formula of a conversion as written in the editor.
+ *
+ * @param {?Object} conversion
+ * @returns {string} 'raw' without a conversion
+ */
+export const describeConversion = (conversion) => {
+  if (!conversion) return 'raw';
+  if (conversion.mode === 'linear') {
+    const { mul = 1, div = 1, add = 0 } = conversion;
+    return `x × ${mul} / ${div} ${add < 0 ? '−' : '+'} ${formatNumber(Math.abs(add))}`;
+  }
+  return conversion.formula;
+};
+
+/**
+ * CSV of every sample: its index, time when known, raw payload as hex and
+ * byte by byte, then each plotted bit, group and derived channel and every
+ * decoded value. With annotations, the events a sample falls in close the
+ * line.
+ *
+ * @param {Object[]} rows - Data rows holding the series' values
+ * @param {number} numBytes
+ * @param {Object[]} series - Plotted series, as the explorer builds them
+ * @param {Annotation[]} [annotations]
+ * @returns {string}
+ */
+export const samplesCsv = (rows, numBytes, series, annotations = []) => {
+  const hasTime = rows.some(row => row.time !== undefined);
+  const raw = series.filter(s => s.kind !== 'byte');
+  const decoded = series.filter(s => s.convert);
+  const header = [
+    'index',
+    ...(hasTime ? ['time'] : []),
+    'hex',
+    ...Array.from({ length: numBytes }, (_, byteNum) => `byte${byteNum}`),
+    ...raw.map(s => s.defaultLabel),
+    ...decoded.map(s => `${s.label} (${s.unit || 'decoded'})`),
+    ...(annotations.length ? ['events'] : []),
+  ];
+  const lines = rows.map(row => csvLine([
+    row.index,
+    ...(hasTime ? [row.time] : []),
+    bytesToHex(rowBytes(row)),
+    ...Array.from({ length: numBytes }, (_, byteNum) => row[`byte${byteNum}`]),
+    ...raw.map(s => row[s.key]),
+    ...decoded.map(s => row[s.plotKey]),
+    ...(annotations.length
+      ? [annotations.filter(a => row.index >= a.start && row.index <= a.end).map(a => a.label).join('; ')]
+      : []),
+  ]));
+  return `${[csvLine(header), ...lines].join('\n')}\n`;
+};
+
+/**
+ * Statistics, entropy and class of every byte position samples reach.
+ *
+ * @param {Int16Array[]} columns - Byte columns the statistics cover
+ * @param {Object<string, Object>} byteStats - As computeByteStats returns
+ * @param {PositionClass[]} byteClasses - Classes over the whole capture,
+ *   empty while they're being worked out
+ * @returns {Array<{byte: number, count: number, min: number, max: number, mean: number,
+ *   stdDev: number, entropy: ?number, class: string, nibbles: string[]}>}
+ */
+export const byteSummaries = (columns, byteStats, byteClasses) => {
+  const positions = columns.map((_, byteNum) => ({ key: `byte${byteNum}`, label: `Byte ${byteNum}`, byte: byteNum }));
+  const entropy = computeEntropy(columns, positions);
+  return columns.flatMap((_, byteNum) => (byteStats[`byte${byteNum}`] ? [{
+    byte: byteNum,
+    ...byteStats[`byte${byteNum}`],
+    entropy: entropy ? entropy.byteEntropies[byteNum].entropy : null,
+    class: byteClasses[byteNum] ? describeClass(byteClasses[byteNum].byte) : '',
+    nibbles: byteClasses[byteNum] ? byteClasses[byteNum].nibbles.map(describeClass) : [],
+  }] : []));
+};
+
+/**
+ * Correlated pairs at or above a threshold, strongest first.
+ *
+ * @param {?Object} correlation - As computeCorrelationMatrix returns
+ * @param {number} threshold
+ * @returns {Array<{a: string, b: string, correlation: number, lag: number, lagCorrelation: number}>}
+ */
+export const strongCorrelations = (correlation, threshold) => {
+  if (!correlation) return [];
+  return correlation.pairs
+    .filter(pair => Math.abs(pair.correlation) >= threshold)
+    .sort((p, q) => Math.abs(q.correlation) - Math.abs(p.correlation))
+    .map(pair => ({
+      a: correlation.signals[pair.a].label,
+      b: correlation.signals[pair.b].label,
+      correlation: pair.correlation,
+      lag: pair.lag,
+      lagCorrelation: pair.lagCorrelation,
+    }));
+};
+
+/**
+ * Named signals of a session: groups, derived channels and bytes that have
+ * been given a conversion or value labels, with the range of their values.
+ *
+ * @param {Object[]} series - Plotted series, as the explorer builds them
+ * @param {Object[]} rows - Data rows holding the series' values
+ * @param {Object<string, Object>} conversions
+ * @param {Object<string, Object<string, string>>} valueLabels
+ * @returns {Array<{name: string, bytes: number[], formula: string, unit: string,
+ *   range: ?Object, labels: Array<[string, string]>}>}
+ */
+export const signalSummaries = (series, rows, conversions, valueLabels) => series
+  .filter(s => s.kind === 'group' || s.kind === 'derived'
+    || (s.kind === 'byte' && (conversions[s.key] || valueLabels[s.key])))
+  .map(s => ({
+    name: s.label,
+    bytes: s.bytes,
+    formula: s.error ? `${describeConversion(conversions[s.key])} (has errors)` : describeConversion(conversions[s.key]),
+    unit: s.unit,
+    range: summarize(rows.map(row => row[s.plotKey])),
+    labels: Object.entries(valueLabels[s.key] || {}),
+  }));
+
+/**
+ * @param {Array<Object>} bytes - As byteSummaries returns
+ * @returns {string}
+ */
+export const byteStatsCsv = (bytes) => `${[
+  csvLine(['byte', 'samples', 'min', 'max', 'mean', 'std_dev', 'entropy', 'class', 'nibbles']),
+  ...bytes.map(b => csvLine([
+    b.byte, b.count, b.min, b.max, b.mean, b.stdDev, b.entropy, b.class, b.nibbles.join('; '),
+  ])),
+].join('\n')}\n`;
+
+/**
+ * @param {Array<Object>} correlations - As strongCorrelations returns
+ * @returns {string}
+ */
+export const correlationsCsv = (correlations) => `${[
+  csvLine(['signal_a', 'signal_b', 'r', 'best_lag', 'r_at_lag']),
+  ...correlations.map(c => csvLine([c.a, c.b, c.correlation, c.lag, c.lagCorrelation])),
+].join('\n')}\n`;
+
+/**
+ * Markdown summary of a session, for a GitHub issue describing the evidence
+ * for a PID's signals.
+ *
+ * @param {Object} session
+ * @param {string} session.title
+ * @param {string} [session.notes]
+ * @param {?{header: string, command: string}} [session.request]
+ * @param {?string} [session.streamId] - CAN ID of the stream analyzed
+ * @param {number} session.samples - Samples in the capture
+ * @param {number} session.scopedSamples - Samples the statistics cover
+ * @param {number} session.bytesPerSample
+ * @param {?number} session.duration - Seconds, null without timestamps
+ * @param {Array<Object>} session.signals - As signalSummaries returns
+ * @param {Array<Object>} session.bytes - As byteSummaries returns
+ * @param {Array<Object>} session.correlations - As strongCorrelations returns
+ * @param {number} session.threshold
+ * @param {Annotation[]} [session.annotations]
+ * @returns {string}
+ */
+export const formatSessionMarkdown = ({
+  title,
+  notes = '',
+  request = null,
+  streamId = null,
+  samples,
+  scopedSamples,
+  bytesPerSample,
+  duration,
+  signals,
+  bytes,
+  correlations,
+  threshold,
+  annotations = [],
+}) => {
+  const source = [
+    ...(request && (request.header || request.command)
+      ? [`**Request:** \`${`${request.header} ${request.command}`.trim()}\``]
+      : []),
+    ...(streamId ? [`**CAN ID:** \`${streamId}\``] : []),
+    `${samples} samples of ${bytesPerSample} bytes`
+      + (duration !== null && duration !== undefined ? ` over ${formatNumber(duration)} s` : '')
+      + (scopedSamples !== samples ? `; statistics cover the ${scopedSamples} samples in the selected range` : ''),
+  ];
+  const sections = [`# ${title}`, source.join('  \n')];
+
+  if (notes.trim()) sections.push('## Notes', notes.trim());
+
+  sections.push('## Signals', signals.length
+    ? markdownTable(
+      ['Signal', 'Bytes', 'Formula', 'Unit', 'Min', 'Max', 'Values'],
+      signals.map(s => [
+        mdCell(s.name),
+        s.bytes.join(', ') || '—',
+        `\`${mdCell(s.formula)}\``,
+        mdCell(s.unit),
+        s.range ? formatNumber(s.range.min) : 'n/a',
+        s.range ? formatNumber(s.range.max) : 'n/a',
+        mdCell(s.labels.map(([value, label]) => `${value} = ${label}`).join(', ')),
+      ])
+    )
+    : '_No signals defined yet_');
+
+  if (annotations.length) {
+    sections.push('## Events', annotations
+      .map(a => `- ${mdCell(a.label)}: ${a.start === a.end ? `sample ${a.start}` : `samples ${a.start}–${a.end}`}`)
+      .join('\n'));
+  }
+
+  sections.push('## Bytes', markdownTable(
+    ['Byte', 'Samples', 'Min', 'Max', 'Mean', 'Std dev', 'Entropy', 'Class', 'Nibbles'],
+    bytes.map(b => [
+      b.byte,
+      b.count,
+      b.min,
+      b.max,
+      formatNumber(b.mean),
+      formatNumber(b.stdDev),
+      b.entropy !== null ? b.entropy.toFixed(2) : 'n/a',
+      b.class,
+      b.nibbles.join(', '),
+    ])
+  ));
+
+  sections.push(`## Correlations (|r| ≥ ${threshold})`, correlations.length
+    ? markdownTable(
+      ['Signal', 'Signal', 'r', 'Best lag', 'r at lag'],
+      correlations.map(c => [
+        mdCell(c.a),
+        mdCell(c.b),
+        c.correlation.toFixed(3),
+        formatLag(c.lag),
+        c.lagCorrelation.toFixed(3),
+      ])
+    )
+    : '_No strongly correlated signals_');
+
+  return `${sections.join('\n\n')}\n`;
+};
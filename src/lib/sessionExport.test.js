@@ -0,0 +1,100 @@
+import {
+  csvCell,
+  describeConversion,
+  samplesCsv,
+  byteSummaries,
+  strongCorrelations,
+  signalSummaries,
+  byteStatsCsv,
+  formatSessionMarkdown,
+} from './sessionExport';
+import { toColumns, computeByteStats } from './analysis';
+
+const rows = [
+  { index: 0, time: 10, byte0: 0x1A, byte1: 0xF8, group0: 0x1AF8, group0_decoded: 1726 },
+  { index: 1, time: 10.5, byte0: 0x1B, byte1: 0x02, group0: 0x1B02, group0_decoded: 1728.5 },
+];
+
+const series = [
+  { key: 'byte0', kind: 'byte', defaultLabel: 'Byte 0', label: 'Byte 0', unit: '', bytes: [0], plotKey: 'byte0' },
+  {
+    key: 'group0',
+    kind: 'group',
+    defaultLabel: 'Group 1',
+    label: 'Engine speed, "RPM"',
+    unit: 'rpm',
+    bytes: [0, 1],
+    convert: () => null,
+    plotKey: 'group0_decoded',
+  },
+];
+
+test('quotes CSV cells only when needed', () => {
+  expect(csvCell(12)).toBe('12');
+  expect(csvCell(null)).toBe('');
+  expect(csvCell('a, "b"')).toBe('"a, ""b"""');
+});
+
+test('writes every sample with raw bytes, group values and decoded values', () => {
+  const csv = samplesCsv(rows, 2, series, [{ id: 1, label: 'rev', start: 1, end: 1 }]);
+  expect(csv.split('\n')).toEqual([
+    'index,time,hex,byte0,byte1,Group 1,"Engine speed, ""RPM"" (rpm)",events',
+    '0,10,1AF8,26,248,6904,1726,',
+    '1,10.5,1B02,27,2,6914,1728.5,rev',
+    '',
+  ]);
+});
+
+test('summarizes bytes with entropy and classes', () => {
+  const columns = toColumns(rows, 2);
+  const bytes = byteSummaries(columns, computeByteStats(columns), []);
+  expect(bytes.map(b => [b.byte, b.count, b.entropy, b.class])).toEqual([[0, 2, 1, ''], [1, 2, 1, '']]);
+  expect(byteStatsCsv(bytes).split('\n')[1]).toBe('0,2,26,27,26.5,0.5,1,,');
+});
+
+test('keeps correlations at or above the threshold, strongest first', () => {
+  const correlation = {
+    signals: [{ label: 'Byte 0' }, { label: 'Byte 1' }, { label: 'Group 1' }],
+    pairs: [
+      { a: 0, b: 1, correlation: 0.5, lag: 0, lagCorrelation: 0.5 },
+      { a: 0, b: 2, correlation: 0.9, lag: 0, lagCorrelation: 0.9 },
+      { a: 1, b: 2, correlation: -0.95, lag: 2, lagCorrelation: -0.97 },
+    ],
+  };
+  expect(strongCorrelations(correlation, 0.8).map(c => [c.a, c.b])).toEqual([
+    ['Byte 1', 'Group 1'],
+    ['Byte 0', 'Group 1'],
+  ]);
+  expect(strongCorrelations(null, 0.8)).toEqual([]);
+});
+
+test('describes signals and formats the Markdown summary', () => {
+  const conversions = { group0: { mode: 'linear', mul: 1, div: 4, add: 0 } };
+  expect(describeConversion(conversions.group0)).toBe('x × 1 / 4 + 0');
+  expect(describeConversion({ mode: 'formula', formula: 'A - 40' })).toBe('A - 40');
+
+  const signals = signalSummaries(series, rows, conversions, { group0: { 0: 'Off' } });
+  expect(signals).toHaveLength(1);
+  expect(signals[0].range).toMatchObject({ min: 1726, max: 1728.5 });
+
+  const markdown = formatSessionMarkdown({
+    title: 'Engine speed',
+    notes: 'Revved twice',
+    request: { header: '7E0', command: '010C' },
+    samples: 2,
+    scopedSamples: 2,
+    bytesPerSample: 2,
+    duration: 0.5,
+    signals,
+    bytes: [],
+    correlations: [{ a: 'Byte 0', b: 'Group 1', correlation: 0.9, lag: 0, lagCorrelation: 0.9 }],
+    threshold: 0.8,
+    annotations: [{ id: 1, label: 'rev', start: 1, end: 1 }],
+  });
+  expect(markdown).toContain('**Request:** `7E0 010C`');
+  expect(markdown).toContain('2 samples of 2 bytes over 0.5 s');
+  expect(markdown).toContain('## Notes\n\nRevved twice');
+  expect(markdown).toContain('| Engine speed, "RPM" | 0, 1 | `x × 1 / 4 + 0` | rpm | 1726 | 1728.5 | 0 = Off |');
+  expect(markdown).toContain('- rev: sample 1');
+  expect(markdown).toContain('| Byte 0 | Group 1 | 0.900 | 0 | 0.900 |');
+});
@@ -0,0 +1,287 @@
+// OBDb signalset export. A signalset lists the commands sent to a vehicle
+// and, for each command, the signals decoded from its response:
+//
+//   { "commands": [{
+//       "hdr": "7E0", "cmd": { "22": "F40D" }, "freq": 1,
+//       "signals": [{ "id": "MAKE_SPEED", "name": "Vehicle speed",
+//                     "fmt": { "bix": 8, "len": 16, "div": 4, "max": 300, "unit": "kilometersPerHour" } }]
+//   }] }
+//
+// `bix` is the big-endian bit offset into the response payload after the
+// SID/PID echo, which is the same numbering bitfield.js uses.
+
+import { fitScaleOffset } from './fit';
+import { extractField } from './bitfield';
+
+const HEX = /^[0-9A-F]+$/;
+const SIGNAL_ID = /^[A-Z0-9_]+$/;
+
+// Relative error allowed when checking that a formula is linear
+const LINEAR_TOLERANCE = 1e-6;
+
+const round = (value) => Number(value.toPrecision(6));
+
+/**
+ * Signal id in OBDb style, e.g. "Vehicle speed" -> "VEHICLE_SPEED"
+ */
+export const toSignalId = (name, prefix = '') => `${prefix} ${name}`
+  .toUpperCase()
+  .replace(/[^A-Z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+/**
+ * Request header for a diagnostic response header: 7E8-7EF answer 7E0-7E7,
+ * and 29-bit 18DAF1xx answers 18DAxxF1. Anything else is returned as-is.
+ */
+export const requestHeaderFor = (header) => {
+  if (!header) return '';
+  const value = header.toUpperCase();
+  if (/^7E[89A-F]$/.test(value)) {
+    return (parseInt(value, 16) - 8).toString(16).toUpperCase();
+  }
+  const match = value.match(/^18DAF1([0-9A-F]{2})$/);
+  return match ? `18DA${match[1]}F1` : value;
+};
+
+/**
+ * Split a request such as "221234" or "01 0D" into the OBDb cmd object.
+ *
+ * @returns {?Object} e.g. { "22": "1234" }, or null when not a valid request
+ */
+export const parseCommand = (text) => {
+  const compact = (text || '').replace(/\s+/g, '').toUpperCase();
+  if (compact.length < 4 || compact.length % 2 || !HEX.test(compact)) return null;
+  return { [compact.slice(0, 2)]: compact.slice(2) };
+};
+
+/**
+ * Express a conversion as OBDb mul/div/add. Linear conversions map directly;
+ * formulas are fitted against the observed raw/decoded pairs and accepted
+ * only when they are exactly linear in the raw value.
+ *
+ * @param {Object} conversion
+ * @param {Array<?number>} raw
+ * @param {Array<?number>} decoded
+ * @returns {?{mul: number, div: number, add: number}} null when not linear
+ */
+export const linearCoefficients = (conversion, raw, decoded) => {
+  if (!conversion) return { mul: 1, div: 1, add: 0 };
+  if (conversion.mode === 'linear') {
+    const { mul = 1, div = 1, add = 0 } = conversion;
+    return { mul, div, add };
+  }
+
+  const fit = fitScaleOffset(raw, decoded);
+  if (!fit) {
+    // A raw value that never changes can't be fitted; only the identity is safe
+    return conversion.formula.trim() === 'x' ? { mul: 1, div: 1, add: 0 } : null;
+  }
+  // The fitted fraction has to reproduce every decoded value, not just
+  // correlate with them
+  const span = Math.max(1, ...decoded.filter(Number.isFinite).map(Math.abs));
+  const tolerance = span * LINEAR_TOLERANCE;
+  const add = Math.abs(fit.add) <= tolerance ? 0 : fit.add;
+  const exact = raw.every((x, i) => !Number.isFinite(x) || !Number.isFinite(decoded[i])
+    || Math.abs(x * fit.mul / fit.div + add - decoded[i]) <= tolerance);
+  return exact ? { mul: fit.mul, div: fit.div, add } : null;
+};
+
+/**
+ * Build a signalset with a single command.
+ *
+ * @param {Object} options
+ * @param {string} options.header - Request header, e.g. "7E0"
+ * @param {string} options.command - Request bytes, e.g. "221234"
+ * @param {Array<Object>} options.signals - { id, name, field, mul, div, add, unit, min, max,
+ *   valueLabels }, valueLabels naming raw values of enum signals
+ * @returns {Object}
+ */
+export const buildSignalset = ({ header, command, signals }) => ({
+  commands: [{
+    hdr: (header || '').toUpperCase(),
+    cmd: parseCommand(command) || {},
+    freq: 1,
+    signals: signals.map(({ id, name, field, mul, div, add, unit, min, max, valueLabels }) => {
+      const fmt = {};
+      if (field.startBit) fmt.bix = field.startBit;
+      fmt.len = field.length;
+      if (field.signed) fmt.sign = true;
+      if (mul !== 1) fmt.mul = mul;
+      if (div !== 1) fmt.div = div;
+      if (add) fmt.add = add;
+      fmt.min = round(min);
+      fmt.max = round(max);
+      if (unit) fmt.unit = unit;
+      const labeled = Object.entries(valueLabels || {}).filter(([, label]) => label);
+      if (labeled.length) {
+        fmt.map = Object.fromEntries(labeled.map(([value, label]) => [
+          String(value),
+          { description: label, value: toSignalId(label) || String(value) },
+        ]));
+      }
+      return { id, name, fmt };
+    }),
+  }],
+});
+
+const isInteger = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Check a signalset against the OBDb schema.
+ *
+ * @param {Object} signalset
+ * @returns {string[]} Problems found; empty when the signalset is valid
+ */
+export const validateSignalset = (signalset) => {
+  const errors = [];
+  if (!signalset || !Array.isArray(signalset.commands) || !signalset.commands.length) {
+    return ['commands must be a non-empty array'];
+  }
+
+  const ids = new Set();
+  signalset.commands.forEach((command, c) => {
+    const where = `commands[${c}]`;
+    if (typeof command.hdr !== 'string' || !HEX.test(command.hdr) || ![3, 8].includes(command.hdr.length)) {
+      errors.push(`${where}.hdr must be a 3 or 8 digit hex CAN id`);
+    }
+    const services = Object.entries(command.cmd || {});
+    if (services.length !== 1) {
+      errors.push(`${where}.cmd must hold exactly one service and PID`);
+    } else {
+      const [service, pid] = services[0];
+      if (!/^[0-9A-F]{2}$/.test(service) || typeof pid !== 'string' || !pid.length || !HEX.test(pid) || pid.length % 2) {
+        errors.push(`${where}.cmd must map a hex service to a hex PID`);
+      }
+    }
+    if (!Number.isFinite(command.freq) || command.freq <= 0) {
+      errors.push(`${where}.freq must be a positive number`);
+    }
+    if (!Array.isArray(command.signals) || !command.signals.length) {
+      errors.push(`${where}.signals must be a non-empty array`);
+      return;
+    }
+
+    command.signals.forEach((signal, s) => {
+      const label = `${where}.signals[${s}]${signal.id ? ` (${signal.id})` : ''}`;
+      if (typeof signal.id !== 'string' || !SIGNAL_ID.test(signal.id)) {
+        errors.push(`${label}: id must be upper case letters, digits and underscores`);
+      } else if (ids.has(signal.id)) {
+        errors.push(`${label}: id is used more than once`);
+      }
+      ids.add(signal.id);
+      if (typeof signal.name !== 'string' || !signal.name.trim()) {
+        errors.push(`${label}: name is required`);
+      }
+
+      const fmt = signal.fmt || {};
+      if (!isInteger(fmt.len, 1, 64)) errors.push(`${label}: fmt.len must be an integer from 1 to 64`);
+      if (fmt.bix !== undefined && !isInteger(fmt.bix, 0, Infinity)) {
+        errors.push(`${label}: fmt.bix must be a non-negative integer`);
+      }
+      ['mul', 'add', 'min', 'max'].forEach(key => {
+        if (fmt[key] !== undefined && !Number.isFinite(fmt[key])) errors.push(`${label}: fmt.${key} must be a number`);
+      });
+      if (fmt.div !== undefined && (!Number.isFinite(fmt.div) || fmt.div === 0)) {
+        errors.push(`${label}: fmt.div must be a non-zero number`);
+      }
+      if (fmt.max === undefined) errors.push(`${label}: fmt.max is required`);
+      if (Number.isFinite(fmt.min) && Number.isFinite(fmt.max) && fmt.min > fmt.max) {
+        errors.push(`${label}: fmt.min is greater than fmt.max`);
+      }
+      if (fmt.unit !== undefined && (typeof fmt.unit !== 'string' || !fmt.unit)) {
+        errors.push(`${label}: fmt.unit must be a non-empty string`);
+      }
+      if (fmt.map !== undefined && (typeof fmt.map !== 'object' || Object.entries(fmt.map).some(
+        ([value, entry]) => !/^\d+$/.test(value) || !entry || typeof entry.value !== 'string' || !entry.value
+      ))) {
+        errors.push(`${label}: fmt.map must map raw values to entries with a value`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+// "22" + "1234" -> "221234"
+const commandText = (cmd) => Object.entries(cmd || {})
+  .map(([service, pid]) => `${service}${pid}`)
+  .join('')
+  .toUpperCase();
+
+/**
+ * Read the commands and signals of an OBDb signalset. Parsing is lenient:
+ * fields pidhunter doesn't use are ignored and signals without a bit
+ * length are dropped.
+ *
+ * @param {string} text - Signalset JSON
+ * @returns {Array<{header: string, command: string, signals: Object[]}>}
+ *   Signals are { id, name, field, mul, div, add, unit, min, max,
+ *   valueLabels }, with min/max null when the signalset doesn't declare them
+ *   and valueLabels empty when it has no value map
+ * @throws {Error} when the text is not JSON or has no commands
+ */
+export const parseSignalset = (text) => {
+  const json = JSON.parse(text);
+  if (!json || !Array.isArray(json.commands)) {
+    throw new Error('Not an OBDb signalset: "commands" is missing');
+  }
+
+  return json.commands.map(command => ({
+    header: (command.hdr || '').toUpperCase(),
+    command: commandText(command.cmd),
+    signals: (command.signals || [])
+      .filter(signal => signal.fmt && Number.isInteger(signal.fmt.len))
+      .map(({ id, name, fmt }) => ({
+        id,
+        name: name || id,
+        field: { startBit: fmt.bix || 0, length: fmt.len, byteOrder: 'big', signed: !!fmt.sign },
+        mul: fmt.mul ?? 1,
+        div: fmt.div ?? 1,
+        add: fmt.add ?? 0,
+        unit: fmt.unit || '',
+        min: fmt.min ?? null,
+        max: fmt.max ?? null,
+        valueLabels: Object.fromEntries(Object.entries(fmt.map || {})
+          .map(([value, entry]) => [value, entry && (entry.description || entry.value)])
+          .filter(([, label]) => label)),
+      })),
+  }));
+};
+
+/**
+ * Index of the command in a parsed signalset that matches a request,
+ * preferring an exact header match. -1 when none does.
+ */
+export const findCommand = (commands, { header, command }) => {
+  const target = (command || '').replace(/\s+/g, '').toUpperCase();
+  const exact = commands.findIndex(c => c.command === target && c.header === (header || '').toUpperCase());
+  return exact !== -1 ? exact : commands.findIndex(c => c.command === target);
+};
+
+/**
+ * Physical value of a parsed signal in a payload, or null when the payload
+ * is too short.
+ */
+export const decodeSignal = ({ field, mul, div, add }, bytes) => {
+  const raw = extractField(bytes, field);
+  return raw === null ? null : raw * mul / div + add;
+};
+
+/**
+ * Which signal covers each bit of the payload.
+ *
+ * @param {Object[]} signals - Parsed signals
+ * @param {number} numBytes
+ * @returns {Array<?Object>} Indexed by MSB-first bit position
+ */
+export const signalBitMap = (signals, numBytes) => {
+  const map = new Array(numBytes * 8).fill(null);
+  signals.forEach(signal => {
+    const { startBit, length } = signal.field;
+    for (let position = startBit; position < startBit + length && position < map.length; position++) {
+      map[position] = signal;
+    }
+  });
+  return map;
+};
@@ -0,0 +1,171 @@
+import {
+  buildSignalset,
+  validateSignalset,
+  linearCoefficients,
+  toSignalId,
+  requestHeaderFor,
+  parseCommand,
+  parseSignalset,
+  findCommand,
+  decodeSignal,
+  signalBitMap,
+} from './signalset';
+
+test('derives ids, request headers and commands', () => {
+  expect(toSignalId('Vehicle speed (km/h)', 'make')).toBe('MAKE_VEHICLE_SPEED_KM_H');
+  expect(requestHeaderFor('7E8')).toBe('7E0');
+  expect(requestHeaderFor('18DAF110')).toBe('18DA10F1');
+  expect(parseCommand('22 F4 0D')).toEqual({ 22: 'F40D' });
+  expect(parseCommand('22F')).toBeNull();
+});
+
+test('reduces linear formulas to mul/div/add', () => {
+  const raw = [0, 40, 80, 200];
+  expect(linearCoefficients({ mode: 'formula', formula: 'x / 4 - 40' }, raw, raw.map(x => x / 4 - 40)))
+    .toEqual({ mul: 1, div: 4, add: -40 });
+  expect(linearCoefficients({ mode: 'formula', formula: 'x * x' }, raw, raw.map(x => x * x))).toBeNull();
+  expect(linearCoefficients(undefined, raw, raw)).toEqual({ mul: 1, div: 1, add: 0 });
+});
+
+test('builds a valid signalset', () => {
+  const signalset = buildSignalset({
+    header: '7e0',
+    command: '221234',
+    signals: [{
+      id: 'MAKE_RPM',
+      name: 'Engine speed',
+      field: { startBit: 8, length: 16, byteOrder: 'big', signed: false },
+      mul: 1,
+      div: 4,
+      add: 0,
+      unit: 'rpm',
+      min: 0,
+      max: 6500.25,
+    }],
+  });
+
+  expect(signalset.commands[0]).toEqual({
+    hdr: '7E0',
+    cmd: { 22: '1234' },
+    freq: 1,
+    signals: [{
+      id: 'MAKE_RPM',
+      name: 'Engine speed',
+      fmt: { bix: 8, len: 16, div: 4, min: 0, max: 6500.25, unit: 'rpm' },
+    }],
+  });
+  expect(validateSignalset(signalset)).toEqual([]);
+});
+
+test('reports schema problems', () => {
+  const errors = validateSignalset({
+    commands: [{
+      hdr: '7E',
+      cmd: {},
+      freq: 1,
+      signals: [
+        { id: 'a b', name: '', fmt: { len: 0, div: 0, max: 1 } },
+        { id: 'X', name: 'X', fmt: { len: 8, max: 1 } },
+        { id: 'X', name: 'X', fmt: { len: 8 } },
+      ],
+    }],
+  });
+  expect(errors).toEqual([
+    'commands[0].hdr must be a 3 or 8 digit hex CAN id',
+    'commands[0].cmd must hold exactly one service and PID',
+    'commands[0].signals[0] (a b): id must be upper case letters, digits and underscores',
+    'commands[0].signals[0] (a b): name is required',
+    'commands[0].signals[0] (a b): fmt.len must be an integer from 1 to 64',
+    'commands[0].signals[0] (a b): fmt.div must be a non-zero number',
+    'commands[0].signals[2] (X): id is used more than once',
+    'commands[0].signals[2] (X): fmt.max is required',
+  ]);
+});
+
+test('reads signals back from a signalset', () => {
+  const commands = parseSignalset(JSON.stringify({
+    commands: [
+      { hdr: '7E0', cmd: { '01': '0C' }, freq: 1, signals: [] },
+      {
+        hdr: '7E0',
+        cmd: { 22: '1234' },
+        freq: 1,
+        signals: [
+          { id: 'MAKE_TEMP', name: 'Coolant', fmt: { len: 8, add: -40, max: 215, unit: 'celsius' } },
+          { id: 'MAKE_RPM', fmt: { bix: 8, len: 16, div: 4, max: 16383.75 } },
+          { id: 'MAKE_MAP', fmt: { map: {} } },
+        ],
+      },
+    ],
+  }));
+
+  expect(findCommand(commands, { header: '7E0', command: '22 12 34' })).toBe(1);
+  expect(findCommand(commands, { header: '', command: '2201' })).toBe(-1);
+
+  const [temp, rpm] = commands[1].signals;
+  expect(commands[1].signals).toHaveLength(2);
+  expect(rpm.name).toBe('MAKE_RPM');
+  expect(temp.min).toBeNull();
+  expect(decodeSignal(temp, [0x5A, 0x1A, 0xF8])).toBe(50);
+  expect(decodeSignal(rpm, [0x5A, 0x1A, 0xF8])).toBe(1726);
+  expect(decodeSignal(rpm, [0x5A])).toBeNull();
+
+  const bits = signalBitMap(commands[1].signals, 4);
+  expect(bits[7]).toBe(temp);
+  expect(bits[23]).toBe(rpm);
+  expect(bits[24]).toBeNull();
+
+  expect(() => parseSignalset('{"signals": []}')).toThrow('"commands" is missing');
+});
+
+test('writes and reads value maps of enum signals', () => {
+  const signalset = buildSignalset({
+    header: '7E0',
+    command: '221234',
+    signals: [{
+      id: 'MAKE_GEAR',
+      name: 'Gear',
+      field: { startBit: 0, length: 8, byteOrder: 'big', signed: false },
+      mul: 1,
+      div: 1,
+      add: 0,
+      min: 1,
+      max: 4,
+      valueLabels: { 1: 'P', 2: 'R', 4: 'Drive sport', 3: '' },
+    }],
+  });
+  expect(signalset.commands[0].signals[0].fmt.map).toEqual({
+    1: { description: 'P', value: 'P' },
+    2: { description: 'R', value: 'R' },
+    4: { description: 'Drive sport', value: 'DRIVE_SPORT' },
+  });
+  expect(validateSignalset(signalset)).toEqual([]);
+
+  const [gear] = parseSignalset(JSON.stringify(signalset))[0].signals;
+  expect(gear.valueLabels).toEqual({ 1: 'P', 2: 'R', 4: 'Drive sport' });
+});
+
+test('writes a single labeled bit', () => {
+  const signalset = buildSignalset({
+    header: '7E0',
+    command: '221234',
+    signals: [{
+      id: 'MAKE_DOOR',
+      name: 'Door',
+      field: { startBit: 13, length: 1, byteOrder: 'big', signed: false },
+      mul: 1,
+      div: 1,
+      add: 0,
+      min: 0,
+      max: 1,
+      valueLabels: { 0: 'Closed', 1: 'Open' },
+    }],
+  });
+  const { fmt } = signalset.commands[0].signals[0];
+  expect(fmt).toMatchObject({ bix: 13, len: 1 });
+  expect(validateSignalset(signalset)).toEqual([]);
+
+  const [door] = parseSignalset(JSON.stringify(signalset))[0].signals;
+  expect(door.field).toMatchObject({ startBit: 13, length: 1 });
+  expect(door.valueLabels).toEqual({ 0: 'Closed', 1: 'Open' });
+});
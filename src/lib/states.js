@@ -0,0 +1,104 @@
+// State timelines for signals that take only a few values: the runs of each
+// value, how long each state lasts and how the signal moves between them.
+
+// Most distinct values a signal may take to be shown as states
+export const MAX_STATES = 16;
+
+const present = (value) => value !== null && value !== undefined && !Number.isNaN(value);
+
+/**
+ * Distinct values of a signal, ascending, or null when there are more than
+ * limit of them.
+ *
+ * @param {Array<?number>} values
+ * @param {number} [limit=MAX_STATES]
+ * @returns {?number[]}
+ */
+export const distinctStates = (values, limit = MAX_STATES) => {
+  const distinct = new Set();
+  for (let i = 0; i < values.length; i++) {
+    if (!present(values[i])) continue;
+    distinct.add(values[i]);
+    if (distinct.size > limit) return null;
+  }
+  return Array.from(distinct).sort((a, b) => a - b);
+};
+
+/**
+ * Split a signal into runs of the same value. Each sample lasts until the
+ * next one; the last takes the spacing before it. Samples without a value
+ * are skipped.
+ *
+ * @param {Array<?number>} values
+ * @param {number[]} xs - Sample number or time of each value, ascending
+ * @returns {Array<{value: number, start: number, end: number, samples: number}>}
+ */
+export const stateRuns = (values, xs) => {
+  const indices = [];
+  values.forEach((value, i) => {
+    if (present(value)) indices.push(i);
+  });
+
+  const runs = [];
+  indices.forEach((i, k) => {
+    const next = indices[k + 1];
+    const end = next !== undefined
+      ? xs[next]
+      : xs[i] + (k > 0 ? xs[i] - xs[indices[k - 1]] : 1);
+    const last = runs[runs.length - 1];
+    if (last && last.value === values[i]) {
+      last.end = end;
+      last.samples++;
+    } else {
+      runs.push({ value: values[i], start: xs[i], end, samples: 1 });
+    }
+  });
+  return runs;
+};
+
+/**
+ * Dwell time per state and the transitions between states.
+ *
+ * @param {Array<{value: number, start: number, end: number, samples: number}>} runs
+ * @returns {{
+ *   states: Array<{value: number, dwell: number, share: number, entries: number, samples: number}>,
+ *   matrix: number[][],
+ *   transitions: number
+ * }} matrix[from][to] counts changes between states, indexed like states
+ */
+export const summarizeStates = (runs) => {
+  const values = Array.from(new Set(runs.map(run => run.value))).sort((a, b) => a - b);
+  const indexOf = new Map(values.map((value, i) => [value, i]));
+  const states = values.map(value => ({ value, dwell: 0, share: 0, entries: 0, samples: 0 }));
+  const matrix = values.map(() => values.map(() => 0));
+
+  let total = 0;
+  runs.forEach((run, i) => {
+    const state = states[indexOf.get(run.value)];
+    state.dwell += run.end - run.start;
+    state.entries++;
+    state.samples += run.samples;
+    total += run.end - run.start;
+    if (i > 0) matrix[indexOf.get(runs[i - 1].value)][indexOf.get(run.value)]++;
+  });
+  states.forEach(state => {
+    state.share = total > 0 ? state.dwell / total : 0;
+  });
+
+  return { states, matrix, transitions: Math.max(0, runs.length - 1) };
+};
+
+/**
+ * Label of a value, or its hex and decimal form when it has none.
+ *
+ * @param {number} value
+ * @param {Object<string, string>} [labels] - Keyed by raw value
+ * @returns {string}
+ */
+export const stateLabel = (value, labels) => {
+  const label = labels && labels[value];
+  if (label) return label;
+  return Number.isInteger(value) && value >= 0
+    ? `0x${value.toString(16).toUpperCase().padStart(2, '0')} (${value})`
+    : String(value);
+};
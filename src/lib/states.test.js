@@ -0,0 +1,35 @@
+import { distinctStates, stateRuns, summarizeStates, stateLabel } from './states';
+
+test('finds the states of a signal with few values', () => {
+  expect(distinctStates([2, 1, null, 2, 4])).toEqual([1, 2, 4]);
+  expect(distinctStates(Array.from({ length: 40 }, (_, i) => i))).toBeNull();
+});
+
+test('splits a signal into runs lasting until the next sample', () => {
+  const runs = stateRuns([1, 1, null, 2, 2, 1], [0, 1, 2, 3, 5, 6]);
+  expect(runs).toEqual([
+    { value: 1, start: 0, end: 3, samples: 2 },
+    { value: 2, start: 3, end: 6, samples: 2 },
+    { value: 1, start: 6, end: 7, samples: 1 },
+  ]);
+});
+
+test('sums dwell time and counts transitions', () => {
+  const runs = stateRuns([1, 1, 2, 3, 2, 2, 1], [0, 1, 2, 3, 4, 5, 6]);
+  const { states, matrix, transitions } = summarizeStates(runs);
+  expect(states.map(s => s.value)).toEqual([1, 2, 3]);
+  expect(states[0]).toMatchObject({ dwell: 3, entries: 2, samples: 3 });
+  expect(states[1].share).toBeCloseTo(3 / 7);
+  expect(transitions).toBe(4);
+  expect(matrix).toEqual([
+    [0, 1, 0],
+    [1, 0, 1],
+    [0, 1, 0],
+  ]);
+});
+
+test('labels values', () => {
+  expect(stateLabel(1, { 1: 'P' })).toBe('P');
+  expect(stateLabel(10, { 1: 'P' })).toBe('0x0A (10)');
+  expect(stateLabel(2.5)).toBe('2.5');
+});
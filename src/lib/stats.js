@@ -0,0 +1,35 @@
+// Summary statistics over a series that may contain gaps (null/undefined).
+
+/**
+ * @param {Array<?number>} values
+ * @returns {?{min: number, max: number, mean: number, stdDev: number, count: number}}
+ *   null when there are no values
+ */
+export const summarize = (values) => {
+  let count = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(v => {
+    if (v === null || v === undefined || Number.isNaN(v)) return;
+    count++;
+    sum += v;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  });
+  if (!count) return null;
+
+  const mean = sum / count;
+  let squares = 0;
+  values.forEach(v => {
+    if (v === null || v === undefined || Number.isNaN(v)) return;
+    squares += (v - mean) * (v - mean);
+  });
+
+  return { min, max, mean, stdDev: Math.sqrt(squares / count), count };
+};
+
+// Up to six significant digits, without trailing zeros
+export const formatNumber = (value) => (value === null || value === undefined
+  ? 'n/a'
+  : Number(value.toPrecision(6)).toString());
@@ -0,0 +1,73 @@
+// Helpers for plotting samples against real time: gap detection and
+// fixed-rate resampling of rows that carry a `time` field (seconds).
+
+import _ from 'lodash';
+
+// A pause longer than this many typical sample intervals is drawn as a gap
+const GAP_FACTOR = 5;
+
+// Upper bound on resampled rows so a high rate over a long capture can't
+// lock up the page
+export const MAX_RESAMPLED_ROWS = 200000;
+
+/**
+ * Median interval between consecutive timestamps, in seconds.
+ */
+export const medianInterval = (rows) => {
+  const intervals = [];
+  for (let i = 1; i < rows.length; i++) {
+    const dt = rows[i].time - rows[i - 1].time;
+    if (dt > 0) intervals.push(dt);
+  }
+  if (!intervals.length) return 0;
+  const sorted = intervals.sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+export const gapThreshold = (rows) => medianInterval(rows) * GAP_FACTOR;
+
+/**
+ * Insert an empty row in the middle of every pause so recharts breaks the
+ * line there instead of interpolating across it.
+ */
+export const insertGapMarkers = (rows, maxGap = gapThreshold(rows)) => {
+  if (!maxGap) return rows;
+  const result = [];
+  rows.forEach((row, i) => {
+    if (i > 0 && row.time - rows[i - 1].time > maxGap) {
+      result.push({ time: (row.time + rows[i - 1].time) / 2, gap: true });
+    }
+    result.push(row);
+  });
+  return result;
+};
+
+/**
+ * Resample rows onto a fixed-rate grid, holding the last known sample.
+ * Grid points that fall inside a pause become empty rows.
+ *
+ * @param {Object[]} rows - Rows sorted by time
+ * @param {number} rate - Samples per second
+ * @returns {?Object[]} null when the grid would exceed MAX_RESAMPLED_ROWS
+ */
+export const resampleRows = (rows, rate, maxGap = gapThreshold(rows)) => {
+  if (!rows.length || rate <= 0) return rows;
+
+  const start = _.first(rows).time;
+  const end = _.last(rows).time;
+  const count = Math.floor((end - start) * rate) + 1;
+  if (count > MAX_RESAMPLED_ROWS) return null;
+
+  const result = [];
+  let j = 0;
+  for (let k = 0; k < count; k++) {
+    const time = start + k / rate;
+    while (j + 1 < rows.length && rows[j + 1].time <= time) j++;
+    if (maxGap && time - rows[j].time > maxGap) {
+      result.push({ index: k, time, gap: true });
+    } else {
+      result.push({ ...rows[j], index: k, time });
+    }
+  }
+  return result;
+};
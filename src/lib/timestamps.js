@@ -0,0 +1,86 @@
+// Timestamp parsing for captures that carry a time per line. Everything is
+// normalized to seconds: epoch values come back as epoch seconds, relative
+// values and times of day as seconds from their own origin.
+
+const ISO_PREFIX = /^(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)[\s,;]+(.*)$/;
+const TOKEN_PREFIX = /^(\([^)]*\)|\[[^\]]*\]|\S+?)[\s,;]+(.*)$/;
+
+// A leading token is only taken for a time when it can't be a data byte: it
+// is wrapped, has a fraction, is a clock time or is a run of digits as long
+// as epoch seconds. A bare "41" is payload.
+const TIMESTAMP_TOKEN = /^(\(.*\)|\[.*\]|-?\d*\.\d+|\d{10,}|\d{1,2}:\d{2}:\d{2}(\.\d+)?)$/;
+
+/**
+ * Parse a single timestamp. Accepts ISO 8601 dates, epoch seconds /
+ * milliseconds / microseconds, relative seconds and hh:mm:ss(.sss), optionally
+ * wrapped in parentheses or brackets as log prefixes usually are.
+ *
+ * @param {string} str
+ * @returns {?number} Seconds, or null when the string is not a timestamp
+ */
+export const parseTimestamp = (str) => {
+  if (str === undefined || str === null) return null;
+  const value = String(str).trim().replace(/^[[(]/, '').replace(/[\])]$/, '').trim();
+  if (!value) return null;
+
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    const number = parseFloat(value);
+    // Magnitude tells epoch units apart: seconds are ~1.7e9 today
+    if (Math.abs(number) > 1e14) return number / 1e6;
+    if (Math.abs(number) > 1e11) return number / 1e3;
+    return number;
+  }
+
+  const timeOfDay = value.match(/^(\d{1,2}):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+  if (timeOfDay) {
+    return parseInt(timeOfDay[1], 10) * 3600 +
+      parseInt(timeOfDay[2], 10) * 60 +
+      parseFloat(timeOfDay[3]);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const ms = Date.parse(value.replace(' ', 'T'));
+    return Number.isNaN(ms) ? null : ms / 1000;
+  }
+
+  return null;
+};
+
+/**
+ * Split a line into its timestamp and the remaining data.
+ *
+ * @param {string} line
+ * @param {'prefix'|'column'} source - Leading token, or a CSV column
+ * @param {number} [column=0] - Column index when source is 'column'
+ * @returns {{ time: ?number, rest: string }} rest is the untouched line when
+ *   no timestamp was found
+ */
+export const extractTimestamp = (line, source, column = 0) => {
+  if (source === 'column') {
+    const cells = line.split(/[,;\t]/).map(cell => cell.trim());
+    const time = parseTimestamp(cells[column]);
+    // Payload bytes may fill one cell or one cell each
+    const rest = cells.filter((cell, idx) => idx !== column && /^[0-9A-Fa-f][0-9A-Fa-f\s:]*$/.test(cell));
+    return { time, rest: rest.length ? rest.join(' ') : line };
+  }
+
+  const trimmed = line.trim();
+  const iso = trimmed.match(ISO_PREFIX);
+  const token = trimmed.match(TOKEN_PREFIX);
+  const match = iso || (token && TIMESTAMP_TOKEN.test(token[1]) ? token : null);
+  if (!match) return { time: null, rest: line };
+
+  const time = parseTimestamp(match[1]);
+  return time === null ? { time, rest: line } : { time, rest: match[2] };
+};
+
+/**
+ * Format a timestamp for chart axes: wall-clock time for epoch values,
+ * seconds relative to the start of the capture otherwise.
+ */
+export const formatTimestamp = (time, origin) => {
+  if (origin > 1e9) {
+    return new Date(time * 1000).toISOString().slice(11, 23);
+  }
+  return `${(time - origin).toFixed(2)}s`;
+};
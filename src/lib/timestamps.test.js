@@ -0,0 +1,48 @@
+import { parseTimestamp, extractTimestamp } from './timestamps';
+import { insertGapMarkers, resampleRows } from './timeseries';
+
+test('parses epoch, relative, time-of-day and ISO timestamps', () => {
+  expect(parseTimestamp('1700000000.5')).toBe(1700000000.5);
+  expect(parseTimestamp('1700000000500')).toBe(1700000000.5);
+  expect(parseTimestamp('1700000000500000')).toBe(1700000000.5);
+  expect(parseTimestamp('(12.25)')).toBe(12.25);
+  expect(parseTimestamp('01:02:03.5')).toBe(3723.5);
+  expect(parseTimestamp('2024-01-01T00:00:01Z')).toBe(1704067201);
+  expect(parseTimestamp('7E8')).toBeNull();
+});
+
+test('extracts timestamps from line prefixes and CSV columns', () => {
+  expect(extractTimestamp('[0.125] 0A1B2C', 'prefix')).toEqual({ time: 0.125, rest: '0A1B2C' });
+  expect(extractTimestamp('2024-01-01 00:00:01 0A1B', 'prefix')).toEqual({ time: 1704067201, rest: '0A1B' });
+  expect(extractTimestamp('SEARCHING...', 'prefix')).toEqual({ time: null, rest: 'SEARCHING...' });
+  expect(extractTimestamp('12:00:01.5 0A1B', 'prefix')).toEqual({ time: 43201.5, rest: '0A1B' });
+  expect(extractTimestamp('(1700000000) 0A1B', 'prefix')).toEqual({ time: 1700000000, rest: '0A1B' });
+  expect(extractTimestamp('0A1B,3.5', 'column', 1)).toEqual({ time: 3.5, rest: '0A1B' });
+});
+
+test('leaves a line whose first token could be a data byte intact', () => {
+  expect(extractTimestamp('41 0C 1A F8', 'prefix')).toEqual({ time: null, rest: '41 0C 1A F8' });
+  expect(extractTimestamp('12 0A1B', 'prefix')).toEqual({ time: null, rest: '12 0A1B' });
+});
+
+test('takes bare epoch seconds and milliseconds as a prefix', () => {
+  expect(extractTimestamp('1700000000 0102', 'prefix')).toEqual({ time: 1700000000, rest: '0102' });
+  expect(extractTimestamp('1700000000123 41 0C 1A F8', 'prefix')).toEqual({ time: 1700000000.123, rest: '41 0C 1A F8' });
+});
+
+test('marks pauses as gaps and resamples with sample-and-hold', () => {
+  const rows = [
+    { index: 0, time: 0, byte0: 1 },
+    { index: 1, time: 1, byte0: 2 },
+    { index: 2, time: 2, byte0: 3 },
+    { index: 3, time: 20, byte0: 4 },
+  ];
+
+  const withGaps = insertGapMarkers(rows);
+  expect(withGaps).toHaveLength(5);
+  expect(withGaps[3]).toEqual({ time: 11, gap: true });
+
+  const resampled = resampleRows(rows.slice(0, 3), 2);
+  expect(resampled.map(r => r.byte0)).toEqual([1, 1, 2, 2, 3]);
+  expect(resampled[1].time).toBe(0.5);
+});
@@ -0,0 +1,276 @@
+// Sources of live samples. Every transport has the same shape:
+//
+//   const transport = createXTransport(options);
+//   await transport.start({ onSamples, onStatus });
+//   ...
+//   await transport.stop();
+//
+// onSamples receives batches of { bytes, time } with time in seconds since
+// the transport started, and onStatus a line of text describing the
+// connection. start rejects when the source can't be opened.
+
+import { parseElm327 } from './elm327';
+import { requestHeaderFor } from './signalset';
+
+// How often the replay transport checks for samples that are due
+const REPLAY_TICK_MS = 50;
+
+// Spacing given to replayed samples that carry no timestamps
+const REPLAY_DEFAULT_INTERVAL = 0.1;
+
+const ELM_PROMPT = '>';
+
+// Adapter setup before polling: reset, no echo or linefeeds, CAN headers
+// on so responses from several ECUs can be told apart, automatic protocol
+const ELM_INIT_COMMANDS = ['ATZ', 'ATE0', 'ATL0', 'ATH1', 'ATSP0'];
+
+// Request headers every ECU answers, which name no responder to keep
+const FUNCTIONAL_HEADERS = ['7DF', '18DB33F1'];
+
+const hexToBytes = (hex) => {
+  const bytes = [];
+  for (let i = 0; i + 1 < hex.length; i += 2) {
+    bytes.push(parseInt(hex.slice(i, i + 2), 16));
+  }
+  return bytes;
+};
+
+/**
+ * Play back parsed samples as if they were arriving now, at their recorded
+ * pace multiplied by speed.
+ *
+ * @param {Object} options
+ * @param {Array<{bytes: number[], time: ?number}>} options.samples
+ * @param {number} [options.speed=1]
+ * @param {boolean} [options.loop=false] - Start over after the last sample
+ */
+export const createReplayTransport = ({ samples, speed = 1, loop = false }) => {
+  let timer = null;
+
+  // Offsets from the first sample, spaced evenly when there are no times
+  const hasTimes = samples.length > 0 && samples.every(s => s.time !== undefined && s.time !== null);
+  const offsets = samples.map((sample, i) => (hasTimes ? sample.time - samples[0].time : i * REPLAY_DEFAULT_INTERVAL));
+  const duration = offsets.length ? offsets[offsets.length - 1] + (hasTimes ? 0 : REPLAY_DEFAULT_INTERVAL) : 0;
+
+  const stop = async () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const start = async ({ onSamples, onStatus = () => {} }) => {
+    if (!samples.length) throw new Error('Nothing to replay. Load a capture first.');
+    const startedAt = Date.now();
+    let next = 0;
+    let pass = 0;
+    onStatus(`Replaying ${samples.length} samples at ${speed}×`);
+
+    timer = setInterval(() => {
+      const elapsed = ((Date.now() - startedAt) / 1000) * speed;
+      const batch = [];
+      for (;;) {
+        if (next === samples.length) {
+          // A zero-length capture would otherwise loop forever in one tick
+          if (!loop || duration <= 0) break;
+          next = 0;
+          pass++;
+        }
+        const time = pass * duration + offsets[next];
+        if (time > elapsed) break;
+        batch.push({ bytes: samples[next].bytes, time });
+        next++;
+      }
+      if (batch.length) onSamples(batch);
+      if (next === samples.length && !loop) {
+        stop();
+        onStatus('Replay finished');
+      }
+    }, REPLAY_TICK_MS);
+  };
+
+  return { start, stop };
+};
+
+/**
+ * Read one WebSocket bridge message: JSON { time?, data } with data as hex
+ * or a byte array (or an array of such objects), or plain hex lines.
+ *
+ * @param {string} text
+ * @param {number} now - Seconds since start, for samples without a time
+ * @returns {Array<{bytes: number[], time: number}>}
+ */
+export const parseBridgeMessage = (text, now) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const parsed = JSON.parse(trimmed);
+    return (Array.isArray(parsed) ? parsed : [parsed]).map(message => ({
+      bytes: Array.isArray(message.data)
+        ? message.data
+        : hexToBytes(String(message.data).replace(/\s+/g, '').toUpperCase()),
+      time: typeof message.time === 'number' ? message.time : now,
+    }));
+  }
+  return trimmed
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, '').toUpperCase())
+    .filter(line => /^([0-9A-F]{2})+$/.test(line))
+    .map(line => ({ bytes: hexToBytes(line), time: now }));
+};
+
+/**
+ * Samples pushed by a local bridge over a WebSocket, one message per
+ * sample or batch (see parseBridgeMessage).
+ *
+ * @param {Object} options
+ * @param {string} options.url - e.g. ws://localhost:8765
+ */
+export const createWebSocketTransport = ({ url }) => {
+  let socket = null;
+
+  const start = ({ onSamples, onStatus = () => {} }) => new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    onStatus(`Connecting to ${url}…`);
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      onStatus(`Connected to ${url}`);
+      resolve();
+    };
+    socket.onerror = () => reject(new Error(`Could not connect to ${url}`));
+    socket.onclose = () => onStatus('Disconnected');
+    socket.onmessage = (event) => {
+      try {
+        const samples = parseBridgeMessage(String(event.data), (Date.now() - startedAt) / 1000);
+        if (samples.length) onSamples(samples);
+      } catch (err) {
+        onStatus('Unreadable message: ' + err.message);
+      }
+    };
+  });
+
+  const stop = async () => {
+    if (socket) socket.close();
+    socket = null;
+  };
+
+  return { start, stop };
+};
+
+/**
+ * Keep one ECU's responses when several answer a request: the ECU the
+ * request header addresses, or else the first to answer.
+ *
+ * @param {?string} header - Request header, e.g. 7E0
+ * @returns {function(Object[]): {kept: Object[], ignored: string[]}} Takes
+ *   one poll's parsed messages; ignored lists the response headers left out
+ *   that weren't seen before
+ */
+export const createResponderFilter = (header) => {
+  const wanted = header && !FUNCTIONAL_HEADERS.includes(header.toUpperCase()) ? header.toUpperCase() : null;
+  const seen = new Set();
+  let responder;
+  return (messages) => {
+    if (responder === undefined) {
+      const first = messages.find(m => !wanted || !m.header || requestHeaderFor(m.header) === wanted);
+      if (first) responder = first.header;
+    }
+    const ignored = [];
+    messages.forEach(m => {
+      if (m.header === responder || seen.has(m.header)) return;
+      seen.add(m.header);
+      ignored.push(m.header);
+    });
+    return { kept: messages.filter(m => m.header === responder), ignored };
+  };
+};
+
+/**
+ * Poll an ELM327 adapter over Web Serial with one OBD request at a fixed
+ * rate. Responses are parsed like pasted adapter output, so the
+ * positive-response prefix is dropped. When several ECUs answer, one is
+ * kept (see createResponderFilter) and the others are reported as status.
+ *
+ * @param {Object} options
+ * @param {string} [options.header] - Request header for ATSH, e.g. 7E0
+ * @param {string} options.command - Mode and PID, e.g. 010C or 22F190
+ * @param {number} [options.rate=10] - Requests per second
+ * @param {number} [options.baudRate=38400]
+ */
+export const createElmSerialTransport = ({ header, command, rate = 10, baudRate = 38400 }) => {
+  let port = null;
+  let reader = null;
+  let writer = null;
+  let running = false;
+  let polling = null;
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  // Send one line and collect everything up to the next prompt
+  const send = async (line) => {
+    await writer.write(encoder.encode(line + '\r'));
+    while (!buffered.includes(ELM_PROMPT)) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Adapter disconnected');
+      buffered += decoder.decode(value, { stream: true });
+    }
+    const promptAt = buffered.indexOf(ELM_PROMPT);
+    const response = buffered.slice(0, promptAt);
+    buffered = buffered.slice(promptAt + 1);
+    return response;
+  };
+
+  const poll = async (onSamples, onStatus, startedAt) => {
+    const interval = 1000 / rate;
+    const responders = createResponderFilter(header);
+    while (running) {
+      const sentAt = Date.now();
+      const response = await send(command);
+      const time = (sentAt - startedAt) / 1000;
+      const { messages } = parseElm327(`${command}\n${response}`);
+      const { kept, ignored } = responders(messages);
+      ignored.forEach(other => onStatus(`Ignoring responses from ${other}`));
+      if (kept.length) {
+        onSamples(kept.map(message => ({ bytes: message.data, time })));
+      } else if (!messages.length) {
+        onStatus(`No answer to ${command}: ${response.trim() || 'empty response'}`);
+      }
+      const wait = interval - (Date.now() - sentAt);
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  };
+
+  const start = async ({ onSamples, onStatus = () => {} }) => {
+    if (typeof navigator === 'undefined' || !navigator.serial) {
+      throw new Error('Web Serial is not supported in this browser');
+    }
+    port = await navigator.serial.requestPort();
+    await port.open({ baudRate });
+    reader = port.readable.getReader();
+    writer = port.writable.getWriter();
+
+    onStatus('Initializing adapter…');
+    const setup = header ? [...ELM_INIT_COMMANDS, `ATSH${header}`] : ELM_INIT_COMMANDS;
+    for (const line of setup) {
+      await send(line);
+    }
+
+    running = true;
+    onStatus(`Polling ${command} at ${rate}/s`);
+    polling = poll(onSamples, onStatus, Date.now())
+      .catch(err => running && onStatus('Polling stopped: ' + err.message));
+  };
+
+  const stop = async () => {
+    running = false;
+    if (reader) await reader.cancel().catch(() => {});
+    await polling;
+    if (reader) reader.releaseLock();
+    if (writer) writer.releaseLock();
+    if (port) await port.close().catch(() => {});
+    port = null;
+    reader = null;
+    writer = null;
+  };
+
+  return { start, stop };
+};
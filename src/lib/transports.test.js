@@ -0,0 +1,79 @@
+import { createReplayTransport, createResponderFilter, parseBridgeMessage } from './transports';
+import { parseElm327 } from './elm327';
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const samples = [
+  { bytes: [1], time: 10 },
+  { bytes: [2], time: 10.5 },
+  { bytes: [3], time: 12 },
+];
+
+test('replays samples at their recorded pace', async () => {
+  const received = [];
+  const statuses = [];
+  const transport = createReplayTransport({ samples });
+  await transport.start({ onSamples: batch => received.push(...batch), onStatus: s => statuses.push(s) });
+
+  jest.advanceTimersByTime(100);
+  expect(received).toEqual([{ bytes: [1], time: 0 }]);
+  jest.advanceTimersByTime(500);
+  expect(received.map(s => s.bytes[0])).toEqual([1, 2]);
+  jest.advanceTimersByTime(1500);
+  expect(received.map(s => s.time)).toEqual([0, 0.5, 2]);
+  expect(statuses[statuses.length - 1]).toBe('Replay finished');
+});
+
+test('replays faster and loops when asked', async () => {
+  const received = [];
+  const transport = createReplayTransport({ samples, speed: 10, loop: true });
+  await transport.start({ onSamples: batch => received.push(...batch) });
+
+  jest.advanceTimersByTime(250);
+  expect(received.map(s => s.time)).toEqual([0, 0.5, 2, 2, 2.5]);
+  await transport.stop();
+  jest.advanceTimersByTime(1000);
+  expect(received).toHaveLength(5);
+});
+
+test('spaces samples without timestamps evenly', async () => {
+  const received = [];
+  const transport = createReplayTransport({ samples: [{ bytes: [1] }, { bytes: [2] }, { bytes: [3] }] });
+  await transport.start({ onSamples: batch => received.push(...batch) });
+  jest.advanceTimersByTime(150);
+  expect(received.map(s => s.bytes[0])).toEqual([1, 2]);
+  await transport.stop();
+});
+
+test('refuses to replay nothing', async () => {
+  await expect(createReplayTransport({ samples: [] }).start({ onSamples: () => {} })).rejects.toThrow('Nothing to replay');
+});
+
+test('reads bridge messages as JSON or hex lines', () => {
+  expect(parseBridgeMessage('{"time": 1.5, "data": "0A FF"}', 9)).toEqual([{ bytes: [0x0A, 0xFF], time: 1.5 }]);
+  expect(parseBridgeMessage('[{"data": [1, 2]}]', 9)).toEqual([{ bytes: [1, 2], time: 9 }]);
+  expect(parseBridgeMessage('0a0b\nnot hex\n0C 0D\n', 3)).toEqual([
+    { bytes: [0x0A, 0x0B], time: 3 },
+    { bytes: [0x0C, 0x0D], time: 3 },
+  ]);
+});
+
+test('keeps one ECU when several answer a poll', () => {
+  const poll = (...lines) => parseElm327(['010C', ...lines].join('\n')).messages;
+  const both = poll('7E8 04 41 0C 1A F8', '7E9 03 41 0C 12');
+
+  const first = createResponderFilter('7DF');
+  expect(first(both)).toEqual({ kept: [expect.objectContaining({ header: '7E8', data: [0x1A, 0xF8] })], ignored: ['7E9'] });
+  const next = first(poll('7E9 03 41 0C 13', '7E8 04 41 0C 1B 02'));
+  expect(next.kept.map(m => m.data)).toEqual([[0x1B, 0x02]]);
+  expect(next.ignored).toEqual([]);
+
+  const addressed = createResponderFilter('7E1');
+  expect(addressed(both).kept.map(m => m.header)).toEqual(['7E9']);
+});
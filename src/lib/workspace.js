@@ -0,0 +1,197 @@
+// Workspaces: everything needed to reopen an analysis, as plain JSON.
+// They are autosaved to localStorage, kept in a library of named sessions,
+// exported as files and shared as a compressed URL hash.
+
+export const WORKSPACE_VERSION = 1;
+
+const AUTOSAVE_KEY = 'pidhunter.workspace';
+const SESSIONS_KEY = 'pidhunter.sessions';
+
+// Share links longer than this may be cut off by chat apps and some browsers
+export const SHARE_URL_WARN_LENGTH = 32000;
+
+const DEFAULTS = {
+  rawInput: '',
+  inputFormat: 'hex',
+  timestampSource: 'none',
+  timestampColumn: 0,
+  badLines: 'keep',
+  xAxisMode: 'index',
+  resampleRate: 0,
+  selectedBytes: [],
+  selectedBits: [],
+  byteGroups: [],
+  derivedChannels: [],
+  conversions: {},
+  valueLabels: {},
+  activeStreamId: null,
+  streamViews: {},
+  reference: null,
+  referenceAlignment: 'index',
+  referenceOffset: 0,
+  knownCommands: null,
+  knownCommandIndex: -1,
+  annotations: [],
+  notes: '',
+  excludedRanges: [],
+  yAxisMode: 'shared',
+  captures: [],
+  correlationThreshold: 0.7,
+  correlationLag: 10,
+  excludeCountersAndChecksums: false,
+};
+
+const viewToJson = (view) => ({
+  ...view,
+  selectedBytes: Array.from(view.selectedBytes),
+  selectedBits: Array.from(view.selectedBits),
+});
+
+const viewFromJson = (view) => ({
+  selectedBytes: new Set(view.selectedBytes || []),
+  selectedBits: new Set(view.selectedBits || []),
+  byteGroups: view.byteGroups || [],
+  derivedChannels: view.derivedChannels || [],
+  conversions: view.conversions || {},
+  valueLabels: view.valueLabels || {},
+  annotations: view.annotations || [],
+  excludedRanges: view.excludedRanges || [],
+});
+
+/**
+ * Convert explorer state (with Sets) to plain JSON.
+ *
+ * @param {Object} state - Explorer state, see DEFAULTS for the fields kept
+ * @returns {Object}
+ */
+export const serializeWorkspace = (state) => {
+  const workspace = { version: WORKSPACE_VERSION };
+  Object.keys(DEFAULTS).forEach(key => {
+    workspace[key] = state[key] === undefined ? DEFAULTS[key] : state[key];
+  });
+  workspace.selectedBytes = Array.from(workspace.selectedBytes);
+  workspace.selectedBits = Array.from(workspace.selectedBits);
+  workspace.streamViews = Object.fromEntries(
+    Object.entries(workspace.streamViews).map(([id, view]) => [id, viewToJson(view)])
+  );
+  return workspace;
+};
+
+/**
+ * Turn saved JSON back into explorer state. Missing fields take their
+ * defaults so older workspaces keep loading.
+ *
+ * @param {Object} json
+ * @returns {Object}
+ * @throws {Error} when the JSON is not a workspace this version can read
+ */
+export const deserializeWorkspace = (json) => {
+  if (!json || typeof json !== 'object' || typeof json.version !== 'number') {
+    throw new Error('Not a pidhunter workspace');
+  }
+  if (json.version > WORKSPACE_VERSION) {
+    throw new Error(`Workspace version ${json.version} is newer than this app supports`);
+  }
+
+  const state = { ...DEFAULTS };
+  Object.keys(DEFAULTS).forEach(key => {
+    if (json[key] !== undefined) state[key] = json[key];
+  });
+  Object.assign(state, viewFromJson(state));
+  state.streamViews = Object.fromEntries(
+    Object.entries(state.streamViews).map(([id, view]) => [id, viewFromJson(view)])
+  );
+  return state;
+};
+
+// Base64url without padding, so the result can go straight into a URL
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+const pipe = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+/**
+ * Encode a workspace for the URL hash. The JSON is deflated where the
+ * browser supports CompressionStream ("z" prefix) and stored as is
+ * otherwise ("j" prefix).
+ *
+ * @param {Object} workspace - Serialized workspace
+ * @returns {Promise<string>}
+ */
+export const encodeShareHash = async (workspace) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(workspace));
+  if (typeof CompressionStream === 'undefined') return `j${toBase64Url(bytes)}`;
+  return `z${toBase64Url(await pipe(bytes, new CompressionStream('deflate-raw')))}`;
+};
+
+/**
+ * @param {string} hash - Output of encodeShareHash
+ * @returns {Promise<Object>} Serialized workspace
+ * @throws {Error} when the hash can't be decoded
+ */
+export const decodeShareHash = async (hash) => {
+  const format = hash[0];
+  let bytes = fromBase64Url(hash.slice(1));
+  if (format === 'z') {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot open compressed share links');
+    }
+    bytes = await pipe(bytes, new DecompressionStream('deflate-raw'));
+  } else if (format !== 'j') {
+    throw new Error('Unrecognized share link');
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+};
+
+const readStorage = (key, fallback) => {
+  try {
+    const text = window.localStorage.getItem(key);
+    return text ? JSON.parse(text) : fallback;
+  } catch (err) {
+    return fallback;
+  }
+};
+
+// Returns false when storage is unavailable or full
+const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+export const loadAutosave = () => readStorage(AUTOSAVE_KEY, null);
+
+export const saveAutosave = (workspace) => writeStorage(AUTOSAVE_KEY, workspace);
+
+/**
+ * Named sessions, most recently saved first.
+ *
+ * @returns {Array<{name: string, savedAt: number, workspace: Object}>}
+ */
+export const listSessions = () => Object.entries(readStorage(SESSIONS_KEY, {}))
+  .map(([name, session]) => ({ name, ...session }))
+  .sort((a, b) => b.savedAt - a.savedAt);
+
+export const saveSession = (name, workspace) => writeStorage(SESSIONS_KEY, {
+  ...readStorage(SESSIONS_KEY, {}),
+  [name]: { savedAt: Date.now(), workspace },
+});
+
+export const deleteSession = (name) => {
+  const { [name]: removed, ...rest } = readStorage(SESSIONS_KEY, {});
+  return writeStorage(SESSIONS_KEY, rest);
+};
@@ -0,0 +1,71 @@
+import { TextEncoder, TextDecoder } from 'util';
+import {
+  serializeWorkspace,
+  deserializeWorkspace,
+  encodeShareHash,
+  decodeShareHash,
+  saveSession,
+  listSessions,
+  deleteSession,
+  WORKSPACE_VERSION,
+} from './workspace';
+
+// jsdom doesn't provide these
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const state = {
+  rawInput: '7E8 04 41 0C 1A F8',
+  inputFormat: 'elm327',
+  selectedBytes: new Set([0, 1]),
+  selectedBits: new Set([3]),
+  byteGroups: [{ id: 1, name: 'RPM', bytes: [0, 1], field: { startBit: 0, length: 16, byteOrder: 'big', signed: false } }],
+  derivedChannels: [{ id: 0, name: 'RPM rate', operation: 'derivative', inputs: ['group1'], window: 5, wrap: 0 }],
+  conversions: { group1: { name: 'Engine speed', unit: 'rpm', mode: 'formula', formula: 'x / 4' } },
+  valueLabels: { byte2: { 1: 'P', 2: 'R' } },
+  activeStreamId: '7E8',
+  streamViews: { '7E8': { selectedBytes: new Set([2]), selectedBits: new Set(), byteGroups: [], conversions: {} } },
+};
+
+test('round-trips explorer state through JSON', () => {
+  const json = JSON.parse(JSON.stringify(serializeWorkspace(state)));
+  expect(json.version).toBe(WORKSPACE_VERSION);
+  expect(json.selectedBytes).toEqual([0, 1]);
+
+  const restored = deserializeWorkspace(json);
+  expect(restored.selectedBytes).toEqual(new Set([0, 1]));
+  expect(restored.selectedBits).toEqual(new Set([3]));
+  expect(restored.byteGroups).toEqual(state.byteGroups);
+  expect(restored.derivedChannels).toEqual(state.derivedChannels);
+  expect(restored.streamViews['7E8'].derivedChannels).toEqual([]);
+  expect(restored.conversions).toEqual(state.conversions);
+  expect(restored.valueLabels).toEqual(state.valueLabels);
+  expect(restored.streamViews['7E8'].valueLabels).toEqual({});
+  expect(restored.streamViews['7E8'].selectedBytes).toEqual(new Set([2]));
+  // Fields missing from the saved JSON take their defaults
+  expect(restored.timestampSource).toBe('none');
+});
+
+test('rejects files that are not workspaces', () => {
+  expect(() => deserializeWorkspace({ commands: [] })).toThrow('Not a pidhunter workspace');
+  expect(() => deserializeWorkspace({ version: WORKSPACE_VERSION + 1 })).toThrow('newer');
+});
+
+test('encodes workspaces for share links', async () => {
+  const workspace = serializeWorkspace(state);
+  const hash = await encodeShareHash(workspace);
+  expect(hash).toMatch(/^[zj][A-Za-z0-9_-]+$/);
+  expect(await decodeShareHash(hash)).toEqual(workspace);
+  await expect(decodeShareHash('x123')).rejects.toThrow('Unrecognized share link');
+});
+
+test('keeps a library of named sessions', () => {
+  const workspace = serializeWorkspace(state);
+  expect(saveSession('Ioniq 2101', workspace)).toBe(true);
+  expect(saveSession('Bolt 2240', workspace)).toBe(true);
+  expect(listSessions().map(s => s.name).sort()).toEqual(['Bolt 2240', 'Ioniq 2101']);
+  expect(listSessions()[0].workspace).toEqual(workspace);
+
+  deleteSession('Bolt 2240');
+  expect(listSessions().map(s => s.name)).toEqual(['Ioniq 2101']);
+});
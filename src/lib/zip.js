@@ -0,0 +1,104 @@
+// Minimal ZIP writer for bundling exports into one download. Files are
+// stored uncompressed: the bundles are small text and PNG (already
+// compressed), and every unzip tool reads stored entries.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Date and time ZIP headers give every entry, in MS-DOS format
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1; // 1980-01-01
+
+/**
+ * CRC-32 as ZIP uses it.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Pack files into a ZIP archive.
+ *
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - Strings
+ *   are written as UTF-8
+ * @returns {Uint8Array}
+ */
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const entries = files.map(file => {
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    return { name: encoder.encode(file.name), data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const zip = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(zip.buffer);
+  let pos = 0;
+  const u16 = (value) => { view.setUint16(pos, value, true); pos += 2; };
+  const u32 = (value) => { view.setUint32(pos, value, true); pos += 4; };
+  const bytes = (value) => { zip.set(value, pos); pos += value.length; };
+
+  // Fields shared by the local and central headers, from the version needed
+  // on; bit 11 marks names as UTF-8
+  const common = (e) => {
+    u16(20);
+    u16(0x0800);
+    u16(0);
+    u16(DOS_TIME);
+    u16(DOS_DATE);
+    u32(e.crc);
+    u32(e.data.length);
+    u32(e.data.length);
+    u16(e.name.length);
+    u16(0);
+  };
+
+  const offsets = entries.map(e => {
+    const offset = pos;
+    u32(0x04034B50);
+    common(e);
+    bytes(e.name);
+    bytes(e.data);
+    return offset;
+  });
+
+  const centralStart = pos;
+  entries.forEach((e, i) => {
+    u32(0x02014B50);
+    u16(20);
+    common(e);
+    u16(0);
+    u16(0);
+    u16(0);
+    u32(0);
+    u32(offsets[i]);
+    bytes(e.name);
+  });
+
+  u32(0x06054B50);
+  u16(0);
+  u16(0);
+  u16(entries.length);
+  u16(entries.length);
+  u32(centralSize);
+  u32(centralStart);
+  u16(0);
+  return zip;
+};
@@ -0,0 +1,32 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { crc32, createZip } from './zip';
+
+// jsdom doesn't provide these
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+test('computes the ZIP CRC-32', () => {
+  expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610A686);
+  expect(crc32(new Uint8Array(0))).toBe(0);
+});
+
+test('stores files with local headers and a central directory', () => {
+  const zip = createZip([
+    { name: 'notes.md', data: '# Notes' },
+    { name: 'chart.png', data: new Uint8Array([1, 2, 3]) },
+  ]);
+  const view = new DataView(zip.buffer);
+  expect(view.getUint32(0, true)).toBe(0x04034B50);
+  expect(new TextDecoder().decode(zip.slice(30, 38))).toBe('notes.md');
+  expect(new TextDecoder().decode(zip.slice(38, 45))).toBe('# Notes');
+
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054B50);
+  expect(view.getUint16(end + 10, true)).toBe(2);
+  const centralSize = view.getUint32(end + 12, true);
+  const centralStart = view.getUint32(end + 16, true);
+  expect(centralStart + centralSize).toBe(end);
+  expect(view.getUint32(centralStart, true)).toBe(0x02014B50);
+  // The second entry's local header follows the first file
+  expect(view.getUint32(centralStart + 46 + 8 + 42, true)).toBe(45);
+});